@@ -0,0 +1,26 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { expect } from "@jest/globals";
+
+// Golden-output assertions: the normalized payload for a fixture is kept in
+// __tests__/golden/<name>.json. Run with UPDATE_GOLDEN=1 to (re)write them
+// after an intentional change; a missing golden file fails in CI.
+const GOLDEN_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "golden"
+);
+
+export function expectGolden(name, value) {
+  const file = path.join(GOLDEN_DIR, `${name}.json`);
+  const actual = JSON.parse(JSON.stringify(value));
+
+  if (process.env.UPDATE_GOLDEN === "1" || (!fs.existsSync(file) && !process.env.CI)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+    return;
+  }
+
+  expect(actual).toEqual(JSON.parse(fs.readFileSync(file, "utf8")));
+}
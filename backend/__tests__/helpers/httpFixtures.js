@@ -0,0 +1,167 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import axios, { AxiosError } from "axios";
+
+// Record / replay for scraper HTTP traffic.
+//
+// A fixture is __tests__/fixtures/<name>.json:
+//
+//   { "interactions": [
+//       { "request":  { "method": "get", "url": "https://…?handle=x" },
+//         "response": { "status": 200, "headers": {}, "data": … } },
+//       { "request":  { … }, "error": { "code": "ECONNABORTED" } }
+//   ] }
+//
+// Replay (default) swaps axios' adapter for one that answers from the file
+// and fails on any request the fixture doesn't know about, so tests never
+// touch the network. Fixtures listed in RECORD_FIXTURES (comma-separated
+// names or platform prefixes, e.g. "leetcode/profile,codeforces") use the
+// real adapter instead and are rewritten from the live traffic. The error
+// fixtures (not-found, cloudflare...) are hand-written: don't record them.
+const FIXTURE_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "fixtures"
+);
+
+const RECORD = (process.env.RECORD_FIXTURES || "")
+  .split(",")
+  .map((entry) => entry.trim())
+  .filter(Boolean);
+
+function isRecording(name) {
+  return RECORD.some((entry) => name === entry || name.startsWith(`${entry}/`));
+}
+
+function fixturePath(name) {
+  return path.join(FIXTURE_DIR, `${name}.json`);
+}
+
+function requestKey(config) {
+  const method = (config.method || "get").toLowerCase();
+  const url = axios.getUri({ url: config.url, params: config.params });
+  return `${method} ${url}`;
+}
+
+function toAxiosResult(config, interaction) {
+  if (interaction.error) {
+    const { code = "ERR_NETWORK", message = code } = interaction.error;
+    return Promise.reject(new AxiosError(message, code, config));
+  }
+
+  const { status = 200, headers = {}, data = "" } = interaction.response;
+  const response = { status, statusText: String(status), headers, data, config };
+
+  if (config.validateStatus && !config.validateStatus(status)) {
+    return Promise.reject(
+      new AxiosError(
+        `Request failed with status code ${status}`,
+        status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        null,
+        response
+      )
+    );
+  }
+  return Promise.resolve(response);
+}
+
+function replayAdapter(name, interactions) {
+  const used = new Set();
+
+  return async (config) => {
+    const key = requestKey(config);
+    const matches = interactions
+      .map((interaction, index) => ({ interaction, index }))
+      .filter(({ interaction }) => requestKey(interaction.request) === key);
+
+    if (matches.length === 0) {
+      throw new Error(`Fixture "${name}" has no response for ${key}`);
+    }
+
+    // Same request answered in recorded order; the last answer repeats
+    const next = matches.find(({ index }) => !used.has(index)) || matches.at(-1);
+    used.add(next.index);
+
+    return toAxiosResult(config, next.interaction);
+  };
+}
+
+function recordAdapter(interactions) {
+  const realAdapter = axios.getAdapter("http");
+
+  return async (config) => {
+    const request = {
+      method: (config.method || "get").toLowerCase(),
+      url: axios.getUri({ url: config.url, params: config.params }),
+    };
+
+    try {
+      const res = await realAdapter(config);
+      interactions.push({
+        request,
+        response: { status: res.status, headers: {}, data: res.data },
+      });
+      return res;
+    } catch (error) {
+      interactions.push(
+        error.response
+          ? {
+              request,
+              response: {
+                status: error.response.status,
+                headers: error.response.headers,
+                data: error.response.data,
+              },
+            }
+          : { request, error: { code: error.code, message: error.message } }
+      );
+      throw error;
+    }
+  };
+}
+
+export function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(fixturePath(name), "utf8"));
+}
+
+// Route axios through the named fixture until restore() is called
+export function useHttpFixture(name) {
+  const previous = axios.defaults.adapter;
+  const recording = isRecording(name);
+  const interactions = recording ? [] : loadFixture(name).interactions;
+
+  axios.defaults.adapter = recording
+    ? recordAdapter(interactions)
+    : replayAdapter(name, interactions);
+
+  return {
+    save() {
+      if (!recording) return;
+      fs.mkdirSync(path.dirname(fixturePath(name)), { recursive: true });
+      fs.writeFileSync(
+        fixturePath(name),
+        `${JSON.stringify({ interactions }, null, 2)}\n`
+      );
+    },
+    restore() {
+      axios.defaults.adapter = previous;
+    },
+  };
+}
+
+// Run fn with the fixture installed; saves when recording
+export async function withHttpFixture(name, fn) {
+  const fixture = useHttpFixture(name);
+  try {
+    const result = await fn();
+    fixture.save();
+    return result;
+  } catch (error) {
+    fixture.save();
+    throw error;
+  } finally {
+    fixture.restore();
+  }
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect, jest } from "@jest/globals";
+import { ScoreRecalculation } from "../../src/jobs/scoring.job.js";
+
+describe("ScoreRecalculation", () => {
+  const rules = { version: 3, rules: {} };
+
+  it("rescores every stale user and records failures", async () => {
+    const recalculate = jest.fn(async (userId) => {
+      if (userId === "u2") throw new Error("boom");
+    });
+    const job = new ScoreRecalculation({
+      rules: async () => rules,
+      listUsers: async (version) => (version === 3 ? [{ _id: "u1" }, { _id: "u2" }] : []),
+      recalculate,
+    });
+
+    const { done } = job.begin("manual");
+    const run = await done;
+
+    expect(recalculate).toHaveBeenCalledWith("u1", rules);
+    expect(run).toMatchObject({
+      status: "partial",
+      rulesVersion: 3,
+      users: 2,
+      succeeded: 1,
+      failed: 1,
+      failures: [{ user: "u2", error: "boom" }],
+    });
+    expect(job.status()).toEqual({ running: null, lastRun: run });
+  });
+
+  it("runs again after the current run when triggered meanwhile", async () => {
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    const listUsers = jest.fn(async () => {
+      await gate;
+      return [];
+    });
+    const job = new ScoreRecalculation({ rules: async () => rules, listUsers, recalculate: jest.fn() });
+
+    expect(job.trigger("boot")).toMatchObject({ trigger: "boot", status: "running" });
+    expect(job.trigger("rules")).toBeNull();
+    release();
+
+    await new Promise((resolve) => setImmediate(resolve));
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(listUsers).toHaveBeenCalledTimes(2);
+    expect(job.status().running?.trigger ?? job.status().lastRun.trigger).toBe("rules");
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import { ScrapeScheduler, spacingFor } from "../../src/jobs/scrape.job.js";
+import { backoffDelay } from "../../src/utils/retry.util.js";
+
+// In-memory stand-in for MongoScrapeStore
+function createStore(accounts) {
+  const runs = [];
+  return {
+    runs,
+    accounts,
+    listAccounts: async (platform) => accounts.filter((a) => a.platform === platform),
+    recordSuccess: async (account, at) => {
+      Object.assign(account, { lastSync: at, lastError: null, consecutiveFailures: 0 });
+    },
+    recordFailure: async (account, error, at) => {
+      account.lastErrorAt = at;
+      account.lastError = error.message;
+      account.consecutiveFailures = (account.consecutiveFailures || 0) + 1;
+    },
+    startRun: async (run) => {
+      const doc = { _id: `run${runs.length + 1}`, ...run };
+      runs.push(doc);
+      return doc;
+    },
+    finishRun: async (id, update) => Object.assign(runs.find((r) => r._id === id), update),
+  };
+}
+
+describe("ScrapeScheduler", () => {
+  let store;
+  let sleeps;
+  let refresh;
+  let scheduler;
+
+  beforeEach(() => {
+    store = createStore([
+      { _id: "a1", platform: "codeforces", handle: "tourist", user: "u1" },
+      { _id: "a2", platform: "codeforces", handle: "ghost", user: "u2" },
+      { _id: "a3", platform: "leetcode", handle: "grinder", user: "u1" },
+    ]);
+    sleeps = [];
+    refresh = jest.fn(async () => {});
+    scheduler = new ScrapeScheduler(store, {
+      platforms: () => ["codeforces", "leetcode"],
+      refresh,
+      now: () => Date.parse("2024-06-01T00:00:00Z"),
+      random: () => 0.5,
+      sleep: async (ms) => sleeps.push(ms),
+      onError: () => {},
+    });
+  });
+
+  it("refreshes every account of the platform, spaced apart", async () => {
+    const { run, done } = await scheduler.begin("codeforces");
+    expect(run).toMatchObject({ platform: "codeforces", trigger: "manual", status: "running" });
+
+    const finished = await done;
+    expect(refresh.mock.calls.map(([account]) => account.handle)).toEqual(["tourist", "ghost"]);
+    expect(sleeps).toEqual([spacingFor("codeforces")]);
+    expect(finished).toMatchObject({ status: "succeeded", accounts: 2, succeeded: 2, failed: 0 });
+    expect(store.accounts[0].lastSync).toBeInstanceOf(Date);
+  });
+
+  it("retries transient failures with backoff", async () => {
+    refresh.mockRejectedValueOnce(new Error("Rate limited"));
+
+    const { done } = await scheduler.begin("leetcode");
+    const finished = await done;
+
+    expect(refresh).toHaveBeenCalledTimes(2);
+    expect(sleeps).toEqual([backoffDelay(0, { baseDelayMs: 5000, random: () => 0.5 })]);
+    expect(finished.status).toBe("succeeded");
+  });
+
+  it("records per-account errors without retrying permanent ones", async () => {
+    refresh.mockImplementation(async (account) => {
+      if (account.handle === "ghost") throw new Error("User not found");
+    });
+
+    const finished = await (await scheduler.begin("codeforces")).done;
+
+    expect(refresh).toHaveBeenCalledTimes(2);
+    expect(finished).toMatchObject({
+      status: "partial",
+      succeeded: 1,
+      failed: 1,
+      failures: [{ account: "a2", handle: "ghost", error: "User not found", attempts: 1 }],
+    });
+    expect(store.accounts[1]).toMatchObject({ lastError: "User not found", consecutiveFailures: 1 });
+  });
+
+  it("gives up after the configured retries", async () => {
+    refresh.mockRejectedValue(new Error("Request timeout"));
+
+    const finished = await (await scheduler.begin("leetcode")).done;
+
+    expect(refresh).toHaveBeenCalledTimes(3);
+    expect(finished).toMatchObject({ status: "failed", failures: [{ attempts: 3 }] });
+  });
+
+  it("does not start a second run for a platform that is running", async () => {
+    const first = await scheduler.begin("codeforces");
+    expect(await scheduler.begin("codeforces")).toBeNull();
+    expect(scheduler.status().find((s) => s.platform === "codeforces").running).toBe(true);
+
+    await first.done;
+    expect(await scheduler.begin("codeforces")).not.toBeNull();
+  });
+
+  it("staggers platforms when started", () => {
+    scheduler.start();
+    const [codeforces, leetcode] = scheduler.status();
+    scheduler.stop();
+
+    expect(leetcode.nextRunAt - codeforces.nextRunAt).toBe(60 * 1000);
+    expect(scheduler.status().every((s) => s.nextRunAt === null)).toBe(true);
+  });
+});
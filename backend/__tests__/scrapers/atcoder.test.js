@@ -0,0 +1,32 @@
+import { describe, it, expect } from "@jest/globals";
+import atcoder from "../../src/services/platforms/atcoder.adapter.js";
+import { withHttpFixture } from "../helpers/httpFixtures.js";
+import { expectGolden } from "../helpers/golden.js";
+
+describe("atcoder adapter", () => {
+  it("normalizes a recorded profile", async () => {
+    const raw = await withHttpFixture("atcoder/profile", () =>
+      atcoder.fetch("grinder")
+    );
+    expectGolden("atcoder", atcoder.normalize(raw, "grinder"));
+  });
+
+  it("skips unrated contests in rating history", async () => {
+    const history = await withHttpFixture("atcoder/profile", () =>
+      atcoder.fetchRatingHistory("grinder")
+    );
+    expect(history.map((c) => c.contestId)).toEqual(["abc330", "abc331"]);
+  });
+
+  it("fails instead of reporting 0 solves when the solved count is down", async () => {
+    await expect(
+      withHttpFixture("atcoder/solved-count-down", () => atcoder.fetch("grinder"))
+    ).rejects.toThrow("Failed to fetch AtCoder solved count");
+  });
+
+  it("reports a missing user", async () => {
+    await expect(
+      withHttpFixture("atcoder/not-found", () => atcoder.fetch("grinder"))
+    ).rejects.toThrow("User not found");
+  });
+});
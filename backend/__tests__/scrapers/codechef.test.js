@@ -0,0 +1,38 @@
+import { describe, it, expect } from "@jest/globals";
+import codechef from "../../src/services/platforms/codechef.adapter.js";
+import { withHttpFixture } from "../helpers/httpFixtures.js";
+import { expectGolden } from "../helpers/golden.js";
+
+describe("codechef adapter", () => {
+  it("normalizes the third-party API payload", async () => {
+    const raw = await withHttpFixture("codechef/api", () =>
+      codechef.fetch("grinder")
+    );
+    expectGolden("codechef", codechef.normalize(raw, "grinder"));
+  });
+
+  it("falls back to the profile HTML when the API is down", async () => {
+    const raw = await withHttpFixture("codechef/html-fallback", () =>
+      codechef.fetch("grinder")
+    );
+    expectGolden("codechef-html", codechef.normalize(raw, "grinder"));
+  });
+
+  it("reads rating history from the API", async () => {
+    const history = await withHttpFixture("codechef/api", () =>
+      codechef.fetchRatingHistory("grinder")
+    );
+    expect(history.map((c) => c.newRating)).toEqual([1602, 1789]);
+    expect(history[1].oldRating).toBe(1602);
+  });
+
+  it.each([
+    ["codechef/not-found", "User not found"],
+    ["codechef/cloudflare", "CodeChef blocked the request"],
+    ["codechef/changed-layout", "Unrecognised CodeChef profile layout"],
+  ])("%s -> %s", async (fixture, message) => {
+    await expect(
+      withHttpFixture(fixture, () => codechef.fetch("grinder"))
+    ).rejects.toThrow(message);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect } from "@jest/globals";
+import codeforces from "../../src/services/platforms/codeforces.adapter.js";
+import { withHttpFixture } from "../helpers/httpFixtures.js";
+import { expectGolden } from "../helpers/golden.js";
+
+describe("codeforces adapter", () => {
+  it("normalizes a recorded profile", async () => {
+    const raw = await withHttpFixture("codeforces/profile", () =>
+      codeforces.fetch("grinder")
+    );
+    expectGolden("codeforces", codeforces.normalize(raw, "grinder"));
+  });
+
+  it("counts attempts up to the first accepted submission", async () => {
+    const raw = await withHttpFixture("codeforces/profile", () =>
+      codeforces.fetch("grinder")
+    );
+    const activities = codeforces.toActivities(raw);
+
+    expect(activities.find((a) => a.problemId === "1850-E")).toMatchObject({
+      attempts: 3,
+      difficulty: "hard",
+      url: "https://codeforces.com/contest/1850/problem/E",
+    });
+    expect(activities.find((a) => a.problemId === "102001-A").url).toBe(
+      "https://codeforces.com/gym/102001/problem/A"
+    );
+    expect(raw.attemptedUnsolved).toBe(1);
+  });
+
+  it("fetches only submissions after the sync cursor", async () => {
+    const { activities, cursor } = await withHttpFixture("codeforces/submissions", () =>
+      codeforces.fetchActivities("grinder", { lastSubmissionId: "6" })
+    );
+
+    expect(activities.map((a) => [a.problemId, a.attempts])).toEqual([["1900-C", 2]]);
+    expect(cursor).toEqual({
+      lastSubmissionId: "9",
+      lastSubmissionAt: new Date(1704500000 * 1000),
+    });
+  });
+
+  it("reads the whole history without a cursor", async () => {
+    const { activities } = await withHttpFixture("codeforces/submissions", () =>
+      codeforces.fetchActivities("grinder", null)
+    );
+    expect(activities).toHaveLength(4);
+  });
+
+  it("rebuilds the same stats from stored solves", async () => {
+    const raw = await withHttpFixture("codeforces/profile", () =>
+      codeforces.fetch("grinder")
+    );
+    const { rating, maxRating, rank, firstName, lastName, organization } = raw;
+    const stored = codeforces.fromStored(
+      { rating, maxRating, rank, firstName, lastName, organization },
+      codeforces.toActivities(raw),
+      { extra: { attemptedUnsolved: 1 } }
+    );
+
+    expect(codeforces.normalize(stored, "grinder")).toEqual(
+      codeforces.normalize(raw, "grinder")
+    );
+  });
+
+  it("returns rated contest history", async () => {
+    const history = await withHttpFixture("codeforces/rating-history", () =>
+      codeforces.fetchRatingHistory("grinder")
+    );
+    expect(history).toHaveLength(2);
+    expect(history[1]).toMatchObject({ oldRating: 1402, newRating: 1612, rank: 2301 });
+  });
+
+  it("passes the comment of a FAILED answer through", async () => {
+    await expect(
+      withHttpFixture("codeforces/failed-comment", () => codeforces.fetchRatingHistory("grinder"))
+    ).rejects.toThrow("Call limit exceeded");
+    await expect(
+      withHttpFixture("codeforces/failed-comment", () => codeforces.fetchActivities("grinder", null))
+    ).rejects.toThrow("Call limit exceeded");
+  });
+
+  it.each([
+    ["codeforces/not-found", "User not found"],
+    ["codeforces/rate-limited", "Rate limited"],
+    ["codeforces/timeout", "Request timeout"],
+  ])("%s -> %s", async (fixture, message) => {
+    await expect(
+      withHttpFixture(fixture, () => codeforces.fetch("grinder"))
+    ).rejects.toThrow(message);
+  });
+});
@@ -0,0 +1,19 @@
+import { describe, it, expect } from "@jest/globals";
+import codewars from "../../src/services/platforms/codewars.adapter.js";
+import { withHttpFixture } from "../helpers/httpFixtures.js";
+import { expectGolden } from "../helpers/golden.js";
+
+describe("codewars adapter", () => {
+  it("normalizes a recorded profile", async () => {
+    const raw = await withHttpFixture("codewars/profile", () =>
+      codewars.fetch("grinder")
+    );
+    expectGolden("codewars", codewars.normalize(raw, "grinder"));
+  });
+
+  it("reports a missing user", async () => {
+    await expect(
+      withHttpFixture("codewars/not-found", () => codewars.fetch("grinder"))
+    ).rejects.toThrow("User not found");
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, it, expect } from "@jest/globals";
+import gfg from "../../src/services/platforms/gfg.adapter.js";
+import { withHttpFixture } from "../helpers/httpFixtures.js";
+import { expectGolden } from "../helpers/golden.js";
+
+describe("gfg adapter", () => {
+  it("normalizes a recorded profile", async () => {
+    const raw = await withHttpFixture("gfg/profile", () => gfg.fetch("grinder"));
+    expectGolden("gfg", gfg.normalize(raw, "grinder"));
+  });
+
+  it.each([
+    ["gfg/not-found", "User not found"],
+    ["gfg/changed-layout", "Unrecognised GeeksforGeeks profile layout"],
+  ])("%s -> %s", async (fixture, message) => {
+    await expect(
+      withHttpFixture(fixture, () => gfg.fetch("grinder"))
+    ).rejects.toThrow(message);
+  });
+});
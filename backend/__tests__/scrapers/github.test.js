@@ -0,0 +1,34 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from "@jest/globals";
+import github from "../../src/services/platforms/github.adapter.js";
+import { withHttpFixture } from "../helpers/httpFixtures.js";
+import { expectGolden } from "../helpers/golden.js";
+
+describe("github adapter (REST, no token)", () => {
+  const token = process.env.GITHUB_TOKEN;
+
+  // The contribution series is "last 365 days", so pin the clock to the
+  // day the fixture was recorded.
+  beforeAll(() => {
+    delete process.env.GITHUB_TOKEN;
+    jest.useFakeTimers({
+      now: new Date("2024-06-01T12:00:00Z"),
+      doNotFake: ["nextTick", "setImmediate", "setTimeout", "clearTimeout"],
+    });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+    if (token) process.env.GITHUB_TOKEN = token;
+  });
+
+  it("normalizes a recorded profile", async () => {
+    const raw = await withHttpFixture("github/rest", () => github.fetch("grinder"));
+    expectGolden("github", github.normalize(raw, "grinder"));
+  });
+
+  it("reports the REST rate limit", async () => {
+    await expect(
+      withHttpFixture("github/rate-limited", () => github.fetch("grinder"))
+    ).rejects.toThrow("Rate limited");
+  });
+});
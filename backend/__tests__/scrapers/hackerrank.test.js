@@ -0,0 +1,19 @@
+import { describe, it, expect } from "@jest/globals";
+import hackerrank from "../../src/services/platforms/hackerrank.adapter.js";
+import { withHttpFixture } from "../helpers/httpFixtures.js";
+import { expectGolden } from "../helpers/golden.js";
+
+describe("hackerrank adapter", () => {
+  it("normalizes a recorded profile", async () => {
+    const raw = await withHttpFixture("hackerrank/profile", () =>
+      hackerrank.fetch("grinder")
+    );
+    expectGolden("hackerrank", hackerrank.normalize(raw, "grinder"));
+  });
+
+  it("reports a missing user", async () => {
+    await expect(
+      withHttpFixture("hackerrank/not-found", () => hackerrank.fetch("grinder"))
+    ).rejects.toThrow("User not found");
+  });
+});
@@ -0,0 +1,184 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "@jest/globals";
+import { BrowserPool, browserPool } from "../../src/utils/headless.util.js";
+import { headlessConfig } from "../../src/config/puppeeteer.js";
+import codechef from "../../src/services/platforms/codechef.adapter.js";
+import { withHttpFixture } from "../helpers/httpFixtures.js";
+
+// Pages are served from __tests__/fixtures/html/<site>/<path>.html by a
+// local stub server; any other path (images, css) is a plain 200.
+const HTML_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "fixtures",
+  "html"
+);
+
+let server;
+let baseUrl;
+const served = [];
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    served.push(req.url);
+    const file = path.join(HTML_DIR, "codechef", `${req.url}.html`);
+    if (fs.existsSync(file)) {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end(fs.readFileSync(file));
+    } else {
+      res.writeHead(200);
+      res.end("");
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await browserPool.close();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+afterEach(() => {
+  served.length = 0;
+});
+
+// Stand-in for a puppeteer Browser: navigations go to the stub server and
+// every <img>/<link> in the page is offered to the request interceptor.
+function fakeLaunch(stats = { launched: 0, openPages: 0, maxOpenPages: 0 }) {
+  const launch = async () => {
+    stats.launched++;
+    return {
+      on() {},
+      close: async () => {},
+      newPage: async () => {
+        stats.openPages++;
+        stats.maxOpenPages = Math.max(stats.maxOpenPages, stats.openPages);
+        const interceptors = [];
+        let html = "";
+
+        return {
+          setUserAgent: async () => {},
+          setDefaultTimeout() {},
+          setRequestInterception: async () => {},
+          on: (event, handler) => interceptors.push(handler),
+          goto: async (url) => {
+            const res = await fetch(`${baseUrl}${new URL(url).pathname}`);
+            html = await res.text();
+            const resources = html.matchAll(/<(img|link)[^>]+(?:src|href)="([^"]+)"/g);
+            const loads = [];
+            for (const [, tag, src] of resources) {
+              const type = tag === "img" ? "image" : "stylesheet";
+              for (const intercept of interceptors) {
+                intercept({
+                  resourceType: () => type,
+                  abort() {},
+                  continue: () => loads.push(fetch(`${baseUrl}${src}`)),
+                });
+              }
+            }
+            // Like domcontentloaded: subresources the page let through
+            // have been requested before navigation resolves
+            await Promise.all(loads);
+            return { status: () => res.status };
+          },
+          waitForSelector: async () => {},
+          content: async () => html,
+          close: async () => {
+            stats.openPages--;
+          },
+        };
+      },
+    };
+  };
+  return { launch, stats };
+}
+
+const poolConfig = {
+  ...headlessConfig,
+  poolSize: 1,
+  pagesPerBrowser: 1,
+  blockedResourceTypes: ["image", "font"],
+};
+
+describe("BrowserPool", () => {
+  it("renders a page and skips blocked resource types", async () => {
+    const { launch } = fakeLaunch();
+    const pool = new BrowserPool(poolConfig, { launch });
+
+    const { status, html } = await pool.fetchHtml("https://www.codechef.com/users/grinder");
+
+    expect(status).toBe(200);
+    expect(html).toContain("rating-number");
+    expect(served).toEqual(["/users/grinder", "/style.css"]);
+  });
+
+  it("shares one browser and queues fetches beyond its page limit", async () => {
+    const { launch, stats } = fakeLaunch();
+    const pool = new BrowserPool(poolConfig, { launch });
+
+    await Promise.all([
+      pool.fetchHtml("https://www.codechef.com/users/grinder"),
+      pool.fetchHtml("https://www.codechef.com/users/grinder"),
+      pool.fetchHtml("https://www.codechef.com/users/grinder"),
+    ]);
+
+    expect(stats).toMatchObject({ launched: 1, maxOpenPages: 1, openPages: 0 });
+  });
+
+  it("relaunches after a browser fails to start", async () => {
+    const pool = new BrowserPool(poolConfig, {
+      launch: async () => {
+        throw new Error("Headless fetching needs the optional puppeteer package");
+      },
+    });
+    await expect(pool.fetchHtml(`${baseUrl}/users/grinder`)).rejects.toThrow("puppeteer");
+
+    pool.launch = fakeLaunch().launch;
+    await expect(pool.fetchHtml(`${baseUrl}/users/grinder`)).resolves.toMatchObject({
+      status: 200,
+    });
+  });
+});
+
+describe("codechef headless fallback", () => {
+  afterEach(async () => {
+    headlessConfig.enabled = false;
+    await browserPool.close();
+  });
+
+  it("is not used while disabled", async () => {
+    await expect(
+      withHttpFixture("codechef/cloudflare", () => codechef.fetch("grinder"))
+    ).rejects.toThrow("CodeChef blocked the request");
+    expect(served).toEqual([]);
+  });
+
+  it("renders the profile when the static page is a Cloudflare challenge", async () => {
+    headlessConfig.enabled = true;
+    browserPool.launch = fakeLaunch().launch;
+
+    const raw = await withHttpFixture("codechef/cloudflare", () => codechef.fetch("grinder"));
+
+    expect(raw).toMatchObject({ rating: 1789, totalSolved: 187, rank: "10234" });
+  });
+});
+
+// Same page through a real browser, when puppeteer and Chrome are installed
+const puppeteer = await import("puppeteer").catch(() => null);
+
+(puppeteer ? describe : describe.skip)("BrowserPool with puppeteer", () => {
+  it("renders the stub server page", async () => {
+    const pool = new BrowserPool({ ...headlessConfig, blockedResourceTypes: ["image"] });
+    try {
+      const { html } = await pool.fetchHtml(`${baseUrl}/users/grinder`);
+      expect(html).toContain("rating-number");
+      expect(served).not.toContain("/avatar.png");
+    } finally {
+      await pool.close();
+    }
+  });
+});
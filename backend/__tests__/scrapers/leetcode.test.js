@@ -0,0 +1,69 @@
+import { describe, it, expect } from "@jest/globals";
+import leetcode from "../../src/services/platforms/leetcode.adapter.js";
+import { withHttpFixture } from "../helpers/httpFixtures.js";
+import { expectGolden } from "../helpers/golden.js";
+
+describe("leetcode adapter", () => {
+  it("normalizes a recorded profile", async () => {
+    const raw = await withHttpFixture("leetcode/profile", () =>
+      leetcode.fetch("grinder")
+    );
+    expectGolden("leetcode", leetcode.normalize(raw, "grinder"));
+  });
+
+  it("builds rating history from the same contest data", async () => {
+    const history = await withHttpFixture("leetcode/profile", () =>
+      leetcode.fetchRatingHistory("grinder")
+    );
+    expect(history.map((c) => [c.oldRating, c.newRating])).toEqual([
+      [1500, 1540],
+      [1540, 1703],
+      [1703, 1688],
+    ]);
+  });
+
+  it("exposes the profile name for ownership verification", async () => {
+    const raw = await withHttpFixture("leetcode/profile", () =>
+      leetcode.fetch("grinder")
+    );
+    expect(leetcode.profileText(raw)).toContain("Grace Grinder");
+  });
+
+  it("syncs recent accepts after the cursor, once per problem", async () => {
+    const { activities, cursor } = await withHttpFixture("leetcode/recent-ac", () =>
+      leetcode.fetchActivities("grinder", {
+        lastSubmissionId: "100",
+        lastSubmissionAt: new Date(1704300000 * 1000),
+      })
+    );
+
+    expect(activities).toEqual([
+      expect.objectContaining({
+        problemId: "two-sum",
+        difficulty: "easy",
+        solvedAt: new Date(1704400000 * 1000),
+        tags: ["Array", "Hash Table"],
+      }),
+      expect.objectContaining({ problemId: "add-two-numbers", difficulty: "medium" }),
+    ]);
+    expect(cursor.lastSubmissionId).toBe("103");
+  });
+
+  it("maps a missing user to 404", async () => {
+    await expect(
+      withHttpFixture("leetcode/not-found", () => leetcode.fetch("grinder"))
+    ).rejects.toMatchObject({ statusCode: 404, errorCode: "USER_NOT_FOUND" });
+  });
+
+  it("maps HTTP 429 to a rate-limit error", async () => {
+    await expect(
+      withHttpFixture("leetcode/rate-limited", () => leetcode.fetch("grinder"))
+    ).rejects.toMatchObject({ statusCode: 429, errorCode: "RATE_LIMITED" });
+  });
+
+  it("treats a Cloudflare challenge as upstream unavailable", async () => {
+    await expect(
+      withHttpFixture("leetcode/cloudflare", () => leetcode.fetch("grinder"))
+    ).rejects.toMatchObject({ statusCode: 503, errorCode: "UPSTREAM_UNAVAILABLE" });
+  });
+});
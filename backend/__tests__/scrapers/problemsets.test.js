@@ -0,0 +1,44 @@
+import { describe, it, expect } from "@jest/globals";
+import cses from "../../src/services/platforms/cses.adapter.js";
+import spoj from "../../src/services/platforms/spoj.adapter.js";
+import kattis from "../../src/services/platforms/kattis.adapter.js";
+import { withHttpFixture } from "../helpers/httpFixtures.js";
+import { expectGolden } from "../helpers/golden.js";
+
+describe("problem-set trackers", () => {
+  it("reports CSES progress per section", async () => {
+    const raw = await withHttpFixture("cses/profile", () => cses.fetch("123456"));
+    const normalized = cses.normalize(raw, "123456");
+
+    expect(normalized.extra.sections).toContainEqual({
+      name: "Dynamic Programming",
+      solved: 3,
+      total: 7,
+    });
+    expectGolden("cses", normalized);
+  });
+
+  it("normalizes a SPOJ profile", async () => {
+    const raw = await withHttpFixture("spoj/profile", () => spoj.fetch("grinder"));
+    expectGolden("spoj", spoj.normalize(raw, "grinder"));
+  });
+
+  it("treats the SPOJ front-page redirect as a missing user", async () => {
+    await expect(
+      withHttpFixture("spoj/not-found", () => spoj.fetch("grinder"))
+    ).rejects.toThrow("User not found");
+  });
+
+  it("normalizes a Kattis profile across solved pages", async () => {
+    const raw = await withHttpFixture("kattis/profile", () =>
+      kattis.fetch("grinder")
+    );
+    expectGolden("kattis", kattis.normalize(raw, "grinder"));
+  });
+
+  it("flags a changed Kattis layout", async () => {
+    await expect(
+      withHttpFixture("kattis/changed-layout", () => kattis.fetch("grinder"))
+    ).rejects.toThrow("Unrecognised Kattis profile layout");
+  });
+});
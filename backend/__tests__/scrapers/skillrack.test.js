@@ -0,0 +1,24 @@
+import { describe, it, expect } from "@jest/globals";
+import skillrack from "../../src/services/platforms/skillrack.adapter.js";
+import { withHttpFixture } from "../helpers/httpFixtures.js";
+import { expectGolden } from "../helpers/golden.js";
+
+const HANDLE = "484170-0f1e2d3c4b5a";
+
+describe("skillrack adapter", () => {
+  it("normalizes a recorded resume page", async () => {
+    const raw = await withHttpFixture("skillrack/profile", () =>
+      skillrack.fetch(HANDLE)
+    );
+    expectGolden("skillrack", skillrack.normalize(raw, HANDLE));
+  });
+
+  it.each([
+    ["skillrack/not-found", "User not found"],
+    ["skillrack/changed-layout", "Unrecognised SkillRack profile layout"],
+  ])("%s -> %s", async (fixture, message) => {
+    await expect(
+      withHttpFixture(fixture, () => skillrack.fetch(HANDLE))
+    ).rejects.toThrow(message);
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, it, expect } from "@jest/globals";
+import { longestStreakFor } from "../../src/services/badge.service.js";
+
+describe("longestStreakFor", () => {
+  const user = { longestStreak: 40 };
+  const combined = { longestUnfrozen: 25 };
+
+  it("takes freeze-bridged streaks only where frozen days count", () => {
+    expect(longestStreakFor({ type: "streak", value: 30, countFrozenDays: true }, user, combined)).toBe(40);
+    expect(longestStreakFor({ type: "streak", value: 30, countFrozenDays: false }, user, combined)).toBe(25);
+    expect(longestStreakFor({ type: "streak", value: 30, countFrozenDays: false }, user, null)).toBe(0);
+  });
+
+  it("keeps badges stored before the flag on the plain longest streak", () => {
+    expect(longestStreakFor({ type: "streak", value: 30 }, user, combined)).toBe(40);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  calibrate,
+  calibrateDifficulty,
+  difficultyBucket,
+} from "../../src/services/normalization/difficulty.normalizer.js";
+
+describe("calibrateDifficulty", () => {
+  it("puts a hard LeetCode problem next to an 1800 Codeforces one", () => {
+    expect(calibrate("leetcode", "Hard")).toEqual({ score: 2000, bucket: "hard" });
+    expect(calibrate("codeforces", 1800)).toEqual({ score: 1800, bucket: "hard" });
+    expect(calibrate("leetcode", "easy").bucket).toBe(calibrate("codeforces", 1000).bucket);
+  });
+
+  it("converts native scales", () => {
+    // AtCoder Problems estimate (AtCoder rating scale)
+    expect(calibrateDifficulty("atcoder", 2000)).toBe(2080);
+    // trivial AtCoder tasks have negative estimates
+    expect(calibrateDifficulty("atcoder", -900)).toBe(890);
+    expect(calibrateDifficulty("codechef", 2050)).toBe(1800);
+    expect(calibrateDifficulty("codechef", "4★")).toBe(1650);
+    expect(calibrateDifficulty("codewars", "8 kyu")).toBe(800);
+    expect(calibrateDifficulty("codewars", -2)).toBe(2180);
+    expect(calibrateDifficulty("kattis", 5.2)).toBe(2060);
+    expect(calibrateDifficulty("gfg", "School")).toBe(800);
+    expect(calibrateDifficulty("codeforces", 5000)).toBe(3500);
+  });
+
+  it("returns null for unknown difficulties", () => {
+    expect(calibrateDifficulty("codeforces", null)).toBeNull();
+    expect(calibrateDifficulty("leetcode", "impossible")).toBeNull();
+    expect(calibrateDifficulty("cses", 1)).toBeNull();
+    expect(calibrate("codeforces", undefined)).toEqual({ score: null, bucket: "medium" });
+  });
+});
+
+describe("difficultyBucket", () => {
+  it("uses configurable thresholds", () => {
+    const config = { easyBelow: 1400, hardFrom: 2100, unratedBucket: "easy" };
+    expect(difficultyBucket(1300, config)).toBe("easy");
+    expect(difficultyBucket(2000, config)).toBe("medium");
+    expect(difficultyBucket(2100, config)).toBe("hard");
+    expect(difficultyBucket(null, config)).toBe("easy");
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  heatmapRange,
+  mergeHeatmap,
+  parsePlatforms,
+} from "../../src/services/heatmap.service.js";
+
+describe("mergeHeatmap", () => {
+  const activities = [
+    { platform: "codeforces", problemId: "1A", problemName: "Theatre Square", solvedAt: new Date("2024-01-01T20:00:00Z") },
+    { platform: "codeforces", problemId: "4A", problemName: "Watermelon", solvedAt: new Date("2024-01-02T10:00:00Z") },
+    { platform: "leetcode", problemId: "two-sum", problemName: "Two Sum", solvedAt: new Date("2024-01-02T11:00:00Z") },
+  ];
+  const calendars = new Map([
+    ["leetcode", [{ date: "2024-01-02", count: 3 }, { date: "2023-12-01", count: 5 }]],
+    ["github", [{ date: "2024-01-03", count: 7 }, { date: "2024-01-04", count: 0 }]],
+  ]);
+  const range = { from: "2024-01-01", to: "2024-01-10" };
+
+  it("merges platforms per day with a breakdown", () => {
+    const days = mergeHeatmap({ activities, calendars, ...range, timeZone: "UTC" });
+    expect(days.map((day) => [day.date, day.count])).toEqual([
+      ["2024-01-01", 1],
+      ["2024-01-02", 2],
+      ["2024-01-03", 7],
+    ]);
+    // from the first stored solve on, stored solves replace the calendar
+    expect(days[1].platforms).toEqual({
+      codeforces: { count: 1, problems: [{ id: "4A", name: "Watermelon" }] },
+      leetcode: { count: 1, problems: [{ id: "two-sum", name: "Two Sum" }] },
+    });
+  });
+
+  it("puts an evening solve west of UTC on one local day", () => {
+    // 20:00 in Los Angeles is already the next day in UTC, as on the
+    // platform's own calendar
+    const solve = {
+      platform: "codeforces",
+      problemId: "1A",
+      problemName: "Theatre Square",
+      solvedAt: new Date("2026-03-10T03:00:00Z"),
+    };
+    const days = mergeHeatmap({
+      activities: [solve],
+      calendars: new Map([["codeforces", [{ date: "2026-03-10", count: 1 }]]]),
+      from: "2026-03-01",
+      to: "2026-03-31",
+      timeZone: "America/Los_Angeles",
+    });
+    expect(days.map((day) => [day.date, day.count])).toEqual([["2026-03-09", 1]]);
+  });
+
+  it("keeps a LeetCode calendar before the recent accepted submissions", () => {
+    const calendar = [
+      { date: "2024-01-01", count: 4 },
+      { date: "2024-01-05", count: 2 },
+      { date: "2024-01-09", count: 3 },
+    ];
+    const recent = [
+      { platform: "leetcode", problemId: "two-sum", problemName: "Two Sum", solvedAt: new Date("2024-01-09T08:00:00Z") },
+    ];
+    const days = mergeHeatmap({
+      activities: recent,
+      calendars: new Map([["leetcode", calendar]]),
+      ...range,
+      timeZone: "UTC",
+    });
+    expect(days.map((day) => [day.date, day.count])).toEqual([
+      ["2024-01-01", 4],
+      ["2024-01-05", 2],
+      ["2024-01-09", 1],
+    ]);
+    expect(days[2].platforms.leetcode.problems).toEqual([{ id: "two-sum", name: "Two Sum" }]);
+  });
+
+  it("buckets stored solves in the user's timezone", () => {
+    const days = mergeHeatmap({ activities, ...range, timeZone: "Asia/Kolkata" });
+    expect(days).toHaveLength(1);
+    expect(days[0].platforms.codeforces.problems.map((p) => p.id)).toEqual(["1A", "4A"]);
+  });
+
+  it("marks frozen days", () => {
+    const days = mergeHeatmap({ frozenDays: ["2024-01-05", "2023-01-01"], ...range, timeZone: "UTC" });
+    expect(days).toEqual([{ date: "2024-01-05", count: 0, platforms: {}, frozen: true }]);
+  });
+});
+
+describe("heatmapRange", () => {
+  it("defaults to the year up to today", () => {
+    expect(heatmapRange({}, "2024-12-30")).toEqual({ from: "2024-01-01", to: "2024-12-30" });
+    expect(heatmapRange({ from: "2024-03-01" }, "2024-03-05")).toEqual({ from: "2024-03-01", to: "2024-03-05" });
+  });
+
+  it("rejects bad ranges", () => {
+    expect(() => heatmapRange({ from: "2024-02-30" }, "2024-03-05")).toThrow("YYYY-MM-DD");
+    expect(() => heatmapRange({ to: "2024-13-01" }, "2024-03-05")).toThrow("YYYY-MM-DD");
+    expect(() => heatmapRange({ from: "2024-03-06" }, "2024-03-05")).toThrow("after");
+    expect(() => heatmapRange({ from: "2010-01-01" }, "2024-03-05")).toThrow("at most");
+  });
+});
+
+describe("parsePlatforms", () => {
+  it("parses and validates platform ids", () => {
+    expect(parsePlatforms(undefined)).toBeNull();
+    expect(parsePlatforms("LeetCode, codeforces,leetcode")).toEqual(["leetcode", "codeforces"]);
+    expect(() => parsePlatforms("leetcode,myspace")).toThrow("Unknown platform: myspace");
+  });
+});
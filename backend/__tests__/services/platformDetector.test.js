@@ -0,0 +1,19 @@
+import { describe, it, expect } from "@jest/globals";
+import { detectPlatformAndUsername } from "../../src/services/platformDetector.service.js";
+import { listPlatforms } from "../../src/services/platformRegistry.service.js";
+import { PLATFORMS } from "../../src/constants/platforms.js";
+
+describe("detectPlatformAndUsername", () => {
+  it("returns the platform constants", () => {
+    expect(detectPlatformAndUsername("https://open.kattis.com/users/grinder")).toEqual({
+      platform: PLATFORMS.KATTIS,
+      username: "grinder",
+    });
+  });
+
+  it("has a constant for every registered platform", () => {
+    for (const adapter of listPlatforms()) {
+      expect(Object.values(PLATFORMS)).toContain(adapter.id.toUpperCase());
+    }
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect, afterEach, jest } from "@jest/globals";
+import Problem from "../../src/models/problem.model.js";
+import Activity from "../../src/models/activity.model.js";
+import {
+  canonicalUrl,
+  titleKey,
+  statementHash,
+  findMirror,
+  countDuplicates,
+  problemUrlFor,
+  lookupProblemKeys,
+  duplicateSolvesByUser,
+} from "../../src/services/problemCatalog.service.js";
+import { PROBLEM_MAPPINGS, TITLE_MIRRORS } from "../../src/constants/problemMappings.js";
+import codeforces from "../../src/services/platforms/codeforces.adapter.js";
+import cses from "../../src/services/platforms/cses.adapter.js";
+import spoj from "../../src/services/platforms/spoj.adapter.js";
+import kattis from "../../src/services/platforms/kattis.adapter.js";
+import { withHttpFixture } from "../helpers/httpFixtures.js";
+
+describe("canonicalUrl", () => {
+  it("folds aliases of the same problem page", () => {
+    expect(canonicalUrl("https://codeforces.com/problemset/problem/4/A")).toBe(
+      canonicalUrl("http://www.codeforces.com/contest/4/problem/A/")
+    );
+    expect(canonicalUrl("https://leetcode.cn/problems/two-sum/description/?envType=daily")).toBe(
+      "leetcode.com/problems/two-sum"
+    );
+    expect(canonicalUrl(problemUrlFor("spoj", "TEST"))).toBe("spoj.com/problems/test");
+    expect(canonicalUrl("https://nus.kattis.com/problems/hello")).toBe(
+      canonicalUrl(problemUrlFor("kattis", "hello"))
+    );
+  });
+
+  it("keeps different problems apart", () => {
+    expect(canonicalUrl("https://codeforces.com/gym/100001/problem/A")).not.toBe(
+      canonicalUrl("https://codeforces.com/contest/1/problem/A")
+    );
+    expect(canonicalUrl("not a url")).toBe("");
+  });
+});
+
+describe("titleKey and statementHash", () => {
+  it("ignore contest indexes, case, accents and punctuation", () => {
+    expect(titleKey("D. Café Queries!")).toBe("cafe queries");
+    expect(titleKey("A1 - Frog 1")).toBe("frog 1");
+    expect(statementHash("Given  N\nnumbers")).toBe(statementHash("given n numbers"));
+    expect(statementHash("")).toBeNull();
+  });
+});
+
+describe("findMirror", () => {
+  const catalog = [
+    {
+      key: "atcoder:dp_a",
+      titleKey: "frog 1",
+      statementHash: "abc",
+      urls: ["atcoder.jp/contests/dp/tasks/dp_a"],
+      sources: [{ platform: "atcoder", problemId: "dp_a" }],
+    },
+    {
+      key: "lintcode:1",
+      titleKey: "a b problem",
+      urls: ["lintcode.com/problem/1"],
+      sources: [{ platform: "lintcode", problemId: "1" }],
+    },
+  ];
+
+  it("matches on URL, then statement", () => {
+    expect(
+      findMirror({ url: "https://atcoder.jp/contests/dp/tasks/dp_a/" }, "codeforces", catalog)
+    ).toBe(catalog[0]);
+    expect(findMirror({ statementHash: "abc" }, "codeforces", catalog)).toBe(catalog[0]);
+  });
+
+  it("matches on title only between mirror platforms", () => {
+    expect(findMirror({ title: "Frog 1" }, "codeforces", catalog)).toBeNull();
+    expect(
+      findMirror({ title: "A + B Problem" }, "leetcode", catalog, [["leetcode", "lintcode"]])
+    ).toBe(catalog[1]);
+    expect(
+      findMirror({ title: "A + B Problem" }, "lintcode", catalog, [["leetcode", "lintcode"]])
+    ).toBeNull();
+  });
+});
+
+describe("countDuplicates", () => {
+  it("counts each canonical problem once per user", () => {
+    const duplicates = countDuplicates([
+      { user: "u1", key: "atcoder:dp_a" },
+      { user: "u1", key: "atcoder:dp_a" },
+      { user: "u1", key: "cses:1068" },
+      { user: "u2", key: "atcoder:dp_a" },
+    ]);
+    expect(duplicates.get("u1")).toBe(1);
+    expect(duplicates.get("u2")).toBe(0);
+  });
+});
+
+describe("dedup over real adapter output", () => {
+  // An empty catalog and no synced activities: only the curated file
+  // can tell the platforms' problems apart
+  const emptyQuery = () => ({ select: () => ({ lean: async () => [] }) });
+  afterEach(() => jest.restoreAllMocks());
+
+  async function itemizedOutput() {
+    const { activities } = await withHttpFixture("codeforces/submissions", () =>
+      codeforces.fetchActivities("grinder", null)
+    );
+    // one fixture at a time: each swaps the axios adapter
+    const lists = [];
+    for (const [adapter, fixture, handle] of [
+      [cses, "cses/profile", "123456"],
+      [spoj, "spoj/profile", "grinder"],
+      [kattis, "kattis/profile", "grinder"],
+    ]) {
+      const raw = await withHttpFixture(fixture, () => adapter.fetch(handle));
+      lists.push([adapter.id, adapter.normalize(raw, handle).extra.solvedProblems]);
+    }
+    return {
+      codeforces: activities.map((activity) => activity.problemId),
+      ...Object.fromEntries(lists),
+    };
+  }
+
+  it("only maps problems the adapters actually report", async () => {
+    // LeetCode syncs recent accepted submissions as activities too
+    const itemized = [...Object.keys(await itemizedOutput()), "leetcode"];
+    for (const { sources } of PROBLEM_MAPPINGS) {
+      for (const { platform, problemId } of sources) {
+        expect(itemized).toContain(platform);
+        expect(typeof problemId).toBe("string");
+      }
+    }
+    for (const platform of TITLE_MIRRORS.flat()) expect(itemized).toContain(platform);
+  });
+
+  it("keeps the problems of real solved lists apart", async () => {
+    const output = await itemizedOutput();
+    jest.spyOn(Problem, "find").mockImplementation(emptyQuery);
+    jest.spyOn(Activity, "find").mockImplementation(emptyQuery);
+
+    const accounts = Object.keys(output).map((platform) => ({
+      user: "u1",
+      platform,
+      handleKey: "grinder",
+    }));
+    const solvedLists = new Map(
+      Object.entries(output).map(([platform, ids]) => [`${platform}:grinder`, ids])
+    );
+    const keys = new Map();
+    for (const [platform, ids] of Object.entries(output)) {
+      for (const [id, key] of await lookupProblemKeys(platform, ids)) keys.set(`${platform}:${id}`, key);
+    }
+
+    // none of these problems is a mirror of another
+    const duplicates = await duplicateSolvesByUser(accounts, solvedLists);
+    expect(duplicates.get("u1")).toBe(0);
+    expect(new Set(keys.values()).size).toBe(keys.size);
+    expect(keys.get("spoj:TEST")).toBe("spoj:TEST");
+    expect(keys.get("kattis:hello")).toBe("kattis:hello");
+  });
+});
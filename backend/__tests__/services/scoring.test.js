@@ -0,0 +1,122 @@
+import { describe, it, expect } from "@jest/globals";
+import { resolveScoringRules, scoreUser } from "../../src/services/scoring.service.js";
+
+const rules = resolveScoringRules({
+  difficulty: { easy: 10, medium: 20, hard: 40 },
+  platforms: { default: 1, codeforces: 1.5 },
+  streak: [{ minDays: 3, multiplier: 2 }],
+  firstSolveBonus: 5,
+  contest: { participation: 25, ratingGain: 0.5 },
+});
+
+const solve = (id, platform, solvedAt, extra = {}) => ({
+  _id: id,
+  platform,
+  problemId: id,
+  problemName: `Problem ${id}`,
+  difficulty: "medium",
+  difficultyScore: null,
+  solvedAt: new Date(solvedAt),
+  ...extra,
+});
+
+describe("resolveScoringRules", () => {
+  it("fills missing values from the defaults", () => {
+    const resolved = resolveScoringRules({ difficulty: { hard: 100 } });
+    expect(resolved.difficulty).toEqual({ easy: 10, medium: 20, hard: 100 });
+    expect(resolved.platforms.github).toBe(0);
+    expect(resolved.contest.participation).toBe(25);
+  });
+
+  it("rejects bad values", () => {
+    expect(() => resolveScoringRules({ difficulty: { easy: -1 } })).toThrow("difficulty.easy");
+    expect(() => resolveScoringRules({ platforms: { leetcode: "2" } })).toThrow("platforms.leetcode");
+    expect(() => resolveScoringRules({ streak: [{ minDays: 0, multiplier: 2 }] })).toThrow("streak");
+    expect(() => resolveScoringRules({ bonusForStyle: 10 })).toThrow("bonusForStyle");
+  });
+});
+
+describe("scoreUser", () => {
+  it("explains every solved problem's points", () => {
+    const { total, breakdown, items, activityPoints } = scoreUser({
+      activities: [
+        solve("a", "codeforces", "2024-01-01T10:00:00Z", { difficultyScore: 1900 }),
+        solve("b", "leetcode", "2024-01-02T10:00:00Z", { difficulty: "easy" }),
+      ],
+      timeZone: "UTC",
+      rules,
+    });
+    // hard on Codeforces: 40 * 1.5 + 5; easy on LeetCode: 10 + 5
+    expect(activityPoints.get("a")).toBe(65);
+    expect(activityPoints.get("b")).toBe(15);
+    expect(total).toBe(80);
+    expect(breakdown.solves.byPlatform).toEqual({
+      codeforces: { points: 60, count: 1 },
+      leetcode: { points: 10, count: 1 },
+    });
+    expect(breakdown.firstSolveBonus).toEqual({ points: 10, count: 2 });
+    expect(items[0]).toMatchObject({
+      kind: "solve",
+      ref: "b",
+      points: 15,
+      parts: { base: 10, platform: 1, streak: 1, firstSolveBonus: 5 },
+    });
+  });
+
+  it("applies streak multipliers and one first-solve bonus per problem", () => {
+    const { activityPoints, breakdown } = scoreUser({
+      activities: [
+        solve("a", "leetcode", "2024-01-03T10:00:00Z", { problemKey: "two-sum" }),
+        solve("b", "lintcode", "2024-01-04T10:00:00Z", { problemKey: "two-sum" }),
+      ],
+      streakDays: ["2024-01-01", "2024-01-02", "2024-01-03"],
+      timeZone: "UTC",
+      rules,
+    });
+    // day 3 of a streak doubles; the mirror solve a day later is day 1
+    expect(activityPoints.get("a")).toBe(45);
+    expect(activityPoints.get("b")).toBe(20);
+    expect(breakdown.streakBonus.points).toBe(20);
+    expect(breakdown.firstSolveBonus.count).toBe(1);
+  });
+
+  it("scores solves only known as counts and rated contests", () => {
+    const { total, breakdown } = scoreUser({
+      activities: [solve("a", "leetcode", "2024-01-01T10:00:00Z", { difficulty: "hard" })],
+      stats: new Map([
+        ["leetcode", { stats: { totalSolved: 4 }, difficulty: { easy: 2, medium: 1, hard: 1 } }],
+        ["cses", { stats: { totalSolved: 3 }, difficulty: null }],
+      ]),
+      contests: [
+        { platform: "codeforces", contestId: "1", contestName: "Round 1", date: "2024-01-01", oldRating: 0, delta: 1400 },
+        { platform: "codeforces", contestId: "2", contestName: "Round 2", date: "2024-02-01", oldRating: 1400, delta: 60 },
+        { platform: "codeforces", contestId: "3", contestName: "Round 3", date: "2024-03-01", oldRating: 1460, delta: -30 },
+      ],
+      timeZone: "UTC",
+      rules,
+    });
+    // LeetCode: stored hard + 2 easy + 1 medium more; CSES: 3 unrated
+    // (medium) at the default 1.1 multiplier
+    expect(breakdown.countedSolves).toEqual({
+      points: 40 + 66,
+      count: 6,
+      byPlatform: { leetcode: { points: 40, count: 3 }, cses: { points: 66, count: 3 } },
+    });
+    // a first rated contest gains nothing; losses count as 0
+    expect(breakdown.contests).toMatchObject({ count: 3, participation: 75, ratingGain: 30, points: 105 });
+    expect(total).toBe(45 + 106 + 105);
+  });
+
+  it("gives no rating gain for a LeetCode first contest off the 1500 seed", () => {
+    const { breakdown } = scoreUser({
+      contests: [
+        { platform: "leetcode", contestId: "weekly-contest-2", contestName: "Weekly 2", date: "2024-01-14", oldRating: 1620, delta: 40 },
+        { platform: "leetcode", contestId: "weekly-contest-1", contestName: "Weekly 1", date: "2024-01-07", oldRating: 1500, delta: 120 },
+      ],
+      timeZone: "UTC",
+      rules,
+    });
+    // only the second contest gains, at the rule's rate
+    expect(breakdown.contests).toMatchObject({ count: 2, participation: 50, ratingGain: 20 });
+  });
+});
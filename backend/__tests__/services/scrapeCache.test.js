@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import {
+  StatsCache,
+  MemoryCacheStore,
+  ttlFor,
+} from "../../src/services/scrapeCache.service.js";
+
+const HOUR = 60 * 60 * 1000;
+
+describe("StatsCache", () => {
+  let now;
+  let cache;
+  let load;
+
+  beforeEach(() => {
+    now = Date.parse("2024-06-01T00:00:00Z");
+    cache = new StatsCache(new MemoryCacheStore(), {
+      now: () => now,
+      onError: () => {},
+    });
+    let calls = 0;
+    load = jest.fn(async () => ({ totalSolved: ++calls }));
+  });
+
+  it("loads on a miss and serves the cached copy while fresh", async () => {
+    const first = await cache.get("leetcode", "Grinder", load);
+    now += ttlFor("leetcode") - 1;
+    const second = await cache.get("leetcode", "grinder", load);
+
+    expect(first).toMatchObject({ stale: false, cached: false });
+    expect(second).toMatchObject({ stale: false, cached: true, etag: first.etag });
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  it("serves stale data and revalidates in the background", async () => {
+    await cache.get("leetcode", "grinder", load);
+    now += ttlFor("leetcode") + 1;
+
+    const stale = await cache.get("leetcode", "grinder", load);
+    expect(stale).toMatchObject({ stale: true, data: { totalSolved: 1 } });
+
+    await Promise.all(cache.inFlight.values());
+    const fresh = await cache.get("leetcode", "grinder", load);
+    expect(fresh).toMatchObject({ stale: false, data: { totalSolved: 2 } });
+    expect(fresh.etag).not.toBe(stale.etag);
+  });
+
+  it("refetches before responding once data is too old", async () => {
+    await cache.get("spoj", "grinder", load);
+    now += 25 * HOUR;
+
+    const result = await cache.get("spoj", "grinder", load);
+    expect(result).toMatchObject({ stale: false, cached: false, data: { totalSolved: 2 } });
+  });
+
+  it("bypasses the cache when forced", async () => {
+    await cache.get("codeforces", "grinder", load);
+    const forced = await cache.get("codeforces", "grinder", load, { force: true });
+
+    expect(forced.data.totalSolved).toBe(2);
+  });
+
+  it("shares one upstream fetch between concurrent misses", async () => {
+    const [a, b] = await Promise.all([
+      cache.get("codechef", "grinder", load),
+      cache.get("codechef", "grinder", load),
+    ]);
+
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(a.etag).toBe(b.etag);
+  });
+
+  it("does not cache failed loads", async () => {
+    const failing = jest.fn(async () => {
+      throw new Error("Rate limited");
+    });
+
+    await expect(cache.get("leetcode", "grinder", failing)).rejects.toThrow("Rate limited");
+    await expect(cache.get("leetcode", "grinder", load)).resolves.toMatchObject({
+      cached: false,
+    });
+  });
+});
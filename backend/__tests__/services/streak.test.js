@@ -0,0 +1,32 @@
+import { describe, it, expect } from "@jest/globals";
+import { activeDaysFrom } from "../../src/services/streak.service.js";
+
+describe("activeDaysFrom", () => {
+  it("counts a stored solve on the user's day and ignores that platform's UTC calendar", () => {
+    const activities = [{ platform: "codeforces", solvedAt: new Date("2026-03-10T03:00:00Z") }];
+    const calendars = new Map([
+      ["codeforces", [{ date: "2026-03-10", count: 1 }]],
+      ["github", [{ date: "2026-03-08", count: 2 }]],
+    ]);
+
+    const days = activeDaysFrom(activities, calendars, "America/Los_Angeles");
+    expect([...days.get("codeforces")]).toEqual(["2026-03-09"]);
+    expect([...days.get("github")]).toEqual(["2026-03-08"]);
+  });
+
+  it("keeps a LeetCode calendar before the recent accepted submissions", () => {
+    // the calendar covers a year; fetchActivities only returns recent ACs
+    const calendar = Array.from({ length: 30 }, (_, i) => ({
+      date: `2026-04-${String(i + 1).padStart(2, "0")}`,
+      count: 1,
+    }));
+    const activities = [
+      { platform: "leetcode", solvedAt: new Date("2026-04-29T10:00:00Z") },
+      { platform: "leetcode", solvedAt: new Date("2026-04-30T10:00:00Z") },
+    ];
+
+    const days = activeDaysFrom(activities, new Map([["leetcode", calendar]]), "UTC");
+    expect(days.get("leetcode").size).toBe(30);
+    expect(days.get("leetcode").has("2026-04-01")).toBe(true);
+  });
+});
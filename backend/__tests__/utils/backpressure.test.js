@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import {
+  Bulkhead,
+  BulkheadRegistry,
+  CircuitBreaker,
+  isUpstreamFailure,
+} from "../../src/utils/backpressure.util.js";
+
+const ok = () => Promise.resolve("ok");
+const outage = () => Promise.reject(Object.assign(new Error("Bad gateway"), { statusCode: 502 }));
+const notFound = () => Promise.reject(new Error("User not found"));
+
+describe("CircuitBreaker", () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 0;
+    breaker = new CircuitBreaker({
+      windowSize: 10,
+      minimumCalls: 4,
+      failureRate: 0.5,
+      openMs: 1000,
+      halfOpenTrials: 2,
+      now: () => now,
+    });
+  });
+
+  const fail = (n) => {
+    for (let i = 0; i < n; i++) {
+      breaker.tryAcquire();
+      breaker.onFailure();
+    }
+  };
+
+  it("opens on the failure rate, not on a few failures", () => {
+    fail(3);
+    expect(breaker.state).toBe("closed");
+
+    breaker.tryAcquire();
+    breaker.onSuccess();
+    fail(1);
+    expect(breaker.state).toBe("open");
+    expect(breaker.tryAcquire()).toBe(false);
+  });
+
+  it("lets a limited number of trials through once half-open", () => {
+    fail(4);
+    now += 1000;
+
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.state).toBe("half-open");
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.tryAcquire()).toBe(false);
+
+    breaker.onSuccess();
+    expect(breaker.state).toBe("half-open");
+    breaker.onSuccess();
+    expect(breaker.state).toBe("closed");
+    expect(breaker.getStats()).toMatchObject({ calls: 0, failureRate: 0 });
+  });
+
+  it("reopens when a trial fails", () => {
+    fail(4);
+    now += 1000;
+    breaker.tryAcquire();
+    breaker.onFailure();
+
+    expect(breaker.state).toBe("open");
+    now += 999;
+    expect(breaker.tryAcquire()).toBe(false);
+  });
+});
+
+describe("Bulkhead", () => {
+  it("queues past maxConcurrent and rejects past maxQueue", async () => {
+    const bulkhead = new Bulkhead("codechef", { maxConcurrent: 1, maxQueue: 1 });
+    let release;
+    const slow = bulkhead.process(() => new Promise((resolve) => (release = resolve)));
+    const queued = bulkhead.process(ok);
+
+    await expect(bulkhead.process(ok)).rejects.toThrow("Queue full");
+    expect(bulkhead.getStats()).toMatchObject({ processing: 1, queueSize: 1, rejected: 1 });
+
+    release("done");
+    await expect(slow).resolves.toBe("done");
+    await expect(queued).resolves.toBe("ok");
+  });
+
+  it("does not count client errors against the upstream", async () => {
+    const bulkhead = new Bulkhead("leetcode", { minimumCalls: 2 });
+    for (let i = 0; i < 5; i++) {
+      await expect(bulkhead.process(notFound)).rejects.toThrow("User not found");
+    }
+    expect(bulkhead.getStats().circuit.state).toBe("closed");
+
+    await expect(bulkhead.process(outage)).rejects.toThrow("Bad gateway");
+    await expect(bulkhead.process(outage)).rejects.toThrow("Bad gateway");
+    await expect(bulkhead.process(ok)).rejects.toThrow("Circuit breaker open");
+  });
+});
+
+describe("BulkheadRegistry", () => {
+  it("isolates platforms from each other's outages", async () => {
+    const registry = new BulkheadRegistry(
+      { codechef: { minimumCalls: 2 } },
+      { maxConcurrent: 2 }
+    );
+    await registry.process("codechef", outage).catch(() => {});
+    await registry.process("codechef", outage).catch(() => {});
+
+    await expect(registry.process("codechef", ok)).rejects.toThrow("Circuit breaker open");
+    await expect(registry.process("leetcode", ok)).resolves.toBe("ok");
+
+    const stats = registry.getStats();
+    expect(stats.codechef).toMatchObject({ circuitOpen: true, maxConcurrent: 2 });
+    expect(stats.leetcode).toMatchObject({ circuitOpen: false });
+  });
+});
+
+describe("isUpstreamFailure", () => {
+  it("counts outages, throttling and network errors only", () => {
+    expect(isUpstreamFailure({ statusCode: 503 })).toBe(true);
+    expect(isUpstreamFailure({ response: { status: 429 } })).toBe(true);
+    expect(isUpstreamFailure({ response: { status: 404 } })).toBe(false);
+    expect(isUpstreamFailure({ isAxiosError: true, message: "socket hang up" })).toBe(true);
+    expect(isUpstreamFailure(new Error("Invalid username"))).toBe(false);
+    expect(isUpstreamFailure(new Error("Request timeout"))).toBe(true);
+  });
+});
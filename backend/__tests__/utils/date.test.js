@@ -0,0 +1,46 @@
+import { describe, it, expect } from "@jest/globals";
+import { dateKey, addDays, daysBetween, isValidTimeZone } from "../../src/utils/date.util.js";
+import { computeStreak } from "../../src/utils/streak.util.js";
+
+describe("dateKey", () => {
+  // 20:00 UTC on Jan 1 is already Jan 2 in IST and still Jan 1 in PST
+  const evening = "2024-01-01T20:00:00Z";
+
+  it("buckets a timestamp into the day of the given zone", () => {
+    expect(dateKey(evening)).toBe("2024-01-01");
+    expect(dateKey(evening, "Asia/Kolkata")).toBe("2024-01-02");
+    expect(dateKey("2024-01-02T05:00:00Z", "America/Los_Angeles")).toBe("2024-01-01");
+  });
+
+  it("follows daylight saving time", () => {
+    // PDT (UTC-7) in July, PST (UTC-8) in January
+    expect(dateKey("2024-07-02T06:30:00Z", "America/Los_Angeles")).toBe("2024-07-01");
+    expect(dateKey("2024-07-02T07:30:00Z", "America/Los_Angeles")).toBe("2024-07-02");
+    expect(dateKey("2024-01-02T07:30:00Z", "America/Los_Angeles")).toBe("2024-01-01");
+  });
+
+  it("keeps an IST streak alive until IST midnight", () => {
+    // solved at 23:00 IST on Jan 1 and 23:30 IST on Jan 2
+    const days = ["2024-01-01T17:30:00Z", "2024-01-02T18:00:00Z"].map((t) =>
+      dateKey(t, "Asia/Kolkata")
+    );
+    expect(computeStreak(days, dateKey("2024-01-03T18:00:00Z", "Asia/Kolkata")).current).toBe(2);
+    expect(computeStreak(days, dateKey("2024-01-03T18:40:00Z", "Asia/Kolkata")).current).toBe(0);
+  });
+});
+
+describe("day arithmetic", () => {
+  it("adds and counts calendar days", () => {
+    expect(addDays("2024-02-28", 2)).toBe("2024-03-01");
+    expect(addDays("2024-01-01", -1)).toBe("2023-12-31");
+    expect(daysBetween("2024-03-09", "2024-03-11")).toBe(2);
+    expect(daysBetween("2024-03-11", "2024-03-09")).toBe(-2);
+  });
+
+  it("validates zone names", () => {
+    expect(isValidTimeZone("Asia/Kolkata")).toBe(true);
+    expect(isValidTimeZone("UTC")).toBe(true);
+    expect(isValidTimeZone("Mars/Olympus_Mons")).toBe(false);
+    expect(isValidTimeZone("")).toBe(false);
+  });
+});
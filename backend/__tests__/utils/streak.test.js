@@ -0,0 +1,83 @@
+import { describe, it, expect } from "@jest/globals";
+import { computeStreak, streakRuns, missedDays } from "../../src/utils/streak.util.js";
+
+describe("streakRuns", () => {
+  it("groups consecutive days across month boundaries", () => {
+    expect(streakRuns(["2024-03-01", "2024-02-28", "2024-02-29", "2024-03-01", "2024-03-05"])).toEqual([
+      { start: "2024-02-28", end: "2024-03-01", length: 3, frozenDays: [] },
+      { start: "2024-03-05", end: "2024-03-05", length: 1, frozenDays: [] },
+    ]);
+  });
+});
+
+describe("computeStreak", () => {
+  const days = ["2024-01-01", "2024-01-02", "2024-01-03", "2024-01-07", "2024-01-08"];
+
+  it("keeps a streak that ended yesterday alive", () => {
+    const streak = computeStreak(days, "2024-01-09");
+    expect(streak).toMatchObject({
+      current: 2,
+      currentStart: "2024-01-07",
+      longest: 3,
+      lastActiveDate: "2024-01-08",
+    });
+    expect(streak.history).toEqual([
+      { start: "2024-01-01", end: "2024-01-03", length: 3, frozenDays: [], brokenOn: "2024-01-04" },
+    ]);
+  });
+
+  it("breaks the streak after a missed day", () => {
+    const streak = computeStreak(days, "2024-01-10");
+    expect(streak.current).toBe(0);
+    expect(streak.currentStart).toBeNull();
+    expect(streak.history.map((run) => run.brokenOn)).toEqual(["2024-01-09", "2024-01-04"]);
+  });
+
+  it("ignores days after today and handles no activity", () => {
+    expect(computeStreak(days, "2024-01-02")).toMatchObject({ current: 2, longest: 2 });
+    expect(computeStreak([], "2024-01-02")).toEqual({
+      current: 0,
+      currentActive: 0,
+      currentStart: null,
+      currentFrozenDays: [],
+      longest: 0,
+      longestActive: 0,
+      longestUnfrozen: 0,
+      lastActiveDate: null,
+      history: [],
+    });
+  });
+
+  it("bridges missed days with frozen ones and counts them apart", () => {
+    const frozen = ["2024-01-04", "2024-01-05", "2024-01-06"];
+    const streak = computeStreak(days, "2024-01-09", frozen);
+    expect(streak).toMatchObject({
+      current: 8,
+      currentActive: 5,
+      currentStart: "2024-01-01",
+      currentFrozenDays: frozen,
+      longest: 8,
+      longestActive: 5,
+      longestUnfrozen: 3,
+      lastActiveDate: "2024-01-08",
+      history: [],
+    });
+  });
+
+  it("keeps a frozen yesterday alive but never starts a streak with freezes", () => {
+    expect(computeStreak(["2024-01-01"], "2024-01-03", ["2024-01-02"]).current).toBe(2);
+    expect(computeStreak([], "2024-01-03", ["2024-01-02"]).current).toBe(0);
+    // a freeze on today is not spent yet
+    expect(computeStreak(["2024-01-01"], "2024-01-02", ["2024-01-02"]).currentFrozenDays).toEqual([]);
+  });
+});
+
+describe("missedDays", () => {
+  it("lists uncovered days between the last active day and today", () => {
+    expect(missedDays(["2024-01-01"], ["2024-01-02"], "2024-01-01", "2024-01-05")).toEqual([
+      "2024-01-03",
+      "2024-01-04",
+    ]);
+    expect(missedDays(["2024-01-01"], [], "2024-01-01", "2024-01-02")).toEqual([]);
+  });
+});
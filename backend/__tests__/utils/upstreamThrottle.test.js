@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import { AxiosError } from "axios";
+import {
+  TokenBucket,
+  UpstreamThrottle,
+  retryAfterAt,
+} from "../../src/utils/upstreamThrottle.util.js";
+
+const CF = "https://codeforces.com/api/user.info?handles=tourist";
+
+function httpError(status, headers = {}) {
+  return new AxiosError(`Request failed with status code ${status}`, "ERR_BAD_RESPONSE", {}, null, {
+    status,
+    headers,
+    data: "",
+  });
+}
+
+describe("TokenBucket", () => {
+  it("allows a burst of capacity, then one token per refill interval", () => {
+    let now = 0;
+    const bucket = new TokenBucket({ capacity: 2, refillMs: 1000, now: () => now });
+
+    expect([bucket.reserve(), bucket.reserve(), bucket.reserve(), bucket.reserve()]).toEqual([
+      0, 0, 1000, 2000,
+    ]);
+    now += 2000;
+    expect(bucket.reserve()).toBe(1000);
+  });
+
+  it("hands out nothing until a pause ends, then no burst", () => {
+    let now = 0;
+    const bucket = new TokenBucket({ capacity: 3, refillMs: 1000, now: () => now });
+
+    bucket.pauseUntil(5000);
+    expect(bucket.reserve()).toBe(5000);
+    expect(bucket.reserve()).toBe(6000);
+  });
+});
+
+describe("retryAfterAt", () => {
+  it("reads seconds, HTTP dates and GitHub rate-limit resets", () => {
+    const now = Date.parse("2024-06-01T00:00:00Z");
+    expect(retryAfterAt({ headers: { "retry-after": "7" } }, now)).toBe(now + 7000);
+    expect(
+      retryAfterAt({ headers: { "retry-after": "Sat, 01 Jun 2024 00:01:00 GMT" } }, now)
+    ).toBe(now + 60000);
+    expect(
+      retryAfterAt(
+        { headers: { "x-ratelimit-remaining": "0", "x-ratelimit-reset": String(now / 1000 + 90) } },
+        now
+      )
+    ).toBe(now + 90000);
+    expect(retryAfterAt({ headers: { "x-ratelimit-remaining": "12" } }, now)).toBeNull();
+  });
+});
+
+describe("UpstreamThrottle", () => {
+  let now;
+  let waits;
+  let throttle;
+
+  beforeEach(() => {
+    now = 0;
+    waits = [];
+    throttle = new UpstreamThrottle(
+      { "codeforces.com": { capacity: 1, refillMs: 2000 } },
+      { capacity: 5, refillMs: 100 },
+      {
+        now: () => now,
+        wait: async (ms) => {
+          waits.push(ms);
+          now += ms;
+        },
+        random: () => 0.5,
+        baseDelayMs: 1000,
+        maxWaitMs: 30000,
+      }
+    );
+  });
+
+  it("spaces Codeforces calls two seconds apart", async () => {
+    const send = jest.fn(async () => ({ status: 200, headers: {} }));
+
+    await throttle.request({ url: CF, method: "get" }, send);
+    await throttle.request({ url: CF, method: "get" }, send);
+    await throttle.request({ url: CF, method: "get" }, send);
+
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(waits).toEqual([2000, 2000]);
+    expect(throttle.getStats()["codeforces.com"]).toMatchObject({
+      requests: 3,
+      throttled: 2,
+      throttledMs: 4000,
+    });
+  });
+
+  it("retries a 429 GET after Retry-After", async () => {
+    const send = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(429, { "retry-after": "10" }))
+      .mockResolvedValueOnce({ status: 200, headers: {}, data: "ok" });
+
+    const response = await throttle.request({ url: CF, method: "get" }, send);
+
+    expect(response.data).toBe("ok");
+    expect(now).toBeGreaterThanOrEqual(10000);
+    expect(throttle.getStats()["codeforces.com"]).toMatchObject({ rateLimited: 1, retries: 1 });
+  });
+
+  it("does not retry non-idempotent requests", async () => {
+    const send = jest.fn().mockRejectedValue(httpError(503));
+
+    await expect(
+      throttle.request({ url: "https://leetcode.com/graphql", method: "post" }, send)
+    ).rejects.toThrow("503");
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not retry client errors", async () => {
+    const send = jest.fn().mockRejectedValue(httpError(404));
+
+    await expect(throttle.request({ url: CF, method: "get" }, send)).rejects.toThrow("404");
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it("fails fast with a local 429 when the host is paused for long", async () => {
+    const send = jest.fn().mockRejectedValue(httpError(429, { "retry-after": "600" }));
+
+    await expect(throttle.request({ url: CF, method: "get" }, send)).rejects.toMatchObject({
+      code: "ERR_THROTTLED",
+      response: { status: 429 },
+    });
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(throttle.getStats()["codeforces.com"]).toMatchObject({ rejected: 1 });
+    expect(throttle.getStats()["codeforces.com"].pausedUntil).not.toBeNull();
+  });
+});
@@ -1,18 +1,13 @@
 import { detectPlatformAndUsername } from "../src/services/platformDetector.service.js";
-import { scrapeLeetCode } from "../src/services/scraping/leetcode.scraper.js";
-import { normalizeLeetCode } from "../src/services/normalization/leetcode.normalizer.js";
+import { getPlatform } from "../src/services/platformRegistry.service.js";
 
-const input = "https://leetcode.com/Yugen_n847";
+const input = process.argv[2] || "https://leetcode.com/Yugen_n847";
 
 const { platform, username } = detectPlatformAndUsername(input);
+const adapter = getPlatform(platform);
 
-let result;
-
-if (platform === "LEETCODE") {
-  result = await scrapeLeetCode(username);
-}
-
+const result = await adapter.fetch(username);
 console.log("Raw:", result);
 
-const normalized = normalizeLeetCode(result.data);
+const normalized = adapter.normalize(result, username);
 console.log("Normalized:", normalized);
@@ -0,0 +1,11 @@
+// Easy / medium / hard cut-offs on the common difficulty scale (see
+// services/normalization/difficulty.normalizer.js), shared by stats,
+// activities, badges and goals.
+export const difficultyConfig = {
+  // Below this is easy
+  easyBelow: Number(process.env.DIFFICULTY_EASY_BELOW) || 1200,
+  // From this on is hard
+  hardFrom: Number(process.env.DIFFICULTY_HARD_FROM) || 1800,
+  // Bucket for problems whose platform gives no difficulty
+  unratedBucket: "medium",
+};
@@ -0,0 +1,29 @@
+// Headless-browser fetching for profiles that only render with JavaScript
+// or sit behind a browser challenge. Off unless HEADLESS_FETCH=on and the
+// optional `puppeteer` package is installed.
+const list = (value, fallback) =>
+  (value ?? fallback)
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+export const headlessConfig = {
+  enabled: process.env.HEADLESS_FETCH === "on",
+  // Platforms allowed to fall back to the browser, e.g. "codechef,gfg"
+  platforms: list(process.env.HEADLESS_PLATFORMS, "codechef"),
+  // Browsers kept open and shared by every scraper
+  poolSize: Number(process.env.HEADLESS_POOL_SIZE) || 1,
+  // Open pages per browser; further fetches wait for a free page
+  pagesPerBrowser: Number(process.env.HEADLESS_PAGES_PER_BROWSER) || 2,
+  navigationTimeoutMs: Number(process.env.HEADLESS_TIMEOUT_MS) || 20000,
+  // Never downloaded: the scrapers only read the DOM
+  blockedResourceTypes: list(process.env.HEADLESS_BLOCK, "image,font,media,stylesheet"),
+  executablePath: process.env.HEADLESS_EXECUTABLE_PATH || undefined,
+  userAgent:
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+  launchArgs: ["--no-sandbox", "--disable-dev-shm-usage"],
+};
+
+export function headlessEnabledFor(platform) {
+  return headlessConfig.enabled && headlessConfig.platforms.includes(platform);
+}
@@ -0,0 +1,10 @@
+// Streak freezes: tokens that cover a missed day so the combined streak
+// survives it (see services/streak.service.js).
+export const streakFreezeConfig = {
+  // One freeze earned per this many active days in a streak
+  earnEvery: Number(process.env.STREAK_FREEZE_EARN_EVERY) || 7,
+  // Most freezes a user can hold at once
+  maxHeld: Number(process.env.STREAK_FREEZE_MAX) || 3,
+  // totalPoints spent to buy one
+  cost: Number(process.env.STREAK_FREEZE_COST) || 50,
+};
@@ -4,5 +4,11 @@ export const PLATFORMS = {
   GITHUB: "GITHUB",
   CODECHEF: "CODECHEF",
   ATCODER: "ATCODER",
-  SKILLRACK: "SKILLRACK"
+  SKILLRACK: "SKILLRACK",
+  HACKERRANK: "HACKERRANK",
+  GFG: "GFG",
+  CODEWARS: "CODEWARS",
+  CSES: "CSES",
+  SPOJ: "SPOJ",
+  KATTIS: "KATTIS"
 };
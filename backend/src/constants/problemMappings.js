@@ -0,0 +1,26 @@
+// Curated cross-platform problem identities, for mirrors the catalog cannot
+// match on its own (different URLs, different titles). Each entry is one
+// canonical problem:
+//
+//   {
+//     key: "kattis:<code>",                 // canonical id, usually the original
+//     title: "<title>",
+//     sources: [
+//       { platform: "kattis", problemId: "<code>" },
+//       { platform: "codeforces", problemId: "<gym contest>-A" },
+//     ],
+//   }
+//
+// problemId is the id the platform's adapter stores (Codeforces
+// "<contestId>-<index>", LeetCode title slug, CSES task number, Kattis and
+// SPOJ problem codes). Only those platforms give item-level data (synced
+// activities or a solved list); an entry for any other platform never
+// matches a solve. Only add pairs that were checked by hand: a wrong entry
+// silently merges two different problems.
+export const PROBLEM_MAPPINGS = [];
+
+// Platforms that republish each other's problems under the same title.
+// Between these, equal titles are enough to treat two problems as one;
+// anywhere else a title match alone is too weak ("Array", "Game"). Both
+// sides need item-level data, as above.
+export const TITLE_MIRRORS = [];
@@ -0,0 +1,45 @@
+// Default rule table of the scoring engine (services/scoring.service.js).
+// Admins can replace it at runtime (PUT /api/admin/scoring/rules); every
+// change gets a new version and all scores are recalculated.
+//
+// A solved problem is worth
+//   difficulty[bucket] * platforms[platform] * streak multiplier
+// plus firstSolveBonus if it is the user's first solve of that problem on
+// any platform. Buckets come from the calibrated difficulty score (see
+// config/difficulty.js). Solves a platform only reports as a count (no
+// stored submission) score their bucket points without bonuses.
+export const DEFAULT_SCORING_RULES = {
+  difficulty: { easy: 10, medium: 20, hard: 40 },
+
+  // Multiplier on solve points; unlisted platforms use `default`. GitHub
+  // contributions are not problems.
+  platforms: {
+    default: 1,
+    codeforces: 1.2,
+    atcoder: 1.2,
+    codechef: 1.1,
+    cses: 1.1,
+    kattis: 1.1,
+    spoj: 1.1,
+    gfg: 0.8,
+    hackerrank: 0.8,
+    codewars: 0.8,
+    skillrack: 0.8,
+    github: 0,
+  },
+
+  // Solves on a day the combined streak had reached minDays are worth
+  // more; the highest tier reached applies
+  streak: [
+    { minDays: 7, multiplier: 1.1 },
+    { minDays: 30, multiplier: 1.25 },
+    { minDays: 100, multiplier: 1.5 },
+  ],
+
+  // Once per canonical problem (problem catalog key)
+  firstSolveBonus: 5,
+
+  // Rated contests: points for taking part, plus points per rating point
+  // gained (a first rated contest starts from 0 and gains nothing)
+  contest: { participation: 25, ratingGain: 0.5 },
+};
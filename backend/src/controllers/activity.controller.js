@@ -0,0 +1,31 @@
+import {
+  syncPlatformActivity,
+  getActivitySummary,
+} from "../services/activity.service.js";
+import { statusForError } from "./platform.controller.js";
+
+// POST /api/users/me/sync/:platform: syncs the linked account only; a
+// username in the body is ignored
+export const syncActivity = async (req, res) => {
+  try {
+    const result = await syncPlatformActivity(req.user.id, String(req.params.platform).toLowerCase());
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(statusForError(error)).json({
+      success: false,
+      error: error.message,
+      ...(error.errorCode && { errorCode: error.errorCode }),
+    });
+  }
+};
+
+export const getActivitySummaryForUser = async (req, res) => {
+  try {
+    const summary = await getActivitySummary(req.user.id, {
+      platform: req.query.platform,
+    });
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
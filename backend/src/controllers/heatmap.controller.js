@@ -0,0 +1,37 @@
+import { getHeatmap, getPublicHeatmap } from "../services/heatmap.service.js";
+import { statusForError } from "./platform.controller.js";
+
+function sendError(res, req, error) {
+  res.status(statusForError(error)).json({
+    success: false,
+    error: error.message,
+    ...(error.errorCode && { errorCode: error.errorCode }),
+    traceId: req.traceId,
+  });
+}
+
+function heatmapQuery(query) {
+  return { from: query.from, to: query.to, platforms: query.platforms };
+}
+
+// GET /api/users/me/heatmap?from=&to=&platforms=
+export const getMyHeatmap = async (req, res) => {
+  try {
+    const data = await getHeatmap(req.user.id, heatmapQuery(req.query));
+    res.json({ success: true, data, traceId: req.traceId });
+  } catch (error) {
+    sendError(res, req, error);
+  }
+};
+
+// GET /api/users/:id/heatmap?from=&to=&platforms=
+// Daily activity merged across every linked platform, with a per-platform
+// breakdown for each day
+export const getUserHeatmap = async (req, res) => {
+  try {
+    const data = await getPublicHeatmap(req.params.id, heatmapQuery(req.query));
+    res.json({ success: true, data, traceId: req.traceId });
+  } catch (error) {
+    sendError(res, req, error);
+  }
+};
@@ -1,29 +1,43 @@
 import User from "../models/user.model.js";
-import Activity from "../models/activity.model.js";
+import { verifiedSolvedByUser } from "../services/platformAccount.service.js";
+
+// Public users ranked by problems solved on their verified platform
+// accounts; unverified handles never count, so nobody can claim a
+// stranger's profile to climb the board. metric "unique" ranks on
+// uniqueSolved, where a problem solved on two platforms counts once;
+// "score" ranks on the scoring engine's totalScore.
+const SORTS = {
+  total: (a, b) => b.totalSolved - a.totalSolved,
+  unique: (a, b) => b.uniqueSolved - a.uniqueSolved || b.totalSolved - a.totalSolved,
+  score: (a, b) => (b.totalScore || 0) - (a.totalScore || 0) || b.totalSolved - a.totalSolved,
+};
+
+async function rankUsers(userIds = null, metric = 'total') {
+  const totals = await verifiedSolvedByUser(userIds);
+  if (totals.size === 0) return [];
+
+  const users = await User.find({ _id: { $in: [...totals.keys()] }, isPublic: true })
+    .select('name username totalScore')
+    .lean();
+
+  return users
+    .map((user) => ({ ...user, ...totals.get(String(user._id)) }))
+    .sort(SORTS[metric] || SORTS.total);
+}
 
 export const getLeaderboard = async (req, res) => {
-  const { type = 'global', limit = 50 } = req.query;
+  const { type = 'global', limit = 50, metric = 'total' } = req.query;
   const userId = req.user.id;
 
-  let users;
+  let userIds = null;
 
   if (type === 'friends') {
-    const user = await User.findById(userId).populate('friends');
-    const friendIds = user.friends.map(f => f._id);
-    friendIds.push(userId); // include self
-
-    users = await User.find({ _id: { $in: friendIds }, isPublic: true })
-      .select('name username totalScore')
-      .sort({ totalScore: -1 })
-      .limit(parseInt(limit));
-  } else {
-    users = await User.find({ isPublic: true })
-      .select('name username totalScore')
-      .sort({ totalScore: -1 })
-      .limit(parseInt(limit));
+    const user = await User.findById(userId).select('friends').lean();
+    userIds = [...(user?.friends || []), userId]; // include self
   }
 
-  res.json(users);
+  const ranked = await rankUsers(userIds, metric);
+  res.json(ranked.slice(0, parseInt(limit)));
 };
 
 export const getUserRank = async (req, res) => {
@@ -34,8 +48,17 @@ export const getUserRank = async (req, res) => {
     return res.json({ rank: null, message: "User profile is private" });
   }
 
-  const higherScoreCount = await User.countDocuments({ totalScore: { $gt: user.totalScore }, isPublic: true });
-  const rank = higherScoreCount + 1;
+  const ranked = await rankUsers(null, req.query.metric);
+  const index = ranked.findIndex((entry) => String(entry._id) === userId);
+  if (index === -1) {
+    return res.json({
+      rank: null,
+      totalSolved: 0,
+      uniqueSolved: 0,
+      message: "No verified platform accounts",
+    });
+  }
 
-  res.json({ rank, totalScore: user.totalScore });
-};
\ No newline at end of file
+  const { totalSolved, uniqueSolved } = ranked[index];
+  res.json({ rank: index + 1, totalSolved, uniqueSolved, totalScore: user.totalScore });
+};
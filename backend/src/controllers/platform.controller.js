@@ -0,0 +1,100 @@
+import {
+  getPlatform,
+  listPlatforms,
+  describePlatform,
+} from "../services/platformRegistry.service.js";
+import { platformBulkheads } from "../utils/backpressure.util.js";
+import { withTrace } from "../utils/serviceTracer.util.js";
+import { statsCache } from "../services/scrapeCache.service.js";
+
+// Scrapers throw plain Errors with these messages; AppErrors carry their
+// own statusCode and win over this table.
+const STATUS_BY_MESSAGE = {
+  "Invalid username": 400,
+  "User not found": 404,
+  "Rate limited": 429,
+  "Request timeout": 504,
+};
+
+export function statusForError(error) {
+  if (error.statusCode) return error.statusCode;
+  if (STATUS_BY_MESSAGE[error.message]) return STATUS_BY_MESSAGE[error.message];
+  if (
+    error.message.includes("Circuit breaker") ||
+    error.message.includes("Queue full")
+  ) {
+    return 503;
+  }
+  return 500;
+}
+
+// If-None-Match may list several tags, weak or strong, or "*"
+function etagMatches(header, etag) {
+  if (!header) return false;
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag);
+}
+
+export const getPlatforms = (req, res) => {
+  res.json({ success: true, data: listPlatforms().map(describePlatform) });
+};
+
+export const getPlatformStats = async (req, res) => {
+  const adapter = getPlatform(req.params.platform);
+  if (!adapter) {
+    return res.status(404).json({
+      success: false,
+      error: `Unsupported platform: ${req.params.platform}`,
+      traceId: req.traceId,
+    });
+  }
+
+  const username = String(req.params.username || "").trim();
+
+  try {
+    if (!adapter.validateHandle(username)) {
+      throw new Error("Invalid username");
+    }
+
+    // Only an explicit ?refresh=true skips the cache: fetch() itself adds
+    // Cache-Control: no-cache to every conditional (If-None-Match) request.
+    const force = req.query.refresh === "true";
+
+    const cached = await statsCache.get(
+      adapter.id,
+      username,
+      async () => {
+        const raw = await platformBulkheads.process(adapter.id, () =>
+          withTrace(req.traceId, `${adapter.id}.scrape`, () =>
+            adapter.fetch(username)
+          )
+        );
+        return adapter.normalize(raw, username);
+      },
+      { force }
+    );
+
+    res.set("ETag", cached.etag);
+    res.set("Last-Modified", new Date(cached.fetchedAt).toUTCString());
+    if (etagMatches(req.get("If-None-Match"), cached.etag)) {
+      return res.status(304).end();
+    }
+
+    res.json({
+      success: true,
+      data: cached.data,
+      fetchedAt: cached.fetchedAt,
+      stale: cached.stale,
+      traceId: req.traceId,
+    });
+  } catch (error) {
+    res.status(statusForError(error)).json({
+      success: false,
+      error: error.message,
+      ...(error.errorCode && { errorCode: error.errorCode }),
+      traceId: req.traceId,
+    });
+  }
+};
@@ -0,0 +1,107 @@
+import {
+  listAccounts,
+  linkAccount,
+  unlinkAccount,
+  startVerification,
+  confirmVerification,
+  toAccountResponse,
+  linkedSolvedForUser,
+} from "../services/platformAccount.service.js";
+import { recalculateUserScore } from "../services/scoring.service.js";
+import { recomputeStreaks } from "../services/streak.service.js";
+import { statusForError } from "./platform.controller.js";
+
+function sendError(res, error) {
+  res.status(statusForError(error)).json({
+    success: false,
+    error: error.message,
+    ...(error.errorCode && { errorCode: error.errorCode }),
+  });
+}
+
+// Streaks and score follow the linked accounts. The link change has
+// already been saved when they are recomputed, so a failure here is
+// logged rather than reported as a failed request.
+async function refreshUserStats(userId, { streaks = true } = {}) {
+  try {
+    if (streaks) await recomputeStreaks(userId);
+    await recalculateUserScore(userId);
+  } catch (error) {
+    console.error(`Recomputing streaks and score of ${userId} failed: ${error.message}`);
+  }
+}
+
+// GET /api/users/me/platforms
+export const getLinkedAccounts = async (req, res) => {
+  try {
+    res.json({ success: true, data: await listAccounts(req.user.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// GET /api/users/me/solved: solved totals over every linked account, raw
+// and with cross-platform duplicates counted once
+export const getSolvedTotals = async (req, res) => {
+  try {
+    res.json({ success: true, data: await linkedSolvedForUser(req.user.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// PUT /api/users/me/platforms/:platform { handle }
+export const putLinkedAccount = async (req, res) => {
+  try {
+    const account = await linkAccount(
+      req.user.id,
+      String(req.params.platform).toLowerCase(),
+      String(req.body?.handle || "").trim()
+    );
+    // A new handle is unverified and stops scoring; the old handle's
+    // activities are gone from the streaks
+    await refreshUserStats(req.user.id);
+    res.json({ success: true, data: toAccountResponse(account) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// DELETE /api/users/me/platforms/:platform
+export const deleteLinkedAccount = async (req, res) => {
+  try {
+    await unlinkAccount(req.user.id, String(req.params.platform).toLowerCase());
+    await refreshUserStats(req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// POST /api/users/me/platforms/:platform/verification
+export const requestVerification = async (req, res) => {
+  try {
+    const account = await startVerification(
+      req.user.id,
+      String(req.params.platform).toLowerCase()
+    );
+    res.json({ success: true, data: toAccountResponse(account) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// POST /api/users/me/platforms/:platform/verification/confirm
+export const checkVerification = async (req, res) => {
+  try {
+    const account = await confirmVerification(
+      req.user.id,
+      String(req.params.platform).toLowerCase()
+    );
+    // Verified accounts are the ones that score
+    await refreshUserStats(req.user.id, { streaks: false });
+    res.json({ success: true, data: toAccountResponse(account) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
@@ -0,0 +1,50 @@
+import {
+  getRatingHistory,
+  getUserRatingHistory,
+} from "../services/ratingHistory.service.js";
+import User from "../models/user.model.js";
+import { statusForError } from "./platform.controller.js";
+
+function sendError(res, req, error) {
+  res.status(statusForError(error)).json({
+    success: false,
+    error: error.message,
+    ...(error.errorCode && { errorCode: error.errorCode }),
+    traceId: req.traceId,
+  });
+}
+
+// GET /api/platforms/:platform/:username/rating-history
+export const getPlatformRatingHistory = async (req, res) => {
+  try {
+    const data = await getRatingHistory(
+      req.params.platform,
+      String(req.params.username || "").trim(),
+      { refresh: req.query.refresh === "true" }
+    );
+    res.json({ success: true, data, traceId: req.traceId });
+  } catch (error) {
+    sendError(res, req, error);
+  }
+};
+
+// ?refresh=true re-fetches every linked account upstream: only for the
+// profile's owner or an admin, anyone else gets the stored histories
+async function mayRefresh(req) {
+  if (req.query.refresh !== "true" || !req.user) return false;
+  if (String(req.user.id) === String(req.params.id)) return true;
+  const user = await User.findById(req.user.id).select("role").lean();
+  return user?.role === "admin";
+}
+
+// GET /api/users/:id/rating-history: every linked account's history
+export const getUserRatingHistoryById = async (req, res) => {
+  try {
+    const data = await getUserRatingHistory(req.params.id, {
+      refresh: await mayRefresh(req),
+    });
+    res.json({ success: true, data, traceId: req.traceId });
+  } catch (error) {
+    sendError(res, req, error);
+  }
+};
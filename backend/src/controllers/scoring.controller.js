@@ -0,0 +1,76 @@
+import {
+  getScoreBreakdown,
+  getPublicScoreBreakdown,
+  getScoringRules,
+  updateScoringRules,
+} from "../services/scoring.service.js";
+import { scoreRecalculation } from "../jobs/scoring.job.js";
+import { statusForError } from "./platform.controller.js";
+
+function sendError(res, req, error) {
+  res.status(statusForError(error)).json({
+    success: false,
+    error: error.message,
+    ...(error.errorCode && { errorCode: error.errorCode }),
+    traceId: req.traceId,
+  });
+}
+
+// GET /api/users/me/score: total score and where every point came from
+export const getMyScore = async (req, res) => {
+  try {
+    const data = await getScoreBreakdown(req.user.id);
+    res.json({ success: true, data, traceId: req.traceId });
+  } catch (error) {
+    sendError(res, req, error);
+  }
+};
+
+// GET /api/users/:id/score
+export const getUserScore = async (req, res) => {
+  try {
+    const data = await getPublicScoreBreakdown(req.params.id);
+    res.json({ success: true, data, traceId: req.traceId });
+  } catch (error) {
+    sendError(res, req, error);
+  }
+};
+
+// GET /api/admin/scoring/rules
+export const getRules = async (req, res) => {
+  try {
+    const data = await getScoringRules();
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, req, error);
+  }
+};
+
+// PUT /api/admin/scoring/rules: new rule version; every score is redone
+// in the background
+export const putRules = async (req, res) => {
+  try {
+    const data = await updateScoringRules(req.body, req.user.id);
+    scoreRecalculation.trigger("rules");
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, req, error);
+  }
+};
+
+// POST /api/admin/scoring/recalculate: rescore users with stale scores
+export const recalculateScores = (req, res) => {
+  const run = scoreRecalculation.trigger("manual");
+  if (!run) {
+    return res.status(409).json({
+      success: false,
+      error: "Score recalculation already running; another run follows it",
+    });
+  }
+  res.status(202).json({ success: true, data: run });
+};
+
+// GET /api/admin/scoring/recalculation
+export const getRecalculationStatus = (req, res) => {
+  res.json({ success: true, data: scoreRecalculation.status() });
+};
@@ -0,0 +1,159 @@
+import mongoose from "mongoose";
+import PlatformAccount from "../models/platform.model.js";
+import ScrapeJobRun from "../models/scrapeJobRun.model.js";
+import { scrapeScheduler } from "../jobs/scrape.job.js";
+import { getPlatform, listPlatforms } from "../services/platformRegistry.service.js";
+import { syncAccountActivities } from "../services/activity.service.js";
+import { statusForError } from "./platform.controller.js";
+import { platformBulkheads, hostBulkheads } from "../utils/backpressure.util.js";
+import { upstreamThrottle } from "../utils/upstreamThrottle.util.js";
+
+const MAX_LIMIT = 100;
+
+function parseLimit(value, fallback) {
+  const limit = Number.parseInt(value, 10);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : fallback;
+}
+
+// GET /api/admin/scrape/status
+export const getScrapeStatus = async (req, res) => {
+  try {
+    const failing = await PlatformAccount.aggregate([
+      { $match: { consecutiveFailures: { $gt: 0 } } },
+      { $group: { _id: "$platform", count: { $sum: 1 } } },
+    ]);
+    const failingByPlatform = Object.fromEntries(failing.map((row) => [row._id, row.count]));
+
+    const data = scrapeScheduler.status().map((platform) => ({
+      ...platform,
+      failingAccounts: failingByPlatform[platform.platform] || 0,
+    }));
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// GET /api/admin/scrape/bulkheads
+// Concurrency, queue and circuit state of every bulkhead used so far
+export const getBulkheads = (req, res) => {
+  res.json({
+    success: true,
+    data: { platforms: platformBulkheads.getStats(), hosts: hostBulkheads.getStats() },
+  });
+};
+
+// GET /api/admin/scrape/throttle
+// Client-side rate limiting per upstream host: waits, 429s, retries
+export const getThrottleStats = (req, res) => {
+  res.json({ success: true, data: upstreamThrottle.getStats() });
+};
+
+// GET /api/admin/scrape/runs?platform=&limit=
+export const getScrapeRuns = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.platform) query.platform = req.query.platform;
+
+    const runs = await ScrapeJobRun.find(query)
+      .sort({ startedAt: -1 })
+      .limit(parseLimit(req.query.limit, 20))
+      .lean();
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// GET /api/admin/scrape/runs/:id
+export const getScrapeRun = async (req, res) => {
+  try {
+    const run = mongoose.isValidObjectId(req.params.id)
+      ? await ScrapeJobRun.findById(req.params.id).lean()
+      : null;
+    if (!run) {
+      return res.status(404).json({ success: false, error: "Run not found" });
+    }
+    res.json({ success: true, data: run });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// POST /api/admin/scrape/runs { platform? }
+// Starts a run for one platform, or every platform when none is given.
+// Platforms that are already running are reported instead of restarted.
+export const triggerScrapeRun = async (req, res) => {
+  try {
+    let platforms = listPlatforms().map((adapter) => adapter.id);
+    if (req.body?.platform) {
+      const adapter = getPlatform(req.body.platform);
+      if (!adapter) {
+        return res.status(404).json({
+          success: false,
+          error: `Unsupported platform: ${req.body.platform}`,
+        });
+      }
+      platforms = [adapter.id];
+    }
+
+    const started = [];
+    const alreadyRunning = [];
+    for (const platform of platforms) {
+      const result = await scrapeScheduler.begin(platform, "manual");
+      if (result) started.push(result.run);
+      else alreadyRunning.push(platform);
+    }
+
+    if (started.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Scrape already running",
+        alreadyRunning,
+      });
+    }
+    res.status(202).json({ success: true, data: started, alreadyRunning });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// GET /api/admin/scrape/accounts?platform=&failing=true&limit=
+export const getScrapeAccounts = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.platform) query.platform = req.query.platform;
+    if (req.query.failing === "true") query.consecutiveFailures = { $gt: 0 };
+
+    const accounts = await PlatformAccount.find(query)
+      .sort({ consecutiveFailures: -1, lastErrorAt: -1 })
+      .limit(parseLimit(req.query.limit, 50))
+      .lean();
+    res.json({ success: true, data: accounts });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// POST /api/admin/scrape/accounts/:id/resync
+// Ignores the account's sync cursor and re-reads its whole submission
+// history, overwriting the stored activities.
+export const resyncScrapeAccount = async (req, res) => {
+  try {
+    const account = mongoose.isValidObjectId(req.params.id)
+      ? await PlatformAccount.findById(req.params.id).lean()
+      : null;
+    if (!account) {
+      return res.status(404).json({ success: false, error: "Account not found" });
+    }
+
+    const data = await syncAccountActivities(account, { full: true });
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(statusForError(error)).json({
+      success: false,
+      error: error.message,
+      ...(error.errorCode && { errorCode: error.errorCode }),
+    });
+  }
+};
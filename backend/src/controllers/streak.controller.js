@@ -0,0 +1,34 @@
+import {
+  getStreaks,
+  recomputeStreaks,
+  buyStreakFreeze,
+} from "../services/streak.service.js";
+import { statusForError } from "./platform.controller.js";
+
+// GET /api/users/me/streaks[?refresh=true]: current / longest streak and
+// streak history, combined and per platform, plus freezes held
+export const getMyStreaks = async (req, res) => {
+  try {
+    const data =
+      req.query.refresh === "true"
+        ? await recomputeStreaks(req.user.id)
+        : await getStreaks(req.user.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// POST /api/users/me/streaks/freezes: buy a streak freeze with points
+export const buyFreeze = async (req, res) => {
+  try {
+    const data = await buyStreakFreeze(req.user.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(statusForError(error)).json({
+      success: false,
+      error: error.message,
+      ...(error.errorCode && { errorCode: error.errorCode }),
+    });
+  }
+};
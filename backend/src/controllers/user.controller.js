@@ -1,9 +1,15 @@
 import User from "../models/user.model.js";
 import UserBadge from "../models/userBadge.model.js";
+import { isValidTimeZone } from "../utils/date.util.js";
+import { recomputeStreaks } from "../services/streak.service.js";
 
 export const updateUserProfile = async (req, res) => {
   try {
-    const { name, username, email, bio, isPublic } = req.body;
+    const { name, username, email, bio, isPublic, timezone } = req.body;
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
 
     const user = await User.findById(req.user.id);
     if (!user) {
@@ -23,9 +29,18 @@ export const updateUserProfile = async (req, res) => {
     user.email = email || user.email;
     user.bio = bio || user.bio;
     if (typeof isPublic === 'boolean') user.isPublic = isPublic;
+    const timezoneChanged = timezone !== undefined && timezone !== user.timezone;
+    if (timezoneChanged) user.timezone = timezone;
 
     const updated = await user.save();
 
+    // Day boundaries moved: streaks are counted over different days now
+    if (timezoneChanged) {
+      const { combined } = await recomputeStreaks(updated._id);
+      updated.currentStreak = combined.current;
+      updated.longestStreak = Math.max(updated.longestStreak, combined.longest);
+    }
+
     // Get user's badge count
     const badgeCount = await UserBadge.countDocuments({ user: req.user.id });
 
@@ -37,6 +52,7 @@ export const updateUserProfile = async (req, res) => {
         username: updated.username,
         email: updated.email,
         bio: updated.bio,
+        timezone: updated.timezone,
         totalPoints: updated.totalPoints,
         badgeCount: badgeCount,
         totalProblemsSolved: updated.totalProblemsSolved,
@@ -69,6 +85,7 @@ export const getUserProfile = async (req, res) => {
         name: user.name,
         email: user.email,
         bio: user.bio,
+        timezone: user.timezone,
         totalPoints: user.totalPoints,
         badgeCount: badgeCount,
         totalProblemsSolved: user.totalProblemsSolved,
@@ -0,0 +1,113 @@
+import User from "../models/user.model.js";
+import UserScore from "../models/userScore.model.js";
+import { getScoringRules, recalculateUserScore } from "../services/scoring.service.js";
+
+// Failures kept on the last run; the counter still covers all of them
+const MAX_FAILURES_KEPT = 50;
+
+// Users whose stored score is missing or from older rules
+export async function listStaleUsers(version) {
+  const current = await UserScore.find({ rulesVersion: version }).distinct("user");
+  return User.find({ _id: { $nin: current } }).select("_id").sort({ _id: 1 }).lean();
+}
+
+// Rescoring of every user whose score predates the rules in force. Runs
+// once after boot (rules may have changed while the server was down) and
+// whenever the rules change. One run at a time; users are rescored one
+// after another so a run never floods Mongo.
+export class ScoreRecalculation {
+  constructor({
+    rules = getScoringRules,
+    listUsers = listStaleUsers,
+    recalculate = recalculateUserScore,
+    now = () => Date.now(),
+    onError = console.error,
+  } = {}) {
+    this.rules = rules;
+    this.listUsers = listUsers;
+    this.recalculate = recalculate;
+    this.now = now;
+    this.onError = onError;
+    this.current = null;
+    this.lastRun = null;
+    this.rerun = null;
+  }
+
+  start() {
+    this.trigger("boot");
+  }
+
+  // Start a run in the background; if one is going, run again after it
+  // (the rules may have changed after it read them)
+  trigger(trigger = "manual") {
+    const started = this.begin(trigger);
+    if (!started) {
+      this.rerun = trigger;
+      return null;
+    }
+    started.done.catch((error) => this.onError(`Score recalculation failed: ${error.message}`));
+    return started.run;
+  }
+
+  // { run, done } for a new run, or null if one is already going
+  begin(trigger = "manual") {
+    if (this.current) return null;
+
+    const run = {
+      trigger,
+      status: "running",
+      rulesVersion: null,
+      startedAt: new Date(this.now()),
+      finishedAt: null,
+      users: 0,
+      succeeded: 0,
+      failed: 0,
+      failures: [],
+    };
+    this.current = run;
+    const done = this.process(run).finally(() => {
+      this.current = null;
+      this.lastRun = run;
+      if (this.rerun) {
+        const next = this.rerun;
+        this.rerun = null;
+        this.trigger(next);
+      }
+    });
+    return { run, done };
+  }
+
+  async process(run) {
+    try {
+      const rules = await this.rules();
+      run.rulesVersion = rules.version;
+      const users = await this.listUsers(rules.version);
+      run.users = users.length;
+
+      for (const user of users) {
+        try {
+          await this.recalculate(user._id, rules);
+          run.succeeded++;
+        } catch (error) {
+          run.failed++;
+          if (run.failures.length < MAX_FAILURES_KEPT) {
+            run.failures.push({ user: String(user._id), error: error.message });
+          }
+        }
+      }
+
+      run.status = run.failed === 0 ? "succeeded" : run.succeeded > 0 ? "partial" : "failed";
+    } catch (error) {
+      run.status = "failed";
+      run.error = error.message;
+    }
+    run.finishedAt = new Date(this.now());
+    return run;
+  }
+
+  status() {
+    return { running: this.current, lastRun: this.lastRun };
+  }
+}
+
+export const scoreRecalculation = new ScoreRecalculation();
@@ -0,0 +1,312 @@
+import PlatformAccount from "../models/platform.model.js";
+import Activity from "../models/activity.model.js";
+import ScrapeJobRun from "../models/scrapeJobRun.model.js";
+import { getPlatform, listPlatforms } from "../services/platformRegistry.service.js";
+import { statsCache, ttlFor } from "../services/scrapeCache.service.js";
+import {
+  syncAccountActivities,
+  supportsActivitySync,
+} from "../services/activity.service.js";
+import { recomputeStreaks } from "../services/streak.service.js";
+import { recalculateUserScore } from "../services/scoring.service.js";
+import { catalogSolvedList } from "../services/problemCatalog.service.js";
+import { platformBulkheads } from "../utils/backpressure.util.js";
+import { retryWithBackoff } from "../utils/retry.util.js";
+import { AppError, ERROR_CODES } from "../utils/appError.js";
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Pause between two accounts of the same platform, so a run trickles
+// requests instead of bursting every handle at the upstream at once.
+const ACCOUNT_SPACING_MS = {
+  codeforces: 2 * SECOND, // documented limit: 1 call / 2 s
+  leetcode: 3 * SECOND,
+  codechef: 3 * SECOND,
+  skillrack: 5 * SECOND,
+  gfg: 3 * SECOND,
+};
+const DEFAULT_ACCOUNT_SPACING_MS = 2 * SECOND;
+
+// Platforms start this far apart after boot rather than all at once
+const PLATFORM_STAGGER_MS = MINUTE;
+
+// Intervals and spacings are moved by up to ±10% at random
+const JITTER = 0.1;
+
+const RETRY = { retries: 2, baseDelayMs: 5 * SECOND, maxDelayMs: MINUTE };
+
+// Failures kept on a run document; the counters still cover all of them
+const MAX_FAILURES_KEPT = 50;
+
+export function spacingFor(platform) {
+  return ACCOUNT_SPACING_MS[platform] ?? DEFAULT_ACCOUNT_SPACING_MS;
+}
+
+export function withJitter(ms, random = Math.random) {
+  return Math.round(ms * (1 + JITTER * (2 * random() - 1)));
+}
+
+// Scrapers throw plain Errors for these; retrying will not change the answer
+const PERMANENT_ERRORS = new Set(["Invalid username", "User not found"]);
+
+// Rate limits, timeouts and upstream outages are worth another attempt;
+// an unknown or invalid handle is not.
+export function isRetryable(error) {
+  if (error.statusCode) return error.statusCode === 429 || error.statusCode >= 500;
+  return !PERMANENT_ERRORS.has(error.message);
+}
+
+// Adapters that can refresh stats without re-reading the whole history:
+// new submissions come from the sync cursor, the rest from storage
+function refreshesFromStorage(adapter) {
+  return (
+    typeof adapter.fetchActivities === "function" &&
+    typeof adapter.fetchProfile === "function" &&
+    typeof adapter.fromStored === "function"
+  );
+}
+
+async function statsFromStorage(adapter, account) {
+  const [profile, activities, previous] = await Promise.all([
+    platformBulkheads.process(adapter.id, () => adapter.fetchProfile(account.handle)),
+    Activity.find({ user: account.user, platform: adapter.id }).sort({ solvedAt: 1 }).lean(),
+    statsCache.peek(adapter.id, account.handle),
+  ]);
+  return adapter.normalize(adapter.fromStored(profile, activities, previous?.data), account.handle);
+}
+
+// Refresh the account's normalized stats in the scrape cache and, where
+// the adapter exposes submissions, store what was solved since the last
+// sync; solved lists that only carry ids go into the problem catalog.
+// Either way the user's streaks and score are recomputed from the new
+// data.
+export async function refreshAccount(account) {
+  const adapter = getPlatform(account.platform);
+  if (!adapter) {
+    throw new AppError(
+      `Unsupported platform: ${account.platform}`,
+      404,
+      ERROR_CODES.PLATFORM_ERROR
+    );
+  }
+
+  // Only requests to the platform go through its bulkhead: a failed write
+  // or recompute must not trip the platform's circuit breaker, nor hold a
+  // slot meant for upstream calls.
+  const upstream = (fn) => platformBulkheads.process(adapter.id, fn);
+
+  if (refreshesFromStorage(adapter)) {
+    // recomputes streaks and score itself
+    await syncAccountActivities(account, { upstream });
+    await statsCache.refresh(adapter.id, account.handle, () => statsFromStorage(adapter, account));
+    return;
+  }
+
+  const { data } = await statsCache.refresh(adapter.id, account.handle, async () => {
+    const raw = await upstream(() => adapter.fetch(account.handle));
+    return adapter.normalize(raw, account.handle);
+  });
+  if (Array.isArray(data.extra?.solvedProblems)) {
+    await catalogSolvedList(adapter.id, data.extra.solvedProblems);
+  }
+
+  if (supportsActivitySync(adapter)) {
+    // recomputes streaks and score itself
+    await syncAccountActivities(account, { upstream });
+  } else {
+    await recomputeStreaks(account.user);
+    await recalculateUserScore(account.user);
+  }
+}
+
+// ----------------------------------------------------------------------
+// Store: accounts to refresh, their last outcome, and run history
+// ----------------------------------------------------------------------
+
+export class MongoScrapeStore {
+  async listAccounts(platform) {
+    return PlatformAccount.find({ platform }).sort({ _id: 1 }).lean();
+  }
+
+  async recordSuccess(account, at) {
+    await PlatformAccount.updateOne(
+      { _id: account._id },
+      { $set: { lastSync: at, lastError: null, consecutiveFailures: 0 } }
+    );
+  }
+
+  async recordFailure(account, error, at) {
+    await PlatformAccount.updateOne(
+      { _id: account._id },
+      { $set: { lastErrorAt: at, lastError: error.message }, $inc: { consecutiveFailures: 1 } }
+    );
+  }
+
+  async startRun(run) {
+    const doc = await ScrapeJobRun.create(run);
+    return doc.toObject();
+  }
+
+  async finishRun(id, update) {
+    return ScrapeJobRun.findByIdAndUpdate(id, { $set: update }, { new: true, lean: true });
+  }
+}
+
+export class ScrapeScheduler {
+  constructor(
+    store,
+    {
+      platforms = () => listPlatforms().map((adapter) => adapter.id),
+      refresh = refreshAccount,
+      now = () => Date.now(),
+      random = Math.random,
+      sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+      retry = RETRY,
+      onError = console.error,
+    } = {}
+  ) {
+    this.store = store;
+    this.platforms = platforms;
+    this.refresh = refresh;
+    this.now = now;
+    this.random = random;
+    this.sleep = sleep;
+    this.retry = retry;
+    this.onError = onError;
+    this.timers = new Map();
+    this.nextRunAt = new Map();
+    this.running = new Map();
+    this.active = false;
+  }
+
+  // Each platform runs on its own timer, once per scrape cache TTL, so
+  // page views mostly find a fresh entry.
+  start() {
+    this.active = true;
+    this.platforms().forEach((platform, index) => {
+      this.schedule(platform, withJitter(index * PLATFORM_STAGGER_MS + MINUTE, this.random));
+    });
+  }
+
+  stop() {
+    this.active = false;
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+    this.nextRunAt.clear();
+  }
+
+  schedule(platform, delay) {
+    clearTimeout(this.timers.get(platform));
+    const timer = setTimeout(async () => {
+      this.timers.delete(platform);
+      this.nextRunAt.delete(platform);
+      try {
+        const started = await this.begin(platform, "schedule");
+        if (started) await started.done;
+      } catch (error) {
+        this.onError(`Scheduled scrape failed for ${platform}: ${error.message}`);
+      }
+      if (this.active) {
+        this.schedule(platform, withJitter(ttlFor(platform), this.random));
+      }
+    }, delay);
+    // Never keep the process alive just for the scheduler
+    timer.unref?.();
+
+    this.timers.set(platform, timer);
+    this.nextRunAt.set(platform, new Date(this.now() + delay));
+  }
+
+  // Resolves with { run, done } once the run document exists; done settles
+  // with the finished run. Returns null if the platform is already running.
+  async begin(platform, trigger = "manual") {
+    if (this.running.has(platform)) return null;
+
+    const started = this.store.startRun({
+      platform,
+      trigger,
+      status: "running",
+      startedAt: new Date(this.now()),
+    });
+    const done = started
+      .then((run) => this.process(run))
+      .finally(() => this.running.delete(platform));
+    this.running.set(platform, done);
+
+    // Callers that only want the run document may never await done
+    done.catch(() => {});
+    return { run: await started, done };
+  }
+
+  async process(run) {
+    let accounts;
+    try {
+      accounts = await this.store.listAccounts(run.platform);
+    } catch (error) {
+      return this.store.finishRun(run._id, {
+        status: "failed",
+        finishedAt: new Date(this.now()),
+        error: error.message,
+      });
+    }
+
+    let succeeded = 0;
+    const failures = [];
+
+    for (const [index, account] of accounts.entries()) {
+      if (index > 0) {
+        await this.sleep(withJitter(spacingFor(run.platform), this.random));
+      }
+
+      try {
+        await retryWithBackoff(() => this.refresh(account), {
+          ...this.retry,
+          shouldRetry: isRetryable,
+          wait: this.sleep,
+          random: this.random,
+        });
+        succeeded++;
+        await this.store
+          .recordSuccess(account, new Date(this.now()))
+          .catch((error) => this.onError(`Scrape state write failed: ${error.message}`));
+      } catch (error) {
+        failures.push({
+          account: account._id,
+          handle: account.handle,
+          error: error.message,
+          attempts: error.attempts || 1,
+        });
+        await this.store
+          .recordFailure(account, error, new Date(this.now()))
+          .catch((writeError) =>
+            this.onError(`Scrape state write failed: ${writeError.message}`)
+          );
+      }
+    }
+
+    let status = "succeeded";
+    if (failures.length > 0) status = succeeded > 0 ? "partial" : "failed";
+
+    return this.store.finishRun(run._id, {
+      status,
+      finishedAt: new Date(this.now()),
+      accounts: accounts.length,
+      succeeded,
+      failed: failures.length,
+      failures: failures.slice(0, MAX_FAILURES_KEPT),
+    });
+  }
+
+  status() {
+    return this.platforms().map((platform) => ({
+      platform,
+      intervalMs: ttlFor(platform),
+      accountSpacingMs: spacingFor(platform),
+      nextRunAt: this.nextRunAt.get(platform) || null,
+      running: this.running.has(platform),
+    }));
+  }
+}
+
+export const scrapeScheduler = new ScrapeScheduler(new MongoScrapeStore());
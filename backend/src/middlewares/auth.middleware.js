@@ -1,4 +1,5 @@
 import jwt from "jsonwebtoken";
+import User from "../models/user.model.js";
 import { AppError, ERROR_CODES } from "../utils/appError.js";
 
 export const protect = (req, res, next) => {
@@ -22,3 +23,31 @@ export const protect = (req, res, next) => {
     return next(new AppError("Not authorized, no token", 401, ERROR_CODES.INVALID_TOKEN));
   }
 };
+
+// For public routes that do more for a signed-in caller: sets req.user
+// when a valid token comes along, and otherwise carries on anonymously
+export const optionalAuth = (req, res, next) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith("Bearer")) {
+    try {
+      const decoded = jwt.verify(header.split(" ")[1], process.env.JWT_SECRET);
+      req.user = { id: decoded.id };
+    } catch {
+      // an expired or bad token reads as no token here
+    }
+  }
+  next();
+};
+
+// Use after protect
+export const adminOnly = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("role").lean();
+    if (!user || user.role !== "admin") {
+      return next(new AppError("Admin access required", 403, ERROR_CODES.FORBIDDEN));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
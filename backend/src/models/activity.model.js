@@ -9,9 +9,25 @@ const activitySchema = new mongoose.Schema(
     difficulty: { type: String, enum: ['easy', 'medium', 'hard'], required: true },
     score: { type: Number, default: 0 },
     solvedAt: { type: Date, default: Date.now },
+    // Submission-level details (when the platform exposes them)
+    problemRating: { type: Number, default: null }, // platform-native difficulty
+    // Common cross-platform scale (normalization/difficulty.normalizer.js)
+    difficultyScore: { type: Number, default: null },
+    tags: [{ type: String }],
+    language: { type: String, default: "" },
+    attempts: { type: Number, default: 1 }, // submissions up to and including first AC
+    url: { type: String, default: "" },
+    // Canonical problem from the problem catalog: the same key on two
+    // platforms means one problem solved twice
+    problemKey: { type: String, default: null },
   },
   { timestamps: true }
 );
 
+// One document per solved problem, so re-syncing is an idempotent upsert
+activitySchema.index({ user: 1, platform: 1, problemId: 1 }, { unique: true });
+activitySchema.index({ user: 1, solvedAt: -1 });
+activitySchema.index({ user: 1, problemKey: 1 });
+
 const Activity = mongoose.model("Activity", activitySchema);
-export default Activity;
\ No newline at end of file
+export default Activity;
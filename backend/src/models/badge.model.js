@@ -13,6 +13,13 @@ const badgeSchema = new mongoose.Schema(
     criteria: {
       type: { type: String, required: true }, // "count", "rating", "streak", "time"
       value: { type: Number, required: true }, // threshold value
+      // "difficulty" badges: only problems at or above this score on the
+      // common difficulty scale count towards value
+      minDifficulty: { type: Number, default: null },
+      // "streak" badges: whether days covered by a streak freeze count.
+      // Streak badges from before freezes existed lack the field and keep
+      // counting the plain longest streak.
+      countFrozenDays: { type: Boolean, default: true },
       platform: { type: String, default: null } // specific platform or null for all
     },
     rarity: {
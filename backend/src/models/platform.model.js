@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// A platform handle linked to a user. The scrape scheduler refreshes every
+// account on its platform's interval and records the outcome here.
+const platformAccountSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    platform: { type: String, required: true },
+    handle: { type: String, required: true, trim: true },
+    // Lowercased handle, for "is this handle already owned" lookups
+    handleKey: { type: String, required: true },
+    linkedAt: { type: Date, default: Date.now },
+    // Ownership: the user put verificationToken in their platform profile
+    verified: { type: Boolean, default: false },
+    verifiedAt: { type: Date, default: null },
+    verificationToken: { type: String, default: null },
+    verificationExpiresAt: { type: Date, default: null },
+    // Scheduler state
+    lastSync: { type: Date, default: null },
+    // Newest submission already stored; the next sync starts after it
+    syncCursor: {
+      type: new mongoose.Schema(
+        {
+          lastSubmissionId: { type: String, required: true },
+          lastSubmissionAt: { type: Date, required: true },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    lastErrorAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    consecutiveFailures: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+platformAccountSchema.pre("validate", function () {
+  if (this.handle) this.handleKey = this.handle.trim().toLowerCase();
+});
+
+platformAccountSchema.index({ user: 1, platform: 1 }, { unique: true });
+platformAccountSchema.index({ platform: 1 });
+// A handle can be linked by anyone, but verified by one user only
+platformAccountSchema.index(
+  { platform: 1, handleKey: 1 },
+  { unique: true, partialFilterExpression: { verified: true } }
+);
+
+const PlatformAccount = mongoose.model("PlatformAccount", platformAccountSchema);
+export default PlatformAccount;
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// One canonical problem and every platform problem known to be the same
+// one (mirrors, re-uploads, contest/problemset aliases). Built up by the
+// problem catalog as activities are synced.
+const problemSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    title: { type: String, default: "" },
+    // Normalized title and statement, for matching mirrors
+    titleKey: { type: String, default: "" },
+    statementHash: { type: String },
+    urls: [{ type: String }],
+    sources: [
+      {
+        _id: false,
+        platform: { type: String, required: true },
+        problemId: { type: String, required: true },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+problemSchema.index({ "sources.platform": 1, "sources.problemId": 1 });
+problemSchema.index({ urls: 1 });
+problemSchema.index({ statementHash: 1 }, { sparse: true });
+problemSchema.index({ titleKey: 1 });
+
+const Problem = mongoose.model("Problem", problemSchema);
+export default Problem;
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+const ratingChangeSchema = new mongoose.Schema(
+  {
+    contestId: { type: String, default: "" },
+    contestName: { type: String, default: "" },
+    date: { type: Date, required: true },
+    rank: { type: Number, default: null },
+    oldRating: { type: Number, required: true },
+    newRating: { type: Number, required: true },
+    delta: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Cached contest history for one handle on one platform
+const ratingHistorySchema = new mongoose.Schema(
+  {
+    platform: { type: String, required: true },
+    handle: { type: String, required: true, lowercase: true, trim: true },
+    entries: [ratingChangeSchema],
+    fetchedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+ratingHistorySchema.index({ platform: 1, handle: 1 }, { unique: true });
+
+const RatingHistory = mongoose.model("RatingHistory", ratingHistorySchema);
+export default RatingHistory;
@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// One version of the scoring rule table. The highest version is in force;
+// older ones stay for reference. Without any document the defaults from
+// constants/scoring.js apply as version 0.
+const scoringRulesSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true, unique: true },
+    rules: { type: mongoose.Schema.Types.Mixed, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+const ScoringRules = mongoose.model("ScoringRules", scoringRulesSchema);
+export default ScoringRules;
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// Last normalized payload per { platform, handle }, served by the scrape
+// cache until its platform TTL runs out.
+const scrapeCacheSchema = new mongoose.Schema(
+  {
+    platform: { type: String, required: true },
+    handle: { type: String, required: true, lowercase: true, trim: true },
+    data: { type: mongoose.Schema.Types.Mixed, required: true },
+    etag: { type: String, required: true },
+    fetchedAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+scrapeCacheSchema.index({ platform: 1, handle: 1 }, { unique: true });
+
+const ScrapeCache = mongoose.model("ScrapeCache", scrapeCacheSchema);
+export default ScrapeCache;
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const runFailureSchema = new mongoose.Schema(
+  {
+    account: { type: mongoose.Schema.Types.ObjectId, ref: "PlatformAccount" },
+    handle: { type: String, required: true },
+    error: { type: String, required: true },
+    attempts: { type: Number, default: 1 },
+  },
+  { _id: false }
+);
+
+// One scheduled or manually triggered refresh of every account on a platform
+const scrapeJobRunSchema = new mongoose.Schema(
+  {
+    platform: { type: String, required: true },
+    trigger: { type: String, enum: ["schedule", "manual"], required: true },
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "partial", "failed"],
+      default: "running",
+    },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date, default: null },
+    accounts: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    failures: [runFailureSchema],
+    // Set when the run itself broke (e.g. the account list could not be read)
+    error: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+scrapeJobRunSchema.index({ startedAt: -1 });
+scrapeJobRunSchema.index({ platform: 1, startedAt: -1 });
+
+const ScrapeJobRun = mongoose.model("ScrapeJobRun", scrapeJobRunSchema);
+export default ScrapeJobRun;
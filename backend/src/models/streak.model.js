@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// Server-computed streak of one user, per platform and combined across
+// all of them (scope "combined"). Rebuilt by the streak engine on every
+// sync from stored activities and platform calendars. Streak freezes only
+// apply to the combined streak.
+const streakSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    scope: { type: String, required: true }, // platform id or "combined"
+    // Lengths count frozen days; the *Active ones leave them out, and
+    // longestUnfrozen is the longest run without any frozen day
+    current: { type: Number, default: 0 },
+    currentActive: { type: Number, default: 0 },
+    longest: { type: Number, default: 0 },
+    longestActive: { type: Number, default: 0 },
+    longestUnfrozen: { type: Number, default: 0 },
+    // Days are "YYYY-MM-DD"
+    currentStart: { type: String, default: null },
+    lastActiveDate: { type: String, default: null },
+    currentFrozenDays: [{ type: String }],
+    // Finished streaks, newest first
+    history: [
+      {
+        _id: false,
+        start: { type: String, required: true },
+        end: { type: String, required: true },
+        length: { type: Number, required: true },
+        brokenOn: { type: String, required: true },
+        frozenDays: [{ type: String }],
+      },
+    ],
+    // Combined scope: every day a freeze was spent on, and the freezes
+    // already earned by the current streak (so recomputes never pay twice)
+    frozenDays: [{ type: String }],
+    freezeAward: {
+      start: { type: String, default: null },
+      count: { type: Number, default: 0 },
+    },
+    computedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+streakSchema.index({ user: 1, scope: 1 }, { unique: true });
+
+const Streak = mongoose.model("Streak", streakSchema);
+export default Streak;
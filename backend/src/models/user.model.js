@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from "../utils/date.util.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -8,13 +9,27 @@ const userSchema = new mongoose.Schema(
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
     bio: { type: String, default: "" },
+    role: { type: String, enum: ["user", "admin"], default: "user" },
+    isPublic: { type: Boolean, default: true },
+    friends: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // IANA zone where the user's days start and end (streaks, heatmap,
+    // "coded today", daily reminders)
+    timezone: {
+      type: String,
+      default: DEFAULT_TIME_ZONE,
+      validate: { validator: isValidTimeZone, message: "Invalid timezone" },
+    },
     // Achievement system fields
     totalPoints: { type: Number, default: 0 },
+    // Activity score from the scoring engine (services/scoring.service.js)
+    totalScore: { type: Number, default: 0, index: true },
     badgeCount: { type: Number, default: 0 },
     // User stats for badge calculations
     totalProblemsSolved: { type: Number, default: 0 },
     currentStreak: { type: Number, default: 0 },
     longestStreak: { type: Number, default: 0 },
+    // Streak freezes held, spent automatically on missed days
+    streakFreezes: { type: Number, default: 0, min: 0 },
     averageRating: { type: Number, default: 0 },
     fastestSolveTime: { type: Number, default: null }, // in milliseconds
   },
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const scoreItemSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["solve", "contest"], required: true },
+    platform: { type: String, required: true },
+    ref: { type: String, required: true }, // problem or contest id
+    label: { type: String, default: "" },
+    date: { type: Date, default: null },
+    points: { type: Number, required: true },
+    // How points came about, e.g. { base: 40, platform: 1.2, streak: 1.1,
+    // firstSolveBonus: 5 } or { participation: 25, ratingGain: 31 }
+    parts: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { _id: false }
+);
+
+// A user's score as of one version of the scoring rules, with where the
+// points came from. User.totalScore mirrors total for the leaderboard.
+const userScoreSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    total: { type: Number, default: 0 },
+    rulesVersion: { type: Number, required: true },
+    breakdown: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Newest first, capped
+    items: [scoreItemSchema],
+    computedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+userScoreSchema.index({ rulesVersion: 1 });
+
+const UserScore = mongoose.model("UserScore", userScoreSchema);
+export default UserScore;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  getPlatforms,
+  getPlatformStats
+} from "../controllers/platform.controller.js";
+import { getPlatformRatingHistory } from "../controllers/ratingHistory.controller.js";
+import { listPlatforms } from "../services/platformRegistry.service.js";
+
+const router = express.Router();
+
+// List registered platforms and what each one can provide
+router.get("/", getPlatforms);
+
+// Normalized stats for one handle on one platform
+router.get("/:platform/:username", getPlatformStats);
+
+// Rated contest history (old/new rating, delta, rank), cached in Mongo
+router.get("/:platform/:username/rating-history", getPlatformRatingHistory);
+
+// Pre-registry URLs (/api/leetcode/:username, ...), generated per adapter
+export const legacyPlatformRoutes = express.Router();
+
+for (const adapter of listPlatforms()) {
+  legacyPlatformRoutes.get(`/${adapter.id}/:username`, (req, res) => {
+    req.params.platform = adapter.id;
+    return getPlatformStats(req, res);
+  });
+}
+
+export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getRules,
+  putRules,
+  recalculateScores,
+  getRecalculationStatus,
+} from "../controllers/scoring.controller.js";
+import { protect, adminOnly } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.use(protect, adminOnly);
+
+// Scoring rule table in force; PUT stores a new version and rescores
+router.get("/rules", getRules);
+router.put("/rules", putRules);
+
+// Rescore every user whose score predates the current rules
+router.post("/recalculate", recalculateScores);
+router.get("/recalculation", getRecalculationStatus);
+
+export default router;
@@ -0,0 +1,40 @@
+import express from "express";
+import {
+  getScrapeStatus,
+  getBulkheads,
+  getThrottleStats,
+  getScrapeRuns,
+  getScrapeRun,
+  triggerScrapeRun,
+  getScrapeAccounts,
+  resyncScrapeAccount,
+} from "../controllers/scrape.controller.js";
+import { protect, adminOnly } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.use(protect, adminOnly);
+
+// Scheduler state per platform: next run, in progress, failing accounts
+router.get("/status", getScrapeStatus);
+
+// Per-platform and per-host bulkheads: queue, in flight, circuit state
+router.get("/bulkheads", getBulkheads);
+
+// Per-host token buckets: throttled requests, upstream 429s, retries
+router.get("/throttle", getThrottleStats);
+
+// Run history, newest first
+router.get("/runs", getScrapeRuns);
+router.get("/runs/:id", getScrapeRun);
+
+// Start a run now for one platform ({ platform }) or all of them
+router.post("/runs", triggerScrapeRun);
+
+// Per-account last success / last error
+router.get("/accounts", getScrapeAccounts);
+
+// Full submission resync for one account, ignoring its incremental cursor
+router.post("/accounts/:id/resync", resyncScrapeAccount);
+
+export default router;
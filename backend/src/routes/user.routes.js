@@ -1,10 +1,44 @@
 import express from "express";
 import { updateUserProfile, getUserProfile } from "../controllers/user.controller.js";
-import { protect } from "../middlewares/auth.middleware.js";
+import {
+  syncActivity,
+  getActivitySummaryForUser,
+} from "../controllers/activity.controller.js";
+import { getUserRatingHistoryById } from "../controllers/ratingHistory.controller.js";
+import { getMyStreaks, buyFreeze } from "../controllers/streak.controller.js";
+import { getMyHeatmap, getUserHeatmap } from "../controllers/heatmap.controller.js";
+import { getMyScore, getUserScore } from "../controllers/scoring.controller.js";
+import {
+  getLinkedAccounts,
+  putLinkedAccount,
+  deleteLinkedAccount,
+  requestVerification,
+  checkVerification,
+  getSolvedTotals,
+} from "../controllers/platformAccount.controller.js";
+import { protect, optionalAuth } from "../middlewares/auth.middleware.js";
 
 const router = express.Router();
 
 router.get("/profile", protect, getUserProfile);
 router.put("/profile", protect, updateUserProfile);
+router.post("/me/sync/:platform", protect, syncActivity);
+router.get("/me/activity/summary", protect, getActivitySummaryForUser);
+router.get("/me/solved", protect, getSolvedTotals);
+router.get("/me/streaks", protect, getMyStreaks);
+router.post("/me/streaks/freezes", protect, buyFreeze);
+router.get("/me/heatmap", protect, getMyHeatmap);
+router.get("/me/score", protect, getMyScore);
+
+// Linked platform accounts. Ownership is proven by putting the token from
+// /verification in the platform profile, then calling /verification/confirm.
+router.get("/me/platforms", protect, getLinkedAccounts);
+router.put("/me/platforms/:platform", protect, putLinkedAccount);
+router.delete("/me/platforms/:platform", protect, deleteLinkedAccount);
+router.post("/me/platforms/:platform/verification", protect, requestVerification);
+router.post("/me/platforms/:platform/verification/confirm", protect, checkVerification);
+router.get("/:id/rating-history", optionalAuth, getUserRatingHistoryById);
+router.get("/:id/heatmap", getUserHeatmap);
+router.get("/:id/score", getUserScore);
 
 export default router;
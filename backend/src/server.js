@@ -2,25 +2,23 @@ import express from 'express';
 import cors from 'cors';
 import { corsOptions } from './config/cors.js';
 import connectDB from './config/db.js';
-import { scrapeLeetCode } from './services/scraping/leetcode.scraper.js';
-
-import { fetchCodeforcesStats } from './services/scraping/codeforces.scraper.js';
-import { fetchCodeChefStats } from './services/scraping/codechef.scraper.js';
-import { normalizeCodeforces } from './services/normalization/codeforces.normalizer.js';
-import { normalizeCodeChef } from './services/normalization/codechef.normalizer.js';
-
-import { backpressureManager } from './utils/backpressure.util.js';
 import { rateLimiter } from './utils/rateLimiter.util.js';
 import { memoryMonitor } from './middlewares/memory.middleware.js';
-import { validate, sanitize } from './middlewares/validation.middleware.js';
 import { errorHandler } from './middlewares/error.middleware.js';
 import { tracingMiddleware } from './middlewares/tracing.middleware.js';
-import { withTrace } from './utils/serviceTracer.util.js';
 import { traceRoutes } from './routes/trace.routes.js';
 import badgeRoutes from './routes/badge.routes.js';
 import userRoutes from './routes/user.routes.js';
 import goalRoutes from './routes/goal.routes.js';
+import leaderboardRoutes from './routes/leaderboard.routes.js';
+import platformRoutes, { legacyPlatformRoutes } from './routes/platform.routes.js';
+import scrapeRoutes from './routes/scrape.routes.js';
+import scoringRoutes from './routes/scoring.routes.js';
+import { scrapeScheduler } from './jobs/scrape.job.js';
+import { scoreRecalculation } from './jobs/scoring.job.js';
 import { gracefulShutdown } from './utils/shutdown.util.js';
+import { installHostBulkheads } from './utils/backpressure.util.js';
+import { installUpstreamThrottle } from './utils/upstreamThrottle.util.js';
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -28,118 +26,22 @@ const PORT = process.env.PORT || 5001;
 // Connect to database
 connectDB();
 
+// Every outbound scraper request is rate limited per upstream host, retried
+// when that is safe, and goes through that host's bulkhead
+installUpstreamThrottle();
+installHostBulkheads();
+
 app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 
-app.get('/api/leetcode/:username', async (req, res) => {
-  try {
-    const data = await scrapeLeetCode(req.params.username);
-    res.json(data);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * ----------------------------
- * LeetCode API (Upstream)
- * ----------------------------
- */
-app.get(
-  "/api/leetcode/:username",
-  validate({ username: { required: true, type: "username" } }),
-  async (req, res) => {
-    try {
-      const data = await backpressureManager.process(() =>
-        withTrace(req.traceId, "leetcode.scrape", () =>
-          scrapeLeetCode(req.params.username),
-        ),
-      );
-      res.json({ data, traceId: req.traceId });
-    } catch (error) {
-      if (
-        error.message.includes("Circuit breaker") ||
-        error.message.includes("Queue full")
-      ) {
-        res.status(503).json({ error: error.message, traceId: req.traceId });
-      } else {
-        res.status(500).json({ error: error.message, traceId: req.traceId });
-      }
-    }
-  },
-);
-
-/**
- * ----------------------------
- * Codeforces API (Your feature)
- * ----------------------------
- */
-app.get(
-  "/api/codeforces/:username",
-  validate({ username: { required: true, type: "username" } }),
-  async (req, res) => {
-    try {
-      const username = req.params.username;
-
-      const raw = await backpressureManager.process(() =>
-        withTrace(req.traceId, "codeforces.scrape", () =>
-          fetchCodeforcesStats(username),
-        ),
-      );
-
-      const normalized = normalizeCodeforces({ ...raw, username });
-
-      res.json({ success: true, data: normalized, traceId: req.traceId });
-    } catch (error) {
-      let status = 500;
-      if (error.message === "Invalid username") status = 400;
-      if (error.message === "User not found") status = 404;
-      if (error.message === "Rate limited") status = 429;
-
-      res
-        .status(status)
-        .json({ success: false, error: error.message, traceId: req.traceId });
-    }
-  },
-);
-
-/**
- * ----------------------------
- * CodeChef API (Your feature)
- * ----------------------------
- */
-app.get(
-  "/api/codechef/:username",
-  validate({ username: { required: true, type: "username" } }),
-  async (req, res) => {
-    try {
-      const username = req.params.username;
-
-      const raw = await backpressureManager.process(() =>
-        withTrace(req.traceId, "codechef.scrape", () =>
-          fetchCodeChefStats(username),
-        ),
-      );
-
-      const normalized = normalizeCodeChef({ ...raw, username });
-
-      res.json({ success: true, data: normalized, traceId: req.traceId });
-    } catch (error) {
-      let status = 500;
-      if (error.message === "Invalid username") status = 400;
-      if (error.message === "User not found") status = 404;
-      if (error.message === "Rate limited") status = 429;
-
-      res
-        .status(status)
-        .json({ success: false, error: error.message, traceId: req.traceId });
-    }
-  },
-);
-
+app.use('/api/platforms', platformRoutes);
+app.use('/api', legacyPlatformRoutes);
 app.use('/api/badges', badgeRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/goals', goalRoutes);
+app.use('/api/leaderboard', leaderboardRoutes);
+app.use('/api/admin/scrape', scrapeRoutes);
+app.use('/api/admin/scoring', scoringRoutes);
 
 // Initialize trace routes
 traceRoutes(app);
@@ -150,4 +52,12 @@ const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Keep linked accounts fresh even when nobody opens the app
+if (process.env.SCRAPE_SCHEDULER !== 'off') {
+  scrapeScheduler.start();
+}
+
+// Scores left over from older scoring rules are redone after boot
+scoreRecalculation.start();
+
 gracefulShutdown(server);
@@ -1,5 +1,209 @@
-export function computeActivityScore(normalized) {
-  // MVP logic: any activity = 1
-  if (normalized.totalSolved > 0) return 1;
-  return 0;
+import Activity from "../models/activity.model.js";
+import PlatformAccount from "../models/platform.model.js";
+import Streak from "../models/streak.model.js";
+import { getPlatform } from "./platformRegistry.service.js";
+import { linkedPlatforms } from "./platformAccount.service.js";
+import { resolveProblems } from "./problemCatalog.service.js";
+import { recomputeStreaks, userTimeZone, COMBINED } from "./streak.service.js";
+import { recalculateUserScore } from "./scoring.service.js";
+import GoalService from "./goal.service.js";
+import { difficultyBucket } from "./normalization/difficulty.normalizer.js";
+import { difficultyConfig } from "../config/difficulty.js";
+import { AppError, ERROR_CODES } from "../utils/appError.js";
+import { dateKey } from "../utils/date.util.js";
+
+// Idempotent on { user, platform, problemId }: re-syncing the same history
+// refreshes the documents instead of duplicating them. With keepExisting,
+// problems already stored are left alone, so an incremental batch (which
+// only sees recent submissions) never overwrites a full-history document.
+export async function upsertActivities(userId, platform, activities, { keepExisting = false } = {}) {
+  if (activities.length === 0) return { upserted: 0, modified: 0 };
+
+  const problemKeys = await resolveProblems(
+    platform,
+    activities.map(({ problemId, problemName, url, statementHash }) => ({
+      problemId,
+      title: problemName,
+      url,
+      statementHash,
+    }))
+  );
+
+  const result = await Activity.bulkWrite(
+    activities.map((activity) => {
+      const doc = {
+        ...activity,
+        user: userId,
+        platform,
+        problemKey: problemKeys.get(String(activity.problemId)),
+      };
+      return {
+        updateOne: {
+          filter: { user: userId, platform, problemId: activity.problemId },
+          update: keepExisting ? { $setOnInsert: doc } : { $set: doc },
+          upsert: true,
+        },
+      };
+    }),
+    { ordered: false }
+  );
+
+  return { upserted: result.upsertedCount, modified: result.modifiedCount };
+}
+
+export function supportsActivitySync(adapter) {
+  return (
+    typeof adapter.fetchActivities === "function" ||
+    typeof adapter.toActivities === "function"
+  );
+}
+
+// Store what a linked account solved since its sync cursor and advance the
+// cursor. full ignores the cursor and re-reads the whole history (adapters
+// without fetchActivities() always do).
+// upstream(fn) runs the requests to the platform, e.g. through its bulkhead;
+// storing and recomputing stay outside it.
+export async function syncAccountActivities(account, { full = false, upstream = (fn) => fn() } = {}) {
+  const adapter = getPlatform(account.platform);
+  if (!adapter || !supportsActivitySync(adapter)) {
+    throw new AppError(
+      `${adapter?.name || account.platform} does not expose submission history`,
+      400,
+      ERROR_CODES.PLATFORM_ERROR
+    );
+  }
+
+  const cursor = full ? null : account.syncCursor || null;
+  let activities;
+  let nextCursor = null;
+
+  if (typeof adapter.fetchActivities === "function") {
+    ({ activities, cursor: nextCursor } = await upstream(() =>
+      adapter.fetchActivities(account.handle, cursor)
+    ));
+  } else {
+    activities = adapter.toActivities(await upstream(() => adapter.fetch(account.handle)));
+  }
+
+  const { upserted, modified } = await upsertActivities(account.user, adapter.id, activities, {
+    keepExisting: Boolean(cursor),
+  });
+  await PlatformAccount.updateOne(
+    { _id: account._id },
+    { $set: { syncCursor: nextCursor, lastSync: new Date() } }
+  );
+  await recomputeStreaks(account.user);
+  await GoalService.syncHardProblemGoals(account.user);
+  await recalculateUserScore(account.user);
+
+  return {
+    platform: adapter.id,
+    handle: account.handle,
+    incremental: Boolean(cursor),
+    solved: activities.length,
+    upserted,
+    modified,
+  };
+}
+
+// Sync the submissions of the user's linked account on a platform into
+// one Activity per solved problem. Only a linked handle is ever synced:
+// linking (PUT /api/users/me/platforms/:platform) is how a handle becomes
+// the user's.
+export async function syncPlatformActivity(userId, platformId, { full = false } = {}) {
+  const adapter = getPlatform(platformId);
+  if (!adapter) {
+    throw new AppError(`Unsupported platform: ${platformId}`, 404, ERROR_CODES.PLATFORM_ERROR);
+  }
+  if (!supportsActivitySync(adapter)) {
+    throw new AppError(
+      `${adapter.name} does not expose submission history`,
+      400,
+      ERROR_CODES.PLATFORM_ERROR
+    );
+  }
+
+  const account = await PlatformAccount.findOne({ user: userId, platform: adapter.id });
+  if (!account) {
+    throw new AppError(`No ${adapter.id} account linked`, 404, ERROR_CODES.PLATFORM_ERROR);
+  }
+  return syncAccountActivities(account, { full });
+}
+
+// Stored-activity breakdown: difficulty, tags, daily heatmap (days in the
+// user's timezone, with the days a streak freeze covered marked frozen),
+// attempts. Only currently linked platforms count.
+// Problems with a calibrated score are bucketed with the current
+// thresholds; difficultyScores is a histogram of those scores in bands of
+// 100, comparable across platforms.
+export async function getActivitySummary(userId, { platform } = {}) {
+  const linked = await linkedPlatforms(userId);
+  const query = {
+    user: userId,
+    platform: { $in: platform ? linked.filter((id) => id === platform) : linked },
+  };
+
+  const [activities, timeZone, streak] = await Promise.all([
+    Activity.find(query)
+      .select("platform problemId problemKey difficulty difficultyScore tags attempts solvedAt")
+      .lean(),
+    userTimeZone(userId),
+    // Freezes carry the combined streak only
+    platform ? null : Streak.findOne({ user: userId, scope: COMBINED }).select("frozenDays").lean(),
+  ]);
+
+  const difficulty = { easy: 0, medium: 0, hard: 0 };
+  const tags = {};
+  const days = {};
+  const problems = new Set();
+  const scoreBands = {};
+  let scoreSum = 0;
+  let scored = 0;
+  let attempts = 0;
+
+  for (const activity of activities) {
+    problems.add(activity.problemKey || `${activity.platform}:${activity.problemId}`);
+    const score = activity.difficultyScore;
+    if (typeof score === "number") {
+      difficulty[difficultyBucket(score)]++;
+      const band = Math.floor(score / 100) * 100;
+      scoreBands[band] = (scoreBands[band] || 0) + 1;
+      scoreSum += score;
+      scored++;
+    } else {
+      difficulty[activity.difficulty]++;
+    }
+    for (const tag of activity.tags || []) {
+      tags[tag] = (tags[tag] || 0) + 1;
+    }
+    const date = dateKey(activity.solvedAt, timeZone);
+    days[date] = (days[date] || 0) + 1;
+    attempts += activity.attempts || 1;
+  }
+
+  return {
+    totalSolved: activities.length,
+    // The same problem solved on two platforms counts once
+    uniqueSolved: problems.size,
+    difficulty,
+    difficultyScores: Object.entries(scoreBands)
+      .map(([rating, count]) => ({ rating: Number(rating), count }))
+      .sort((a, b) => a.rating - b.rating),
+    averageDifficulty: scored ? Math.round(scoreSum / scored) : null,
+    difficultyThresholds: {
+      easyBelow: difficultyConfig.easyBelow,
+      hardFrom: difficultyConfig.hardFrom,
+    },
+    tags: Object.entries(tags)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count),
+    activity: [
+      ...Object.entries(days).map(([date, count]) => ({ date, count })),
+      ...(streak?.frozenDays || [])
+        .filter((date) => !days[date])
+        .map((date) => ({ date, count: 0, frozen: true })),
+    ].sort((a, b) => a.date.localeCompare(b.date)),
+    totalAttempts: attempts,
+    solveRate: attempts ? Math.round((activities.length / attempts) * 1000) / 10 : 0,
+  };
 }
@@ -1,6 +1,32 @@
 import Badge from "../models/badge.model.js";
 import UserBadge from "../models/userBadge.model.js";
 import User from "../models/user.model.js";
+import Activity from "../models/activity.model.js";
+import Streak from "../models/streak.model.js";
+import { difficultyConfig } from "../config/difficulty.js";
+import { recomputeStreaks } from "./streak.service.js";
+import { linkedPlatforms } from "./platformAccount.service.js";
+
+// Solved problems at or above a common-scale difficulty, so a hard
+// LeetCode problem and an 1800 Codeforces one count the same. Only
+// currently linked platforms count.
+async function countSolvedAtLeast(userId, minDifficulty) {
+  return Activity.countDocuments({
+    user: userId,
+    platform: { $in: await linkedPlatforms(userId) },
+    difficultyScore: { $gte: minDifficulty },
+  });
+}
+
+// Longest streak a streak badge looks at: badges whose criteria count
+// frozen days take freeze-bridged streaks, the others only a run no freeze
+// was spent on. Badges stored before the flag existed count frozen days,
+// as the streaks they were written for did.
+export function longestStreakFor(criteria, user, combined) {
+  return criteria.countFrozenDays !== false
+    ? user.longestStreak
+    : combined?.longestUnfrozen || 0;
+}
 
 class BadgeService {
   // Initialize default badges in the database
@@ -53,13 +79,33 @@ class BadgeService {
         points: 100
       },
 
+      // Difficulty badges, on the common scale across platforms
+      {
+        name: "Hard Hitter",
+        description: "Solve 10 hard problems on any platform",
+        icon: "🧗",
+        category: "problems",
+        criteria: { type: "difficulty", value: 10, minDifficulty: difficultyConfig.hardFrom },
+        rarity: "rare",
+        points: 30
+      },
+      {
+        name: "Summit Seeker",
+        description: "Solve 5 problems rated 2400 or higher",
+        icon: "🏔️",
+        category: "problems",
+        criteria: { type: "difficulty", value: 5, minDifficulty: 2400 },
+        rarity: "epic",
+        points: 60
+      },
+
       // Streak badges
       {
         name: "Getting Started",
         description: "Maintain a 3-day streak",
         icon: "🔥",
         category: "streak",
-        criteria: { type: "streak", value: 3 },
+        criteria: { type: "streak", value: 3, countFrozenDays: true },
         rarity: "common",
         points: 10
       },
@@ -68,25 +114,25 @@ class BadgeService {
         description: "Maintain a 7-day streak",
         icon: "🔥",
         category: "streak",
-        criteria: { type: "streak", value: 7 },
+        criteria: { type: "streak", value: 7, countFrozenDays: true },
         rarity: "rare",
         points: 25
       },
       {
         name: "Unstoppable",
-        description: "Maintain a 30-day streak",
+        description: "Maintain a 30-day streak without freezes",
         icon: "🚀",
         category: "streak",
-        criteria: { type: "streak", value: 30 },
+        criteria: { type: "streak", value: 30, countFrozenDays: false },
         rarity: "epic",
         points: 75
       },
       {
         name: "Immortal",
-        description: "Maintain a 100-day streak",
+        description: "Maintain a 100-day streak without freezes",
         icon: "💎",
         category: "streak",
-        criteria: { type: "streak", value: 100 },
+        criteria: { type: "streak", value: 100, countFrozenDays: false },
         rarity: "legendary",
         points: 200
       },
@@ -178,12 +224,10 @@ class BadgeService {
       if (userStats.totalProblemsSolved !== undefined) {
         user.totalProblemsSolved = userStats.totalProblemsSolved;
       }
-      if (userStats.currentStreak !== undefined) {
-        user.currentStreak = userStats.currentStreak;
-        if (userStats.currentStreak > user.longestStreak) {
-          user.longestStreak = userStats.currentStreak;
-        }
-      }
+      // Streaks come from the streak engine, never from the client
+      const { combined } = await recomputeStreaks(userId);
+      user.currentStreak = combined.current;
+      user.longestStreak = Math.max(user.longestStreak, combined.longest);
       if (userStats.averageRating !== undefined) {
         user.averageRating = userStats.averageRating;
       }
@@ -216,7 +260,7 @@ class BadgeService {
             meetsCriteria = user.totalProblemsSolved >= badge.criteria.value;
             break;
           case "streak":
-            meetsCriteria = user.longestStreak >= badge.criteria.value;
+            meetsCriteria = longestStreakFor(badge.criteria, user, combined) >= badge.criteria.value;
             break;
           case "rating":
             meetsCriteria = user.averageRating >= badge.criteria.value;
@@ -224,6 +268,10 @@ class BadgeService {
           case "time":
             meetsCriteria = user.fastestSolveTime && user.fastestSolveTime <= badge.criteria.value;
             break;
+          case "difficulty":
+            meetsCriteria =
+              (await countSolvedAtLeast(userId, badge.criteria.minDifficulty)) >= badge.criteria.value;
+            break;
         }
 
         if (meetsCriteria) {
@@ -261,6 +309,7 @@ class BadgeService {
     try {
       const user = await User.findById(userId);
       if (!user) return { earned: [], upcoming: [] };
+      const combined = await Streak.findOne({ user: userId, scope: "combined" }).lean();
 
       // Get earned badges
       const earnedUserBadges = await UserBadge.find({ user: userId })
@@ -288,7 +337,7 @@ class BadgeService {
             progress = Math.min((current / target) * 100, 100);
             break;
           case "streak":
-            current = user.longestStreak;
+            current = longestStreakFor(badge.criteria, user, combined);
             progress = Math.min((current / target) * 100, 100);
             break;
           case "rating":
@@ -303,6 +352,10 @@ class BadgeService {
               if (progress < 0) progress = 0;
             }
             break;
+          case "difficulty":
+            current = await countSolvedAtLeast(userId, badge.criteria.minDifficulty);
+            progress = Math.min((current / target) * 100, 100);
+            break;
         }
 
         upcoming.push({
@@ -1,6 +1,27 @@
 import Goal from "../models/goal.model.js";
 import UserGoal from "../models/userGoal.model.js";
 import User from "../models/user.model.js";
+import Streak from "../models/streak.model.js";
+import Activity from "../models/activity.model.js";
+import { linkedPlatforms } from "./platformAccount.service.js";
+import { difficultyConfig } from "../config/difficulty.js";
+import { dateKey, DEFAULT_TIME_ZONE } from "../utils/date.util.js";
+
+// Goals whose progress is counted from stored solves: problems at or above
+// the hard threshold of the common difficulty scale
+const HARD_PROBLEMS = "hard_problems";
+
+// Hard solves on currently linked platforms within the goal's period
+async function countHardSolves(userId, userGoal) {
+  const solvedAt = { $gte: userGoal.startDate };
+  if (userGoal.targetDate) solvedAt.$lte = userGoal.targetDate;
+  return Activity.countDocuments({
+    user: userId,
+    platform: { $in: await linkedPlatforms(userId) },
+    difficultyScore: { $gte: difficultyConfig.hardFrom },
+    solvedAt,
+  });
+}
 
 class GoalService {
   // Initialize default goal templates
@@ -40,6 +61,17 @@ class GoalService {
         isTemplate: true,
         reward: { points: 100 }
       },
+      {
+        title: "Hard Problem Hunter",
+        description: `Solve 15 problems rated ${difficultyConfig.hardFrom}+ (any platform, common difficulty scale) within 30 days`,
+        category: "problems",
+        targetValue: 15,
+        targetUnit: "hard_problems",
+        difficulty: "hard",
+        estimatedDuration: 30,
+        isTemplate: true,
+        reward: { points: 90 }
+      },
 
       // Rating goals
       {
@@ -158,15 +190,20 @@ class GoalService {
       throw new Error("Goal is not active");
     }
 
-    const targetValue = userGoal.customTargetValue || (await Goal.findById(userGoal.goal))?.targetValue || 0;
-    userGoal.currentValue = newValue;
-    userGoal.progressPercentage = Math.min((newValue / targetValue) * 100, 100);
+    const template = userGoal.goal ? await Goal.findById(userGoal.goal) : null;
+    const targetValue = userGoal.customTargetValue || template?.targetValue || 0;
 
-    // Check for completion
-    if (userGoal.progressPercentage >= 100) {
-      userGoal.status = "completed";
-      userGoal.completedDate = new Date();
+    // Streak and hard-problem goals follow server-side data, not a posted
+    // value
+    if ((userGoal.customCategory || template?.category) === "streak") {
+      const streak = await Streak.findOne({ user: userId, scope: "combined" }).lean();
+      newValue = streak?.current || 0;
     }
+    if ((userGoal.customTargetUnit || template?.targetUnit) === HARD_PROBLEMS) {
+      newValue = await countHardSolves(userId, userGoal);
+    }
+
+    await this.applyProgress(userGoal, targetValue, newValue);
 
     // Add progress note if provided
     if (note) {
@@ -176,10 +213,50 @@ class GoalService {
       });
     }
 
+    return await userGoal.save();
+  }
+
+  static async applyProgress(userGoal, targetValue, newValue) {
+    userGoal.currentValue = newValue;
+    userGoal.progressPercentage = Math.min((newValue / targetValue) * 100, 100);
+
+    // Check for completion
+    if (userGoal.progressPercentage >= 100) {
+      userGoal.status = "completed";
+      userGoal.completedDate = new Date();
+    }
+
     // Check for milestone achievements
     await this.checkMilestones(userGoal, targetValue);
+  }
 
-    return await userGoal.save();
+  // Move every active streak goal of a user to the streak engine's
+  // current streak (called after each recompute)
+  static async syncStreakGoals(userId, currentStreak) {
+    const userGoals = await UserGoal.find({ user: userId, status: "active" }).populate("goal");
+
+    for (const userGoal of userGoals) {
+      const category = userGoal.customCategory || userGoal.goal?.category;
+      if (category !== "streak") continue;
+
+      const targetValue = userGoal.customTargetValue || userGoal.goal?.targetValue || 0;
+      await this.applyProgress(userGoal, targetValue, currentStreak);
+      await userGoal.save();
+    }
+  }
+
+  // Recount every active hard-problem goal of a user from stored solves
+  // (called after each activity sync)
+  static async syncHardProblemGoals(userId) {
+    const userGoals = await UserGoal.find({ user: userId, status: "active" }).populate("goal");
+
+    for (const userGoal of userGoals) {
+      if ((userGoal.customTargetUnit || userGoal.goal?.targetUnit) !== HARD_PROBLEMS) continue;
+
+      const targetValue = userGoal.customTargetValue || userGoal.goal?.targetValue || 0;
+      await this.applyProgress(userGoal, targetValue, await countHardSolves(userId, userGoal));
+      await userGoal.save();
+    }
   }
 
   // Check and create milestones
@@ -282,24 +359,31 @@ class GoalService {
     return result;
   }
 
-  // Get goals needing reminders
-  static async getGoalsNeedingReminders() {
-    const now = new Date();
+  // Get goals needing reminders. Daily reminders are due once per day in
+  // the user's timezone, not every 24 hours.
+  static async getGoalsNeedingReminders(now = new Date()) {
     const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    // A local day is never shorter than 23 hours (DST)
+    const localDayAgo = new Date(now.getTime() - 23 * 60 * 60 * 1000);
 
     const reminderQuery = {
       status: "active",
       reminderFrequency: { $ne: "none" },
       $or: [
-        { reminderFrequency: "daily", $or: [{ lastReminderSent: { $lt: dayAgo } }, { lastReminderSent: { $exists: false } }] },
+        { reminderFrequency: "daily", $or: [{ lastReminderSent: { $lt: localDayAgo } }, { lastReminderSent: { $exists: false } }] },
         { reminderFrequency: "weekly", $or: [{ lastReminderSent: { $lt: weekAgo } }, { lastReminderSent: { $exists: false } }] }
       ]
     };
 
-    return await UserGoal.find(reminderQuery)
-      .populate("user", "name email")
+    const goals = await UserGoal.find(reminderQuery)
+      .populate("user", "name email timezone")
       .populate("goal", "title");
+
+    return goals.filter((userGoal) => {
+      if (userGoal.reminderFrequency !== "daily" || !userGoal.lastReminderSent) return true;
+      const timeZone = userGoal.user?.timezone || DEFAULT_TIME_ZONE;
+      return dateKey(userGoal.lastReminderSent, timeZone) !== dateKey(now, timeZone);
+    });
   }
 
   // Mark reminder as sent
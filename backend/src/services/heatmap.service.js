@@ -0,0 +1,173 @@
+import mongoose from "mongoose";
+import Activity from "../models/activity.model.js";
+import Streak from "../models/streak.model.js";
+import User from "../models/user.model.js";
+import { getPlatform } from "./platformRegistry.service.js";
+import {
+  linkedCalendars,
+  linkedPlatforms,
+  calendarsBefore,
+  firstSolvedByPlatform,
+} from "./platformAccount.service.js";
+import { userTimeZone, COMBINED } from "./streak.service.js";
+import { dateKey, addDays, daysBetween } from "../utils/date.util.js";
+import { AppError, ERROR_CODES } from "../utils/appError.js";
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_DAYS = 365;
+const MAX_DAYS = 3 * 366;
+
+// Check and default the requested window: the last year up to today in
+// the user's zone, at most MAX_DAYS long
+export function heatmapRange({ from, to } = {}, today) {
+  for (const [name, value] of Object.entries({ from, to })) {
+    // The round trip rejects days like 2024-02-30
+    const valid = DATE_KEY.test(value) && !Number.isNaN(Date.parse(value)) && addDays(value, 0) === value;
+    if (value !== undefined && !valid) {
+      throw new AppError(`${name} must be a YYYY-MM-DD date`, 400, ERROR_CODES.VALIDATION_ERROR);
+    }
+  }
+  const end = to || today;
+  const start = from || addDays(end, -(DEFAULT_DAYS - 1));
+  if (start > end) {
+    throw new AppError("from must not be after to", 400, ERROR_CODES.VALIDATION_ERROR);
+  }
+  if (daysBetween(start, end) >= MAX_DAYS) {
+    throw new AppError(`A heatmap covers at most ${MAX_DAYS} days`, 400, ERROR_CODES.VALIDATION_ERROR);
+  }
+  return { from: start, to: end };
+}
+
+// "leetcode,codeforces" -> ["leetcode", "codeforces"]; null means all
+export function parsePlatforms(value) {
+  if (!value) return null;
+  const ids = String(value)
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+  for (const id of ids) {
+    if (!getPlatform(id)) {
+      throw new AppError(`Unknown platform: ${id}`, 400, ERROR_CODES.VALIDATION_ERROR);
+    }
+  }
+  return ids.length ? [...new Set(ids)] : null;
+}
+
+// One series out of every platform's activity, sparse and oldest first:
+// [{ date, count, platforms: { <id>: { count, problems } }, frozen? }]
+// Stored activities (bucketed in the user's zone) name the problems
+// solved; calendars only give a count, on the platform's own (mostly UTC)
+// days. A calendar only counts before the platform's first stored solve,
+// so each solve lands on exactly one day (linkedCalendars() cuts at the
+// first solve ever stored, which may lie before the range).
+export function mergeHeatmap({ activities = [], calendars = new Map(), frozenDays = [], from, to, timeZone }) {
+  const days = new Map();
+  const entry = (date, platform) => {
+    if (!days.has(date)) days.set(date, { date, count: 0, platforms: {} });
+    const day = days.get(date);
+    if (!day.platforms[platform]) day.platforms[platform] = { count: 0, problems: [] };
+    return day.platforms[platform];
+  };
+  const inRange = (date) => date >= from && date <= to;
+
+  for (const activity of activities) {
+    const date = dateKey(activity.solvedAt, timeZone);
+    if (!inRange(date)) continue;
+    const platform = entry(date, activity.platform);
+    platform.problems.push({
+      id: activity.problemId,
+      name: activity.problemName,
+      ...(activity.url && { url: activity.url }),
+    });
+    platform.count = platform.problems.length;
+  }
+
+  for (const [id, calendar] of calendarsBefore(calendars, firstSolvedByPlatform(activities))) {
+    for (const { date, count } of calendar) {
+      if (!(count > 0) || !inRange(date)) continue;
+      // the day before the first stored solve can hold both, in the user's zone
+      const platform = entry(date, id);
+      platform.count = Math.max(platform.count, count);
+    }
+  }
+
+  for (const date of frozenDays) {
+    if (!inRange(date)) continue;
+    if (!days.has(date)) days.set(date, { date, count: 0, platforms: {} });
+    days.get(date).frozen = true;
+  }
+
+  return [...days.values()]
+    .map((day) => ({
+      ...day,
+      count: Object.values(day.platforms).reduce((sum, platform) => sum + platform.count, 0),
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Merged heatmap of a user's linked platforms between from and to
+// (inclusive "YYYY-MM-DD" days in the user's timezone), optionally
+// limited to some platforms. Frozen streak days only show when every
+// platform is included: freezes carry the combined streak.
+export async function getHeatmap(userId, { from, to, platforms } = {}) {
+  const timeZone = await userTimeZone(userId);
+  const range = heatmapRange({ from, to }, dateKey(new Date(), timeZone));
+  const only = parsePlatforms(platforms);
+  const linked = await linkedPlatforms(userId);
+
+  // Activities are bucketed in the user's zone: pad the query by a day.
+  // Only currently linked platforms count.
+  const activityQuery = {
+    user: userId,
+    platform: { $in: only ? linked.filter((id) => only.includes(id)) : linked },
+    solvedAt: {
+      $gte: new Date(`${addDays(range.from, -1)}T00:00:00Z`),
+      $lt: new Date(`${addDays(range.to, 2)}T00:00:00Z`),
+    },
+  };
+
+  const [activities, allCalendars, streak] = await Promise.all([
+    Activity.find(activityQuery).select("platform problemId problemName url solvedAt").lean(),
+    linkedCalendars(userId),
+    only ? null : Streak.findOne({ user: userId, scope: COMBINED }).select("frozenDays").lean(),
+  ]);
+  const calendars = only
+    ? new Map([...allCalendars].filter(([platform]) => only.includes(platform)))
+    : allCalendars;
+
+  const days = mergeHeatmap({
+    activities,
+    calendars,
+    frozenDays: streak?.frozenDays,
+    ...range,
+    timeZone,
+  });
+
+  const totals = {};
+  for (const day of days) {
+    for (const [platform, { count }] of Object.entries(day.platforms)) {
+      totals[platform] = (totals[platform] || 0) + count;
+    }
+  }
+
+  return {
+    ...range,
+    timeZone,
+    platforms: only || [...new Set([...calendars.keys(), ...Object.keys(totals)])].sort(),
+    totals,
+    activeDays: days.filter((day) => day.count > 0).length,
+    days,
+  };
+}
+
+// Someone else's heatmap: public profiles only. Private ones look the same
+// as missing ones.
+export async function getPublicHeatmap(userId, query) {
+  const user = mongoose.isValidObjectId(userId)
+    ? await User.findById(userId).select("isPublic").lean()
+    : null;
+  if (!user || !user.isPublic) {
+    throw new AppError("User not found", 404, ERROR_CODES.USER_NOT_FOUND);
+  }
+  return getHeatmap(user._id, query);
+}
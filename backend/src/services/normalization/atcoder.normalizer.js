@@ -0,0 +1,16 @@
+import { createNormalizedStats } from "./common.normalizer.js";
+
+export function normalizeAtCoder(data) {
+  return createNormalizedStats({
+    platform: "atcoder",
+    username: data.username,
+    profileUrl: `https://atcoder.jp/users/${data.username}`,
+    stats: {
+      totalSolved: data.totalSolved,
+      rating: data.rating,
+      rank: data.rank,
+      maxRating: data.maxRating,
+      contests: data.ratedMatches
+    }
+  });
+}
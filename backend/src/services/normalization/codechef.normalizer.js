@@ -1,14 +1,19 @@
+import { createNormalizedStats } from "./common.normalizer.js";
+
 export function normalizeCodeChef(data) {
-  return {
+  return createNormalizedStats({
     platform: "codechef",
     username: data.username,
+    profileUrl: `https://www.codechef.com/users/${data.username}`,
     stats: {
       totalSolved: data.totalSolved,
       rating: data.rating,
       rank: data.rank,
       maxRating: data.maxRating
     },
-    streak: { current: 0, max: 0 },
-    activity: []
-  };
-}
\ No newline at end of file
+    extra: {
+      stars: data.stars || null,
+      countryRank: data.countryRank || null
+    }
+  });
+}
@@ -1,14 +1,67 @@
+import { createNormalizedStats } from "./common.normalizer.js";
+import { calibrate } from "./difficulty.normalizer.js";
+
+// Problem rating -> bucket. Unrated problems count as medium.
+export function codeforcesDifficulty(rating) {
+  return calibrate("codeforces", rating || null).bucket;
+}
+
+function countBy(items, keyFn) {
+  const counts = new Map();
+  for (const item of items) {
+    for (const key of [].concat(keyFn(item))) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
 export function normalizeCodeforces(data) {
-  return {
+  const problems = data.problems || [];
+
+  const difficulty = { easy: 0, medium: 0, hard: 0 };
+  for (const problem of problems) {
+    difficulty[codeforcesDifficulty(problem.rating)]++;
+  }
+
+  const activity = [
+    ...countBy(problems, (p) => p.firstAcceptedAt.split("T")[0]).entries()
+  ].map(([date, count]) => ({ date, count }));
+
+  const tags = [...countBy(problems, (p) => p.tags).entries()].map(
+    ([name, count]) => ({ name, count })
+  );
+
+  const ratingDistribution = Object.fromEntries(
+    [...countBy(problems.filter((p) => p.rating), (p) => p.rating).entries()]
+      .sort((a, b) => a[0] - b[0])
+  );
+
+  const totalAttempts = problems.reduce((sum, p) => sum + p.attempts, 0);
+  const firstTry = problems.filter((p) => p.attempts === 1).length;
+
+  return createNormalizedStats({
     platform: "codeforces",
     username: data.username,
+    profileUrl: `https://codeforces.com/profile/${data.username}`,
     stats: {
       totalSolved: data.totalSolved,
       rating: data.rating,
       rank: data.rank,
       maxRating: data.maxRating
     },
-    streak: { current: 0, max: 0 },
-    activity: []
-  };
+    difficulty: problems.length ? difficulty : null,
+    activity,
+    tags,
+    extra: {
+      ratingDistribution,
+      attemptedUnsolved: data.attemptedUnsolved || 0,
+      attemptsPerSolve: problems.length
+        ? Math.round((totalAttempts / problems.length) * 100) / 100
+        : 0,
+      firstTryRate: problems.length
+        ? Math.round((firstTry / problems.length) * 1000) / 10
+        : 0
+    }
+  });
 }
@@ -0,0 +1,26 @@
+import { createNormalizedStats } from "./common.normalizer.js";
+
+// Codewars ranks are kyu/dan names, not numbers: the rank string goes in
+// stats.rank and the numeric rank score in extra.
+export function normalizeCodewars(data) {
+  return createNormalizedStats({
+    platform: "codewars",
+    username: data.username,
+    profileUrl: `https://www.codewars.com/users/${data.username}`,
+    stats: {
+      totalSolved: data.totalSolved,
+      rank: data.rank
+    },
+    activity: data.activity,
+    extra: {
+      name: data.name || null,
+      clan: data.clan || null,
+      honor: data.honor,
+      leaderboardPosition: data.leaderboardPosition,
+      rankScore: data.score,
+      authored: data.totalAuthored,
+      languageRanks: data.languageRanks,
+      katasByLanguage: data.katasByLanguage
+    }
+  });
+}
@@ -0,0 +1,168 @@
+// Shared shape for every platform normalizer.
+//
+// Bump SCHEMA_VERSION whenever a field is renamed or removed so clients can
+// tell an old cached payload from a new one. Platform-only details go in
+// `extra`, never as new top-level keys.
+export const SCHEMA_VERSION = 1;
+
+import { computeStreak, activeDays } from "../../utils/streak.util.js";
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+function toCount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toRank(value) {
+  if (value === null || value === undefined || value === "") return null;
+  return String(value);
+}
+
+// Build a schema-conformant payload from the pieces a platform knows about.
+// Anything left out falls back to an explicit empty value (0 / null / []).
+export function buildNormalizedStats({
+  platform,
+  username,
+  profileUrl = null,
+  stats = {},
+  difficulty = null,
+  streak = null,
+  activity = [],
+  tags = [],
+  extra = {},
+}) {
+  const calendar = activity
+    .filter((day) => day && DATE_KEY.test(day.date))
+    .map((day) => ({ ...day, count: toCount(day.count) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  // Platforms that report no streak of their own get one from the calendar
+  if (!streak) {
+    const { current, longest } = computeStreak(activeDays(calendar));
+    streak = { current, max: longest };
+  }
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    platform: String(platform || "").toLowerCase(),
+    username: username || "",
+    profileUrl,
+    stats: {
+      totalSolved: toCount(stats.totalSolved),
+      rating: toNumberOrNull(stats.rating),
+      maxRating: toNumberOrNull(stats.maxRating),
+      rank: toRank(stats.rank),
+      contests: toCount(stats.contests),
+    },
+    // null = platform has no difficulty buckets (not "solved zero")
+    difficulty: difficulty
+      ? {
+          easy: toCount(difficulty.easy),
+          medium: toCount(difficulty.medium),
+          hard: toCount(difficulty.hard),
+        }
+      : null,
+    streak: {
+      current: toCount(streak.current),
+      max: toCount(streak.max),
+    },
+    activity: calendar,
+    tags: tags
+      .filter((tag) => tag && tag.name)
+      .map((tag) => ({ name: String(tag.name), count: toCount(tag.count) }))
+      .sort((a, b) => b.count - a.count),
+    extra,
+  };
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isNumberOrNull(value) {
+  return value === null || (typeof value === "number" && Number.isFinite(value));
+}
+
+// Returns the list of problems with a payload; empty list = valid.
+export function validateNormalizedStats(data) {
+  const errors = [];
+
+  if (!data || typeof data !== "object") {
+    return ["payload must be an object"];
+  }
+  if (data.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${SCHEMA_VERSION}`);
+  }
+  if (!data.platform || data.platform !== data.platform.toLowerCase()) {
+    errors.push("platform must be a lowercase id");
+  }
+  if (typeof data.username !== "string") {
+    errors.push("username must be a string");
+  }
+
+  const stats = data.stats || {};
+  if (!isCount(stats.totalSolved)) errors.push("stats.totalSolved must be a count");
+  if (!isCount(stats.contests)) errors.push("stats.contests must be a count");
+  if (!isNumberOrNull(stats.rating)) errors.push("stats.rating must be a number or null");
+  if (!isNumberOrNull(stats.maxRating)) {
+    errors.push("stats.maxRating must be a number or null");
+  }
+  if (stats.rank !== null && typeof stats.rank !== "string") {
+    errors.push("stats.rank must be a string or null");
+  }
+
+  if (data.difficulty !== null) {
+    const d = data.difficulty || {};
+    if (![d.easy, d.medium, d.hard].every(isCount)) {
+      errors.push("difficulty must be null or { easy, medium, hard } counts");
+    }
+  }
+
+  if (!data.streak || !isCount(data.streak.current) || !isCount(data.streak.max)) {
+    errors.push("streak must be { current, max } counts");
+  }
+
+  if (!Array.isArray(data.activity)) {
+    errors.push("activity must be an array");
+  } else if (
+    !data.activity.every((day) => DATE_KEY.test(day.date) && isCount(day.count))
+  ) {
+    errors.push("activity entries must be { date: YYYY-MM-DD, count }");
+  }
+
+  if (!Array.isArray(data.tags)) {
+    errors.push("tags must be an array");
+  } else if (
+    !data.tags.every((tag) => typeof tag.name === "string" && isCount(tag.count))
+  ) {
+    errors.push("tags entries must be { name, count }");
+  }
+
+  if (!data.extra || typeof data.extra !== "object" || Array.isArray(data.extra)) {
+    errors.push("extra must be an object");
+  }
+
+  return errors;
+}
+
+// Every platform normalizer returns through here, so a malformed payload
+// fails loudly in the API instead of silently in the UI.
+export function createNormalizedStats(fields) {
+  const normalized = buildNormalizedStats(fields);
+  const errors = validateNormalizedStats(normalized);
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid normalized stats for ${normalized.platform || "unknown"}: ${errors.join("; ")}`
+    );
+  }
+
+  return normalized;
+}
@@ -0,0 +1,20 @@
+import { createNormalizedStats } from "./common.normalizer.js";
+
+// CSES is a fixed problem set, so totalQuestions gives a real completion %
+// and each section reports its own solved/total.
+export function normalizeCses(data) {
+  return createNormalizedStats({
+    platform: "cses",
+    username: data.username,
+    profileUrl: `https://cses.fi/user/${data.username}`,
+    stats: {
+      totalSolved: data.totalSolved
+    },
+    extra: {
+      name: data.name || null,
+      totalQuestions: data.totalTasks,
+      sections: data.sections,
+      solvedProblems: data.solvedTaskIds
+    }
+  });
+}
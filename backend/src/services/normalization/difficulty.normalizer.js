@@ -0,0 +1,84 @@
+import { difficultyConfig } from "../../config/difficulty.js";
+
+// Every platform's native difficulty on one numeric scale, anchored to
+// Codeforces problem ratings (800 = trivial, 3500 = hardest), so a hard
+// LeetCode problem and an 1800 Codeforces problem land next to each other.
+// Label-based platforms get one representative score per label; the
+// conversions are rough fits from users rated on both platforms.
+
+const SCALE_MIN = 800;
+const SCALE_MAX = 3500;
+
+const LABEL_SCORES = {
+  leetcode: { easy: 1000, medium: 1500, hard: 2000 },
+  gfg: { school: 800, basic: 900, easy: 1100, medium: 1500, hard: 2000 },
+  hackerrank: { easy: 1100, medium: 1500, hard: 1900, advanced: 2200, expert: 2500 },
+};
+
+// CodeChef stars -> typical CodeChef rating of that band
+const CODECHEF_STARS = { 1: 1200, 2: 1500, 3: 1700, 4: 1900, 5: 2100, 6: 2350, 7: 2600 };
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+const CALIBRATORS = {
+  codeforces: toNumber,
+
+  // AtCoder Problems estimates are on the AtCoder rating scale and go
+  // negative for trivial tasks; AtCoder ratings run below Codeforces ones
+  // in the low range and above them at the top.
+  atcoder: (difficulty) => {
+    const d = toNumber(difficulty);
+    if (d === null) return null;
+    const clipped = d >= 400 ? d : 400 / Math.exp(1 - d / 400);
+    return 0.6 * clipped + 880;
+  },
+
+  // Difficulty rating (CodeChef scale, ~250 above Codeforces) or stars
+  codechef: (value) => {
+    const stars = String(value ?? "").match(/^\s*([1-7])\s*(★|\*|star)/i);
+    const rating = stars ? CODECHEF_STARS[stars[1]] : toNumber(value);
+    return rating === null ? null : rating - 250;
+  },
+
+  // Kyu ranks: 8 kyu (easiest) .. 1 kyu, as "6 kyu" or the API's -6
+  codewars: (rank) => {
+    const kyu = String(rank ?? "").match(/(\d)\s*kyu/i)?.[1] ?? -toNumber(rank);
+    const n = Number(kyu);
+    return n >= 1 && n <= 8 ? 800 + (8 - n) * 230 : null;
+  },
+
+  // Kattis difficulty points, 1.0 .. ~10
+  kattis: (points) => {
+    const p = toNumber(points);
+    return p === null ? null : 800 + (p - 1) * 300;
+  },
+};
+
+// Native difficulty -> common scale (rounded to 10), or null if unknown
+export function calibrateDifficulty(platform, native) {
+  const labels = LABEL_SCORES[platform];
+  const score = labels
+    ? labels[String(native ?? "").trim().toLowerCase()] ?? null
+    : CALIBRATORS[platform]?.(native) ?? null;
+  if (score === null || !Number.isFinite(score)) return null;
+
+  const clamped = Math.min(SCALE_MAX, Math.max(SCALE_MIN, score));
+  return Math.round(clamped / 10) * 10;
+}
+
+export function difficultyBucket(score, config = difficultyConfig) {
+  if (score === null || score === undefined) return config.unratedBucket;
+  if (score < config.easyBelow) return "easy";
+  if (score < config.hardFrom) return "medium";
+  return "hard";
+}
+
+// { score, bucket } for one problem
+export function calibrate(platform, native, config = difficultyConfig) {
+  const score = calibrateDifficulty(platform, native);
+  return { score, bucket: difficultyBucket(score, config) };
+}
@@ -0,0 +1,23 @@
+import { createNormalizedStats } from "./common.normalizer.js";
+
+export function normalizeGfg(data) {
+  return createNormalizedStats({
+    platform: "gfg",
+    username: data.username,
+    profileUrl: `https://www.geeksforgeeks.org/user/${data.username}/`,
+    stats: {
+      totalSolved: data.totalSolved,
+      rank: data.instituteRank
+    },
+    difficulty: data.difficulty,
+    // Problem-of-the-day streak, the only streak GfG tracks
+    streak: data.streak,
+    extra: {
+      name: data.name || null,
+      institute: data.institute || null,
+      codingScore: data.codingScore,
+      monthlyScore: data.monthlyScore,
+      sections: data.sections
+    }
+  });
+}
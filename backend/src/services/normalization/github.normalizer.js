@@ -0,0 +1,33 @@
+import { createNormalizedStats } from "./common.normalizer.js";
+
+// GitHub has no "problems": totalSolved stays 0 and the contribution
+// breakdown lives in extra + the per-day activity entries.
+export function normalizeGitHub(data) {
+  return createNormalizedStats({
+    platform: "github",
+    username: data.username,
+    profileUrl: `https://github.com/${data.username}`,
+    streak: { current: data.streak.current, max: data.streak.max },
+    // Only active days, each with its per-type breakdown
+    activity: data.series
+      .filter((day) => day.total > 0)
+      .map((day) => ({
+        date: day.date,
+        count: day.total,
+        commits: day.commits,
+        pullRequests: day.pullRequests,
+        issues: day.issues,
+        reviews: day.reviews
+      })),
+    extra: {
+      totalContributions: data.totalContributions,
+      commits: data.contributions.commits,
+      pullRequests: data.contributions.pullRequests,
+      issues: data.contributions.issues,
+      reviews: data.contributions.reviews,
+      publicRepos: data.publicRepos,
+      followers: data.followers,
+      languages: data.languages
+    }
+  });
+}
@@ -0,0 +1,20 @@
+import { createNormalizedStats } from "./common.normalizer.js";
+
+export function normalizeHackerRank(data) {
+  return createNormalizedStats({
+    platform: "hackerrank",
+    username: data.username,
+    profileUrl: `https://www.hackerrank.com/profile/${data.username}`,
+    stats: {
+      totalSolved: data.totalSolved
+    },
+    activity: data.activity,
+    extra: {
+      name: data.name || null,
+      country: data.country || null,
+      level: data.level || null,
+      stars: data.badges.reduce((sum, badge) => sum + badge.stars, 0),
+      badges: data.badges
+    }
+  });
+}
@@ -0,0 +1,18 @@
+import { createNormalizedStats } from "./common.normalizer.js";
+
+export function normalizeKattis(data) {
+  return createNormalizedStats({
+    platform: "kattis",
+    username: data.username,
+    profileUrl: `https://open.kattis.com/users/${data.username}`,
+    stats: {
+      totalSolved: data.totalSolved,
+      rank: data.rank
+    },
+    extra: {
+      name: data.name || null,
+      score: data.score,
+      solvedProblems: data.solvedProblems
+    }
+  });
+}
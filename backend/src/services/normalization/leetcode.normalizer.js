@@ -1,14 +1,48 @@
+import { createNormalizedStats } from "./common.normalizer.js";
+
+// submissionCalendar: { "<unix seconds at UTC midnight>": count }
+function calendarToActivity(calendar) {
+  if (!calendar) return [];
+
+  return Object.entries(calendar).map(([ts, count]) => ({
+    date: new Date(parseInt(ts, 10) * 1000).toISOString().split("T")[0],
+    count
+  }));
+}
+
 export function normalizeLeetCode(data) {
-  return {
-    platform: "LEETCODE",
-    totalSolved: data.totalSolved,
-    solvedToday: null, // not available yet
+  const history = data.contestHistory || [];
+
+  return createNormalizedStats({
+    platform: "leetcode",
+    username: data.username,
+    profileUrl: `https://leetcode.com/${data.username}/`,
+    stats: {
+      totalSolved: data.totalSolved,
+      rating: data.contest ? data.contest.rating : null,
+      maxRating: data.contest
+        ? Math.max(data.contest.rating, ...history.map((entry) => entry.rating))
+        : null,
+      rank: data.ranking,
+      contests: data.contest ? data.contest.attended : 0
+    },
     difficulty: {
       easy: data.easySolved,
       medium: data.mediumSolved,
       hard: data.hardSolved
     },
-    ranking: data.ranking,
-    reputation: data.reputation
-  };
+    activity: calendarToActivity(data.submissionCalendar),
+    tags: (data.tags || []).map((tag) => ({
+      name: tag.name,
+      count: tag.solved
+    })),
+    extra: {
+      totalQuestions: data.totalQuestions,
+      acceptanceRate: data.acceptanceRate,
+      reputation: data.reputation,
+      contestTopPercentage: data.contest ? data.contest.topPercentage : null,
+      recentAccepted: data.recentAccepted || [],
+      contestHistory: history
+    }
+  });
 }
@@ -0,0 +1,22 @@
+// One rated contest, same shape for every platform:
+//   { platform, contestId, contestName, date, rank, oldRating, newRating, delta }
+// Sorted oldest first so the series can be plotted directly.
+export function normalizeRatingHistory(platform, entries) {
+  return (entries || [])
+    .filter((entry) => entry && !Number.isNaN(new Date(entry.date).getTime()))
+    .map((entry) => {
+      const oldRating = Number(entry.oldRating) || 0;
+      const newRating = Number(entry.newRating) || 0;
+      return {
+        platform,
+        contestId: String(entry.contestId || ""),
+        contestName: entry.contestName || "",
+        date: new Date(entry.date).toISOString(),
+        rank: Number(entry.rank) || null,
+        oldRating,
+        newRating,
+        delta: newRating - oldRating,
+      };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
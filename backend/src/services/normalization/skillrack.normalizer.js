@@ -0,0 +1,21 @@
+import { createNormalizedStats } from "./common.normalizer.js";
+
+export function normalizeSkillRack(data) {
+  return createNormalizedStats({
+    platform: "skillrack",
+    username: data.username,
+    stats: {
+      totalSolved: data.totalSolved,
+      rank: data.rank
+    },
+    extra: {
+      name: data.name,
+      codeTrack: data.codeTrack,
+      codeTest: data.codeTest,
+      codeTutor: data.codeTutor,
+      dc: data.dc,
+      dt: data.dt,
+      points: data.points
+    }
+  });
+}
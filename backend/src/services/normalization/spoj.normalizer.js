@@ -0,0 +1,19 @@
+import { createNormalizedStats } from "./common.normalizer.js";
+
+export function normalizeSpoj(data) {
+  return createNormalizedStats({
+    platform: "spoj",
+    username: data.username,
+    profileUrl: `https://www.spoj.com/users/${data.username}/`,
+    stats: {
+      totalSolved: data.totalSolved,
+      rank: data.rank
+    },
+    extra: {
+      name: data.name || null,
+      points: data.points,
+      solutionsSubmitted: data.solutionsSubmitted,
+      solvedProblems: data.solvedProblems
+    }
+  });
+}
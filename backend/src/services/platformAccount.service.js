@@ -0,0 +1,279 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import PlatformAccount from "../models/platform.model.js";
+import Activity from "../models/activity.model.js";
+import ScrapeCache from "../models/scrapeCache.model.js";
+import { getPlatform } from "./platformRegistry.service.js";
+import { duplicateSolvesByUser } from "./problemCatalog.service.js";
+import { platformBulkheads } from "../utils/backpressure.util.js";
+import { AppError, ERROR_CODES } from "../utils/appError.js";
+import { dateKey } from "../utils/date.util.js";
+
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Everything the owner of the account may see; the token stays server-side
+// once verified.
+export function toAccountResponse(account) {
+  return {
+    platform: account.platform,
+    handle: account.handle,
+    verified: account.verified,
+    verifiedAt: account.verifiedAt,
+    linkedAt: account.linkedAt,
+    lastSync: account.lastSync,
+    lastError: account.lastError,
+    ...(!account.verified &&
+      account.verificationToken && {
+        verificationToken: account.verificationToken,
+        verificationExpiresAt: account.verificationExpiresAt,
+      }),
+  };
+}
+
+function resolveAdapter(platformId) {
+  const adapter = getPlatform(platformId);
+  if (!adapter) {
+    throw new AppError(`Unsupported platform: ${platformId}`, 404, ERROR_CODES.PLATFORM_ERROR);
+  }
+  return adapter;
+}
+
+async function findAccount(userId, platformId) {
+  const account = await PlatformAccount.findOne({ user: userId, platform: platformId });
+  if (!account) {
+    throw new AppError(`No ${platformId} account linked`, 404, ERROR_CODES.PLATFORM_ERROR);
+  }
+  return account;
+}
+
+export async function listAccounts(userId) {
+  const accounts = await PlatformAccount.find({ user: userId }).sort({ platform: 1 }).lean();
+  return accounts.map(toAccountResponse);
+}
+
+// Platforms the user has an account linked on. Stored activities of any
+// other platform came from a handle that is no longer theirs.
+export async function linkedPlatforms(userId) {
+  return PlatformAccount.find({ user: userId }).distinct("platform");
+}
+
+// Link (or re-link) the user's handle on a platform. Changing the handle
+// drops any previous verification and sync state, and the activities
+// synced from the old handle.
+export async function linkAccount(userId, platformId, handle) {
+  const adapter = resolveAdapter(platformId);
+  if (!adapter.validateHandle(handle)) {
+    throw new AppError("Invalid username", 400, ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  let account = await PlatformAccount.findOne({ user: userId, platform: adapter.id });
+  if (account && account.handle === handle) return account;
+
+  if (!account) {
+    account = new PlatformAccount({ user: userId, platform: adapter.id });
+  } else if (account.handleKey !== handle.trim().toLowerCase()) {
+    await Activity.deleteMany({ user: userId, platform: adapter.id });
+  }
+  account.set({
+    handle,
+    linkedAt: new Date(),
+    verified: false,
+    verifiedAt: null,
+    verificationToken: null,
+    verificationExpiresAt: null,
+    lastSync: null,
+    syncCursor: null,
+    lastErrorAt: null,
+    lastError: null,
+    consecutiveFailures: 0,
+  });
+  return account.save();
+}
+
+export async function unlinkAccount(userId, platformId) {
+  const { deletedCount } = await PlatformAccount.deleteOne({
+    user: userId,
+    platform: platformId,
+  });
+  if (!deletedCount) {
+    throw new AppError(`No ${platformId} account linked`, 404, ERROR_CODES.PLATFORM_ERROR);
+  }
+  await Activity.deleteMany({ user: userId, platform: platformId });
+}
+
+// Issue a token for the user to put in their profile name or bio. Only
+// adapters with profileText() can read it back.
+export async function startVerification(userId, platformId) {
+  const adapter = resolveAdapter(platformId);
+  if (typeof adapter.profileText !== "function") {
+    throw new AppError(
+      `${adapter.name} accounts cannot be verified`,
+      400,
+      ERROR_CODES.PLATFORM_ERROR
+    );
+  }
+
+  const account = await findAccount(userId, adapter.id);
+  if (account.verified) return account;
+
+  account.verificationToken = `grindmap-${crypto.randomBytes(5).toString("hex")}`;
+  account.verificationExpiresAt = new Date(Date.now() + VERIFICATION_TTL_MS);
+  return account.save();
+}
+
+// Scrape the profile and look for the token. The token can be removed from
+// the profile once this succeeds.
+export async function confirmVerification(userId, platformId) {
+  const adapter = resolveAdapter(platformId);
+  const account = await findAccount(userId, adapter.id);
+  if (account.verified) return account;
+
+  if (
+    !account.verificationToken ||
+    account.verificationExpiresAt.getTime() < Date.now() ||
+    typeof adapter.profileText !== "function"
+  ) {
+    throw new AppError(
+      "No pending verification, request a new token",
+      400,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  const raw = await platformBulkheads.process(adapter.id, () =>
+    adapter.fetch(account.handle)
+  );
+  const text = String(adapter.profileText(raw) || "").toLowerCase();
+  if (!text.includes(account.verificationToken)) {
+    throw new AppError(
+      `Token not found in your ${adapter.name} profile yet`,
+      400,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  const owner = await PlatformAccount.exists({
+    platform: adapter.id,
+    handleKey: account.handleKey,
+    verified: true,
+    user: { $ne: account.user },
+  });
+  if (owner) {
+    throw new AppError(
+      "This handle is already verified by another user",
+      409,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+
+  account.set({
+    verified: true,
+    verifiedAt: new Date(),
+    verificationToken: null,
+    verificationExpiresAt: null,
+  });
+  return account.save();
+}
+
+// Solved counts per user over the accounts matching `query`, from the
+// scrape cache the scheduler keeps warm. totalSolved is the plain sum;
+// uniqueSolved counts a problem solved on several platforms once.
+// Map<userId, { totalSolved, uniqueSolved, platforms }>
+async function solvedByUser(query) {
+  const accounts = await PlatformAccount.find(query).select("user platform handleKey").lean();
+  if (accounts.length === 0) return new Map();
+
+  const cached = await ScrapeCache.find({
+    $or: accounts.map(({ platform, handleKey }) => ({ platform, handle: handleKey })),
+  })
+    .select("platform handle data.stats.totalSolved data.extra.solvedProblems")
+    .lean();
+  const solvedByKey = new Map(
+    cached.map((entry) => [`${entry.platform}:${entry.handle}`, entry.data?.stats?.totalSolved || 0])
+  );
+  const solvedLists = new Map(
+    cached
+      .filter((entry) => Array.isArray(entry.data?.extra?.solvedProblems))
+      .map((entry) => [`${entry.platform}:${entry.handle}`, entry.data.extra.solvedProblems])
+  );
+
+  const totals = new Map();
+  for (const account of accounts) {
+    const userId = String(account.user);
+    const total = totals.get(userId) || { totalSolved: 0, uniqueSolved: 0, platforms: [] };
+    total.totalSolved += solvedByKey.get(`${account.platform}:${account.handleKey}`) || 0;
+    total.platforms.push(account.platform);
+    totals.set(userId, total);
+  }
+
+  const duplicates = await duplicateSolvesByUser(accounts, solvedLists);
+  for (const [userId, total] of totals) {
+    total.uniqueSolved = Math.max(0, total.totalSolved - (duplicates.get(userId) || 0));
+  }
+  return totals;
+}
+
+// Verified accounts only: what the leaderboard ranks on
+export async function verifiedSolvedByUser(userIds = null) {
+  const query = { verified: true };
+  if (userIds) query.user = { $in: userIds };
+  return solvedByUser(query);
+}
+
+// Every linked account of one user, verified or not
+export async function linkedSolvedForUser(userId) {
+  const totals = await solvedByUser({ user: userId });
+  return totals.get(String(userId)) || { totalSolved: 0, uniqueSolved: 0, platforms: [] };
+}
+
+// Calendars cut to the days before each platform's first stored solve.
+// Calendar days are the platform's own (UTC) days while stored solves are
+// bucketed in the user's zone, so from the first stored solve on only the
+// stored solves count: counting both would put one solve on two days.
+// Before it, the calendar is all there is (LeetCode only hands out its
+// ~20 most recent accepted submissions).
+// firstSolved: Map<platform, Date>
+export function calendarsBefore(calendars, firstSolved) {
+  return new Map(
+    [...calendars].map(([platform, calendar]) => {
+      const first = firstSolved.get(platform);
+      if (!first) return [platform, calendar];
+      const cutoff = dateKey(first, "UTC");
+      return [platform, calendar.filter((day) => day.date < cutoff)];
+    })
+  );
+}
+
+// First stored solve per platform, from a list of activities
+export function firstSolvedByPlatform(activities) {
+  const first = new Map();
+  for (const { platform, solvedAt } of activities) {
+    const at = new Date(solvedAt);
+    if (!first.has(platform) || at < first.get(platform)) first.set(platform, at);
+  }
+  return first;
+}
+
+// Cached activity calendars ([{ date, count }]) of a user's linked
+// accounts, from the scrape cache, cut at each platform's first stored
+// solve (see calendarsBefore()). Map<platform, activity>
+export async function linkedCalendars(userId) {
+  const accounts = await PlatformAccount.find({ user: userId }).select("platform handleKey").lean();
+  if (accounts.length === 0) return new Map();
+
+  const [cached, firsts] = await Promise.all([
+    ScrapeCache.find({
+      $or: accounts.map(({ platform, handleKey }) => ({ platform, handle: handleKey })),
+    })
+      .select("platform data.activity")
+      .lean(),
+    Activity.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: "$platform", solvedAt: { $min: "$solvedAt" } } },
+    ]),
+  ]);
+  return calendarsBefore(
+    new Map(cached.map((entry) => [entry.platform, entry.data?.activity || []])),
+    new Map(firsts.map(({ _id, solvedAt }) => [_id, solvedAt]))
+  );
+}
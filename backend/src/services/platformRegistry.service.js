@@ -0,0 +1,87 @@
+import { readdirSync } from "fs";
+
+// Every supported platform is one `platforms/<id>.adapter.js` file whose
+// default export is:
+//
+//   {
+//     id, name,
+//     detectUrl(url)          -> handle | null
+//     validateHandle(handle)  -> boolean
+//     fetch(handle)           -> raw scraper payload
+//     normalize(raw, handle)  -> common.normalizer schema
+//     capabilities            -> { rating, difficulty, activity, ... }
+//
+//     optional:
+//     fetchRatingHistory(handle) -> rated contest changes
+//     toActivities(raw)          -> Activity documents (one per solved problem)
+//     fetchActivities(handle, cursor)
+//                                -> { activities, cursor }: only what was
+//                                   solved after cursor (null = everything)
+//     profileText(raw)           -> owner-editable name/bio text; accounts on
+//                                   platforms without it cannot be verified
+//   }
+//
+// Adapters are discovered from that directory at startup, so routes, URL
+// detection and GET /api/platforms all pick up a new file automatically.
+const REQUIRED_FUNCTIONS = ["detectUrl", "validateHandle", "fetch", "normalize"];
+
+const adapters = new Map();
+
+export function registerPlatform(adapter) {
+  if (!adapter || typeof adapter.id !== "string" || !adapter.id) {
+    throw new Error("Platform adapter must have an id");
+  }
+  for (const fn of REQUIRED_FUNCTIONS) {
+    if (typeof adapter[fn] !== "function") {
+      throw new Error(`Platform adapter "${adapter.id}" is missing ${fn}()`);
+    }
+  }
+  if (adapters.has(adapter.id)) {
+    throw new Error(`Platform adapter "${adapter.id}" registered twice`);
+  }
+
+  adapters.set(adapter.id, {
+    name: adapter.id,
+    capabilities: {},
+    ...adapter,
+  });
+}
+
+export function getPlatform(id) {
+  return adapters.get(String(id || "").toLowerCase()) || null;
+}
+
+export function listPlatforms() {
+  return [...adapters.values()];
+}
+
+// Public description used by GET /api/platforms
+export function describePlatform(adapter) {
+  return {
+    id: adapter.id,
+    name: adapter.name,
+    capabilities: {
+      ...adapter.capabilities,
+      verification: typeof adapter.profileText === "function",
+    },
+  };
+}
+
+// First adapter that recognises the URL wins
+export function detectPlatform(profileUrl) {
+  for (const adapter of adapters.values()) {
+    const handle = adapter.detectUrl(profileUrl);
+    if (handle) return { adapter, handle };
+  }
+  return null;
+}
+
+const adapterDir = new URL("./platforms/", import.meta.url);
+const adapterFiles = readdirSync(adapterDir)
+  .filter((file) => file.endsWith(".adapter.js"))
+  .sort();
+
+for (const file of adapterFiles) {
+  const { default: adapter } = await import(new URL(file, adapterDir));
+  registerPlatform(adapter);
+}
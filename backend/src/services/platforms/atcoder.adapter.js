@@ -0,0 +1,24 @@
+import {
+  fetchAtCoderStats,
+  fetchAtCoderRatingHistory,
+} from "../scraping/atcoder.scraper.js";
+import { normalizeAtCoder } from "../normalization/atcoder.normalizer.js";
+import { handleAfter } from "../../utils/profileUrl.util.js";
+
+export default {
+  id: "atcoder",
+  name: "AtCoder",
+  detectUrl: (url) => handleAfter(url, "atcoder.jp/users/"),
+  validateHandle: (handle) => /^[A-Za-z0-9_]{3,16}$/.test(handle),
+  fetch: fetchAtCoderStats,
+  fetchRatingHistory: fetchAtCoderRatingHistory,
+  normalize: (raw, handle) => normalizeAtCoder({ ...raw, username: handle }),
+  capabilities: {
+    rating: true,
+    difficulty: false,
+    activity: false,
+    contests: true,
+    tags: false,
+    ratingHistory: true,
+  },
+};
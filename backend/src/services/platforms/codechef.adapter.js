@@ -0,0 +1,24 @@
+import {
+  fetchCodeChefStats,
+  fetchCodeChefRatingHistory,
+} from "../scraping/codechef.scraper.js";
+import { normalizeCodeChef } from "../normalization/codechef.normalizer.js";
+import { handleAfter } from "../../utils/profileUrl.util.js";
+
+export default {
+  id: "codechef",
+  name: "CodeChef",
+  detectUrl: (url) => handleAfter(url, "codechef.com/users/"),
+  validateHandle: (handle) => /^[A-Za-z0-9_.]{1,30}$/.test(handle),
+  fetch: fetchCodeChefStats,
+  fetchRatingHistory: fetchCodeChefRatingHistory,
+  normalize: (raw, handle) => normalizeCodeChef({ ...raw, username: handle }),
+  capabilities: {
+    rating: true,
+    difficulty: false,
+    activity: false,
+    contests: false,
+    tags: false,
+    ratingHistory: true,
+  },
+};
@@ -0,0 +1,95 @@
+import {
+  fetchCodeforcesStats,
+  fetchCodeforcesProfile,
+  fetchCodeforcesRatingHistory,
+  fetchCodeforcesSubmissions,
+  summarizeSubmissions,
+} from "../scraping/codeforces.scraper.js";
+import { normalizeCodeforces } from "../normalization/codeforces.normalizer.js";
+import { calibrate } from "../normalization/difficulty.normalizer.js";
+import { handleAfter } from "../../utils/profileUrl.util.js";
+
+// Gym contests have ids >= 100000 and live under /gym/
+function problemUrl({ contestId, index }) {
+  if (!contestId) return "";
+  const section = contestId >= 100000 ? "gym" : "contest";
+  return `https://codeforces.com/${section}/${contestId}/problem/${index}`;
+}
+
+function toActivity(problem) {
+  const { score, bucket } = calibrate("codeforces", problem.rating || null);
+  return {
+    problemId: problem.problemId,
+    problemName: problem.name,
+    difficulty: bucket,
+    difficultyScore: score,
+    problemRating: problem.rating,
+    tags: problem.tags,
+    language: problem.language,
+    attempts: problem.attempts,
+    solvedAt: new Date(problem.firstAcceptedAt),
+    url: problemUrl(problem),
+  };
+}
+
+export default {
+  id: "codeforces",
+  name: "Codeforces",
+  detectUrl: (url) => handleAfter(url, "codeforces.com/profile/"),
+  validateHandle: (handle) => /^[A-Za-z0-9_.-]{2,24}$/.test(handle),
+  fetch: fetchCodeforcesStats,
+  fetchRatingHistory: fetchCodeforcesRatingHistory,
+  normalize: (raw, handle) => normalizeCodeforces({ ...raw, username: handle }),
+  profileText: (raw) => [raw.firstName, raw.lastName, raw.organization].join(" "),
+  // One Activity document per solved problem
+  toActivities: (raw) => raw.problems.map(toActivity),
+  // Scheduled refreshes: the profile alone, and fetch()'s result rebuilt
+  // from the stored Activity documents instead of the whole history.
+  // attemptedUnsolved is not stored, so the previous stats' count is kept.
+  fetchProfile: fetchCodeforcesProfile,
+  fromStored: (profile, activities, previous) => ({
+    ...profile,
+    totalSolved: activities.length,
+    attemptedUnsolved: previous?.extra?.attemptedUnsolved || 0,
+    problems: activities.map((activity) => ({
+      problemId: activity.problemId,
+      name: activity.problemName,
+      rating: activity.problemRating,
+      tags: activity.tags || [],
+      language: activity.language,
+      attempts: activity.attempts,
+      firstAcceptedAt: new Date(activity.solvedAt).toISOString(),
+    })),
+  }),
+  // Only submissions newer than the cursor's submission id. Attempts made
+  // before the cursor are not re-read, so a problem first solved after it
+  // counts only the attempts since.
+  fetchActivities: async (handle, cursor) => {
+    const submissions = await fetchCodeforcesSubmissions(handle, {
+      sinceId: cursor ? Number(cursor.lastSubmissionId) : null,
+    });
+    const newest = submissions.reduce(
+      (latest, submission) => (!latest || submission.id > latest.id ? submission : latest),
+      null
+    );
+
+    return {
+      activities: summarizeSubmissions(submissions).problems.map(toActivity),
+      cursor: newest
+        ? {
+            lastSubmissionId: String(newest.id),
+            lastSubmissionAt: new Date(newest.creationTimeSeconds * 1000),
+          }
+        : cursor,
+    };
+  },
+  capabilities: {
+    rating: true,
+    difficulty: true,
+    activity: true,
+    contests: false,
+    tags: true,
+    ratingHistory: true,
+    submissions: true,
+  },
+};
@@ -0,0 +1,21 @@
+import { fetchCodewarsStats } from "../scraping/codewars.scraper.js";
+import { normalizeCodewars } from "../normalization/codewars.normalizer.js";
+import { handleAfter } from "../../utils/profileUrl.util.js";
+
+export default {
+  id: "codewars",
+  name: "Codewars",
+  detectUrl: (url) => handleAfter(url, "codewars.com/users/"),
+  validateHandle: (handle) => /^[A-Za-z0-9_.-]{1,40}$/.test(handle),
+  fetch: fetchCodewarsStats,
+  normalize: (raw, handle) => normalizeCodewars({ ...raw, username: handle }),
+  profileText: (raw) => [raw.name, raw.clan].join(" "),
+  capabilities: {
+    rating: false,
+    difficulty: false,
+    activity: true,
+    contests: false,
+    tags: false,
+    ratingHistory: false,
+  },
+};
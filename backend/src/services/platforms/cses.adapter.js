@@ -0,0 +1,23 @@
+import { fetchCsesStats } from "../scraping/cses.scraper.js";
+import { normalizeCses } from "../normalization/cses.normalizer.js";
+import { handleAfter } from "../../utils/profileUrl.util.js";
+
+export default {
+  id: "cses",
+  name: "CSES",
+  // cses.fi/user/<id> and the progress page cses.fi/problemset/user/<id>/
+  detectUrl: (url) =>
+    handleAfter(url, "cses.fi/problemset/user/") ?? handleAfter(url, "cses.fi/user/"),
+  validateHandle: (handle) => /^\d{1,9}$/.test(handle),
+  fetch: fetchCsesStats,
+  normalize: (raw, handle) => normalizeCses({ ...raw, username: handle }),
+  profileText: (raw) => raw.name,
+  capabilities: {
+    rating: false,
+    difficulty: false,
+    activity: false,
+    contests: false,
+    tags: false,
+    ratingHistory: false,
+  },
+};
@@ -0,0 +1,24 @@
+import { fetchGfgStats } from "../scraping/gfg.scraper.js";
+import { normalizeGfg } from "../normalization/gfg.normalizer.js";
+import { handleAfter } from "../../utils/profileUrl.util.js";
+
+export default {
+  id: "gfg",
+  name: "GeeksforGeeks",
+  // geeksforgeeks.org/user/<user>/ (also on auth.), newer /profile/<user>
+  detectUrl: (url) =>
+    handleAfter(url, "geeksforgeeks.org/user/") ??
+    handleAfter(url, "geeksforgeeks.org/profile/"),
+  validateHandle: (handle) => /^[A-Za-z0-9_.-]{1,50}$/.test(handle),
+  fetch: fetchGfgStats,
+  normalize: (raw, handle) => normalizeGfg({ ...raw, username: handle }),
+  profileText: (raw) => raw.name,
+  capabilities: {
+    rating: false,
+    difficulty: true,
+    activity: false,
+    contests: false,
+    tags: false,
+    ratingHistory: false,
+  },
+};
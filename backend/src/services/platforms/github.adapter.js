@@ -0,0 +1,22 @@
+import { fetchGitHubStats } from "../scraping/github.scraper.js";
+import { normalizeGitHub } from "../normalization/github.normalizer.js";
+import { handleAfter } from "../../utils/profileUrl.util.js";
+
+export default {
+  id: "github",
+  name: "GitHub",
+  detectUrl: (url) => handleAfter(url, "github.com/"),
+  validateHandle: (handle) =>
+    /^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$/.test(handle),
+  fetch: fetchGitHubStats,
+  normalize: (raw, handle) => normalizeGitHub({ ...raw, username: handle }),
+  profileText: (raw) => raw.name,
+  capabilities: {
+    rating: false,
+    difficulty: false,
+    activity: true,
+    contests: false,
+    tags: false,
+    ratingHistory: false,
+  },
+};
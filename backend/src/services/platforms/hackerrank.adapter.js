@@ -0,0 +1,43 @@
+import { fetchHackerRankStats } from "../scraping/hackerrank.scraper.js";
+import { normalizeHackerRank } from "../normalization/hackerrank.normalizer.js";
+import { handleAfter } from "../../utils/profileUrl.util.js";
+
+// First path segments that are site sections, not legacy profile URLs
+const RESERVED_PATHS = [
+  "profile",
+  "domains",
+  "challenges",
+  "contests",
+  "dashboard",
+  "skills-verification",
+  "certificates",
+  "leaderboard",
+  "auth",
+];
+
+// hackerrank.com/profile/<user> and the older hackerrank.com/<user>
+function detectHackerRankUrl(url) {
+  const profile = handleAfter(url, "hackerrank.com/profile/");
+  if (profile) return profile;
+
+  const handle = handleAfter(url, "hackerrank.com/");
+  return handle && !RESERVED_PATHS.includes(handle) ? handle : null;
+}
+
+export default {
+  id: "hackerrank",
+  name: "HackerRank",
+  detectUrl: detectHackerRankUrl,
+  validateHandle: (handle) => /^[A-Za-z0-9_.-]{1,40}$/.test(handle),
+  fetch: fetchHackerRankStats,
+  normalize: (raw, handle) => normalizeHackerRank({ ...raw, username: handle }),
+  profileText: (raw) => raw.name,
+  capabilities: {
+    rating: false,
+    difficulty: false,
+    activity: true,
+    contests: false,
+    tags: false,
+    ratingHistory: false,
+  },
+};
@@ -0,0 +1,22 @@
+import { fetchKattisStats } from "../scraping/kattis.scraper.js";
+import { normalizeKattis } from "../normalization/kattis.normalizer.js";
+import { handleAfter } from "../../utils/profileUrl.util.js";
+
+export default {
+  id: "kattis",
+  name: "Kattis",
+  // open.kattis.com/users/<user> (and university subdomains)
+  detectUrl: (url) => handleAfter(url, "kattis.com/users/"),
+  validateHandle: (handle) => /^[A-Za-z0-9_.-]{1,40}$/.test(handle),
+  fetch: fetchKattisStats,
+  normalize: (raw, handle) => normalizeKattis({ ...raw, username: handle }),
+  profileText: (raw) => raw.name,
+  capabilities: {
+    rating: false,
+    difficulty: false,
+    activity: false,
+    contests: false,
+    tags: false,
+    ratingHistory: false,
+  },
+};
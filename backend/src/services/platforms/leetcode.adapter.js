@@ -0,0 +1,56 @@
+import {
+  fetchLeetCodeStats,
+  fetchLeetCodeRatingHistory,
+  fetchLeetCodeRecentAccepted,
+} from "../scraping/leetcode.scraper.js";
+import { normalizeLeetCode } from "../normalization/leetcode.normalizer.js";
+import { calibrate } from "../normalization/difficulty.normalizer.js";
+import { handleAfter } from "../../utils/profileUrl.util.js";
+
+export default {
+  id: "leetcode",
+  name: "LeetCode",
+  // leetcode.com/<user> and the newer leetcode.com/u/<user>
+  detectUrl: (url) =>
+    handleAfter(url, "leetcode.com/u/") ?? handleAfter(url, "leetcode.com/"),
+  validateHandle: (handle) => /^[A-Za-z0-9_.-]{1,30}$/.test(handle),
+  fetch: fetchLeetCodeStats,
+  fetchRatingHistory: fetchLeetCodeRatingHistory,
+  normalize: (raw, handle) => normalizeLeetCode({ ...raw, username: handle }),
+  profileText: (raw) => [raw.realName, raw.aboutMe].join(" "),
+  // Recent accepted submissions after the cursor's timestamp
+  fetchActivities: async (handle, cursor) => {
+    const since = cursor ? Math.floor(new Date(cursor.lastSubmissionAt).getTime() / 1000) : 0;
+    const { accepted, latest } = await fetchLeetCodeRecentAccepted(handle, { since });
+
+    return {
+      activities: accepted.map((sub) => {
+        const { score, bucket } = calibrate("leetcode", sub.difficulty);
+        return {
+          problemId: sub.titleSlug,
+          problemName: sub.title,
+          difficulty: bucket,
+          difficultyScore: score,
+          tags: sub.tags,
+          solvedAt: new Date(sub.timestamp * 1000),
+          url: `https://leetcode.com/problems/${sub.titleSlug}/`,
+        };
+      }),
+      cursor: latest
+        ? {
+            lastSubmissionId: String(latest.id),
+            lastSubmissionAt: new Date(latest.timestamp * 1000),
+          }
+        : cursor,
+    };
+  },
+  capabilities: {
+    rating: true,
+    difficulty: true,
+    activity: true,
+    contests: true,
+    tags: true,
+    ratingHistory: true,
+    submissions: true,
+  },
+};
@@ -0,0 +1,35 @@
+import {
+  fetchSkillRackStats,
+  parseSkillRackHandle,
+} from "../scraping/skillrack.scraper.js";
+import { normalizeSkillRack } from "../normalization/skillrack.normalizer.js";
+
+// resume.xhtml?id=<id>&key=<key> -> "<id>-<key>". The key is
+// case-sensitive, so read it from the URL as given.
+function detectSkillRackUrl(profileUrl) {
+  const url = String(profileUrl || "");
+  if (!/skillrack\.com/i.test(url)) return null;
+
+  const id = url.match(/[?&]id=(\d+)/i);
+  const key = url.match(/[?&]key=([A-Za-z0-9]+)/i);
+  if (!id || !key) return null;
+
+  return `${id[1]}-${key[1]}`;
+}
+
+export default {
+  id: "skillrack",
+  name: "SkillRack",
+  detectUrl: detectSkillRackUrl,
+  validateHandle: (handle) => parseSkillRackHandle(handle) !== null,
+  fetch: fetchSkillRackStats,
+  normalize: (raw, handle) => normalizeSkillRack({ ...raw, username: handle }),
+  capabilities: {
+    rating: false,
+    difficulty: false,
+    activity: false,
+    contests: false,
+    tags: false,
+    ratingHistory: false,
+  },
+};
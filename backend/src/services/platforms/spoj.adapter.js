@@ -0,0 +1,21 @@
+import { fetchSpojStats } from "../scraping/spoj.scraper.js";
+import { normalizeSpoj } from "../normalization/spoj.normalizer.js";
+import { handleAfter } from "../../utils/profileUrl.util.js";
+
+export default {
+  id: "spoj",
+  name: "SPOJ",
+  detectUrl: (url) => handleAfter(url, "spoj.com/users/"),
+  validateHandle: (handle) => /^[a-z0-9_]{3,14}$/i.test(handle),
+  fetch: fetchSpojStats,
+  normalize: (raw, handle) => normalizeSpoj({ ...raw, username: handle }),
+  profileText: (raw) => raw.name,
+  capabilities: {
+    rating: false,
+    difficulty: false,
+    activity: false,
+    contests: false,
+    tags: false,
+    ratingHistory: false,
+  },
+};
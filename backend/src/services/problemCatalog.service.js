@@ -0,0 +1,285 @@
+import crypto from "crypto";
+import Problem from "../models/problem.model.js";
+import Activity from "../models/activity.model.js";
+import { PROBLEM_MAPPINGS, TITLE_MIRRORS } from "../constants/problemMappings.js";
+
+const sourceKey = (platform, problemId) => `${platform}:${String(problemId).toLowerCase()}`;
+
+// "<platform>:<problemId>" -> curated canonical key
+const CURATED = new Map(
+  PROBLEM_MAPPINGS.flatMap(({ key, sources }) =>
+    sources.map(({ platform, problemId }) => [sourceKey(platform, problemId), key])
+  )
+);
+
+export function isTitleMirror(a, b, mirrors = TITLE_MIRRORS) {
+  return a !== b && mirrors.some((pair) => pair.includes(a) && pair.includes(b));
+}
+
+// Platforms whose solved lists only carry problem ids
+const PROBLEM_URLS = {
+  cses: (id) => `https://cses.fi/problemset/task/${id}`,
+  kattis: (id) => `https://open.kattis.com/problems/${id}`,
+  spoj: (id) => `https://www.spoj.com/problems/${id}/`,
+};
+
+export function problemUrlFor(platform, problemId) {
+  return PROBLEM_URLS[platform]?.(problemId) ?? "";
+}
+
+// One spelling per problem page: no scheme, www, query or trailing slash,
+// and site-specific aliases folded together.
+export function canonicalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "";
+  }
+
+  const host = parsed.hostname
+    .toLowerCase()
+    .replace(/^(www|m)\./, "")
+    .replace(/^leetcode\.cn$/, "leetcode.com")
+    // school and contest subdomains serve the open.kattis.com problems
+    .replace(/^[a-z0-9-]+\.kattis\.com$/, "open.kattis.com");
+  let path = parsed.pathname.toLowerCase().replace(/\/+$/, "");
+
+  if (host === "codeforces.com") {
+    // /problemset/problem/4/A is /contest/4/problem/A
+    path = path.replace(/^\/problemset\/problem\/(\d+)\/(\w+)$/, "/contest/$1/problem/$2");
+  }
+  if (host === "leetcode.com") {
+    // /problems/two-sum/description, /problems/two-sum/submissions, ...
+    path = path.replace(/^\/problems\/([^/]+)\/.*$/, "/problems/$1");
+  }
+
+  return `${host}${path}`;
+}
+
+// Lowercase words only, without a contest index prefix ("D. ", "A1 - ")
+export function titleKey(title) {
+  return String(title || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/^[a-z]\d?\s*[.):-]\s+/, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+export function statementHash(statement) {
+  const text = String(statement || "").toLowerCase().replace(/\s+/g, " ").trim();
+  if (!text) return null;
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+// A catalog entry that is the same problem as `problem` (from `platform`),
+// by URL, then statement, then title between mirror platforms. A title
+// match never merges two problems of the same platform.
+export function findMirror(problem, platform, candidates, mirrors = TITLE_MIRRORS) {
+  const url = canonicalUrl(problem.url);
+  if (url) {
+    const byUrl = candidates.find((candidate) => candidate.urls?.includes(url));
+    if (byUrl) return byUrl;
+  }
+
+  if (problem.statementHash) {
+    const byStatement = candidates.find(
+      (candidate) => candidate.statementHash === problem.statementHash
+    );
+    if (byStatement) return byStatement;
+  }
+
+  const title = titleKey(problem.title);
+  if (!title) return null;
+  return (
+    candidates.find(
+      (candidate) =>
+        candidate.titleKey === title &&
+        !candidate.sources.some((source) => source.platform === platform) &&
+        candidate.sources.some((source) => isTitleMirror(platform, source.platform, mirrors))
+    ) || null
+  );
+}
+
+// Canonical key for each of a platform's problems ({ problemId, title,
+// url, statementHash }), adding the unknown ones to the catalog.
+// Returns Map<problemId, key>.
+export async function resolveProblems(platform, problems) {
+  const keys = new Map();
+  if (problems.length === 0) return keys;
+
+  // The curated file wins over whatever the catalog matched before
+  const curated = problems.filter((problem) =>
+    CURATED.has(sourceKey(platform, problem.problemId))
+  );
+  const ids = new Set(
+    problems
+      .filter((problem) => !curated.includes(problem))
+      .map((problem) => String(problem.problemId))
+  );
+  const known = await Problem.find({
+    sources: { $elemMatch: { platform, problemId: { $in: [...ids] } } },
+  })
+    .select("key sources")
+    .lean();
+  for (const entry of known) {
+    for (const source of entry.sources) {
+      if (source.platform === platform && ids.has(source.problemId)) {
+        keys.set(source.problemId, entry.key);
+      }
+    }
+  }
+
+  const unknown = problems.filter((problem) => !keys.has(String(problem.problemId)));
+  if (unknown.length === 0) return keys;
+
+  const urls = unknown.map((problem) => canonicalUrl(problem.url)).filter(Boolean);
+  const hashes = unknown.map((problem) => problem.statementHash).filter(Boolean);
+  const titles = TITLE_MIRRORS.some((pair) => pair.includes(platform))
+    ? unknown.map((problem) => titleKey(problem.title)).filter(Boolean)
+    : [];
+  const candidates = await Problem.find({
+    $or: [{ urls: { $in: urls } }, { statementHash: { $in: hashes } }, { titleKey: { $in: titles } }],
+  })
+    .select("key urls statementHash titleKey sources")
+    .lean();
+
+  const writes = unknown.map((problem) => {
+    const problemId = String(problem.problemId);
+    const key =
+      CURATED.get(sourceKey(platform, problemId)) ??
+      findMirror(problem, platform, candidates)?.key ??
+      `${platform}:${problemId}`;
+    keys.set(problemId, key);
+
+    const url = canonicalUrl(problem.url);
+    return {
+      updateOne: {
+        filter: { key },
+        update: {
+          $setOnInsert: {
+            title: problem.title || "",
+            titleKey: titleKey(problem.title),
+            ...(problem.statementHash && { statementHash: problem.statementHash }),
+          },
+          $addToSet: {
+            sources: { platform, problemId },
+            urls: { $each: url ? [url] : [] },
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+  await Problem.bulkWrite(writes, { ordered: false });
+
+  return keys;
+}
+
+// Add a solved list that only carries problem ids (CSES, Kattis, SPOJ) to
+// the catalog, with the problem page URLs, so later lookups and mirrors
+// of these problems find them. Returns Map<problemId, key>.
+export async function catalogSolvedList(platform, problemIds) {
+  return resolveProblems(
+    platform,
+    [...new Set(problemIds.map(String))].map((problemId) => ({
+      problemId,
+      url: problemUrlFor(platform, problemId),
+    }))
+  );
+}
+
+// Read-only lookup for ids already in the catalog (or the curated file);
+// anything else is its own problem.
+export async function lookupProblemKeys(platform, problemIds) {
+  const ids = problemIds.map(String);
+  const keys = new Map(
+    ids.map((id) => [id, CURATED.get(sourceKey(platform, id)) ?? `${platform}:${id}`])
+  );
+  if (ids.length === 0) return keys;
+
+  const known = await Problem.find({
+    sources: { $elemMatch: { platform, problemId: { $in: ids } } },
+  })
+    .select("key sources")
+    .lean();
+  for (const entry of known) {
+    for (const source of entry.sources) {
+      const { problemId } = source;
+      if (
+        source.platform === platform &&
+        keys.has(problemId) &&
+        !CURATED.has(sourceKey(platform, problemId))
+      ) {
+        keys.set(problemId, entry.key);
+      }
+    }
+  }
+  return keys;
+}
+
+// solves = [{ user, key }], one per (account, solved problem). A problem
+// solved on two platforms is one identified solve too many.
+// Map<userId, duplicates>
+export function countDuplicates(solves) {
+  const byUser = new Map();
+  for (const { user, key } of solves) {
+    const userId = String(user);
+    if (!byUser.has(userId)) byUser.set(userId, { solves: 0, keys: new Set() });
+    const entry = byUser.get(userId);
+    entry.solves++;
+    entry.keys.add(key);
+  }
+  return new Map(
+    [...byUser.entries()].map(([userId, { solves: count, keys }]) => [userId, count - keys.size])
+  );
+}
+
+// Duplicate solves across the given accounts ({ user, platform }). Itemized
+// problems come from the account's cached solved list when its platform
+// has one (CSES, Kattis, SPOJ), else from synced activities; platforms
+// that only report a count cannot be deduplicated.
+// solvedLists: Map<"platform:handleKey", problemId[]>
+export async function duplicateSolvesByUser(accounts, solvedLists = new Map()) {
+  const listed = new Set();
+  const idsByPlatform = new Map();
+  for (const account of accounts) {
+    const ids = solvedLists.get(`${account.platform}:${account.handleKey}`);
+    if (!ids?.length) continue;
+    listed.add(`${account.user}:${account.platform}`);
+    idsByPlatform.set(account.platform, [...(idsByPlatform.get(account.platform) || []), ...ids]);
+  }
+
+  const keysByPlatform = new Map();
+  for (const [platform, ids] of idsByPlatform) {
+    keysByPlatform.set(platform, await lookupProblemKeys(platform, [...new Set(ids)]));
+  }
+
+  const solves = [];
+  for (const account of accounts) {
+    const ids = solvedLists.get(`${account.platform}:${account.handleKey}`) || [];
+    const keys = keysByPlatform.get(account.platform);
+    for (const id of ids) solves.push({ user: account.user, key: keys.get(String(id)) });
+  }
+
+  const synced = new Set(
+    accounts
+      .filter((account) => !listed.has(`${account.user}:${account.platform}`))
+      .map((account) => `${account.user}:${account.platform}`)
+  );
+  const activities = await Activity.find({
+    user: { $in: [...new Set(accounts.map((account) => String(account.user)))] },
+    problemKey: { $ne: null },
+  })
+    .select("user platform problemKey")
+    .lean();
+  for (const activity of activities) {
+    if (synced.has(`${activity.user}:${activity.platform}`)) {
+      solves.push({ user: activity.user, key: activity.problemKey });
+    }
+  }
+
+  return countDuplicates(solves);
+}
@@ -0,0 +1,108 @@
+import RatingHistory from "../models/ratingHistory.model.js";
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import PlatformAccount from "../models/platform.model.js";
+import { getPlatform, listPlatforms } from "./platformRegistry.service.js";
+import { normalizeRatingHistory } from "./normalization/ratingHistory.normalizer.js";
+import { platformBulkheads } from "../utils/backpressure.util.js";
+import { AppError, ERROR_CODES } from "../utils/appError.js";
+
+// Ratings only move after a contest; a few hours of staleness is fine
+const CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+
+export function ratingHistoryPlatforms() {
+  return listPlatforms().filter(
+    (adapter) => typeof adapter.fetchRatingHistory === "function"
+  );
+}
+
+function toResponse(platform, doc) {
+  return normalizeRatingHistory(platform, doc.entries).map((entry) => ({
+    ...entry,
+    handle: doc.handle,
+  }));
+}
+
+// Contest history for one handle, served from Mongo while fresh
+export async function getRatingHistory(platformId, handle, { refresh = false } = {}) {
+  const adapter = getPlatform(platformId);
+  if (!adapter || typeof adapter.fetchRatingHistory !== "function") {
+    throw new AppError(
+      `Rating history is not available for ${platformId}`,
+      404,
+      ERROR_CODES.PLATFORM_ERROR
+    );
+  }
+  if (!adapter.validateHandle(handle)) {
+    throw new AppError("Invalid username", 400, ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  const key = { platform: adapter.id, handle: handle.toLowerCase() };
+  const cached = await RatingHistory.findOne(key).lean();
+  if (cached && !refresh && Date.now() - cached.fetchedAt.getTime() < CACHE_TTL_MS) {
+    return { entries: toResponse(adapter.id, cached), fetchedAt: cached.fetchedAt };
+  }
+
+  const raw = await platformBulkheads.process(adapter.id, () =>
+    adapter.fetchRatingHistory(handle)
+  );
+  const entries = normalizeRatingHistory(adapter.id, raw);
+
+  const doc = await RatingHistory.findOneAndUpdate(
+    key,
+    { $set: { entries, fetchedAt: new Date() } },
+    { upsert: true, new: true, lean: true }
+  );
+
+  return { entries: toResponse(adapter.id, doc), fetchedAt: doc.fetchedAt };
+}
+
+// Merge the rating history of every account the user linked into one time
+// series (public profiles only; private ones look the same as missing
+// ones). A failing platform is reported next to the data instead of
+// failing the whole response.
+export async function getUserRatingHistory(userId, options = {}) {
+  const user = mongoose.isValidObjectId(userId)
+    ? await User.findById(userId).select("isPublic").lean()
+    : null;
+  if (!user || !user.isPublic) {
+    throw new AppError("User not found", 404, ERROR_CODES.USER_NOT_FOUND);
+  }
+
+  const accounts = await PlatformAccount.find({ user: user._id }).select("platform handle").lean();
+  const handles = Object.fromEntries(accounts.map(({ platform, handle }) => [platform, handle]));
+  const requested = ratingHistoryPlatforms().filter(
+    (adapter) => handles[adapter.id]
+  );
+
+  const results = await Promise.allSettled(
+    requested.map((adapter) =>
+      getRatingHistory(adapter.id, String(handles[adapter.id]).trim(), options)
+    )
+  );
+
+  const platforms = {};
+  const series = [];
+
+  results.forEach((result, i) => {
+    const { id } = requested[i];
+    if (result.status === "rejected") {
+      platforms[id] = { handle: handles[id], error: result.reason.message };
+      return;
+    }
+
+    const { entries, fetchedAt } = result.value;
+    series.push(...entries);
+    platforms[id] = {
+      handle: handles[id],
+      contests: entries.length,
+      currentRating: entries.length ? entries[entries.length - 1].newRating : null,
+      maxRating: entries.length ? Math.max(...entries.map((e) => e.newRating)) : null,
+      fetchedAt,
+    };
+  });
+
+  series.sort((a, b) => a.date.localeCompare(b.date));
+
+  return { platforms, series };
+}
@@ -0,0 +1,414 @@
+import mongoose from "mongoose";
+import Activity from "../models/activity.model.js";
+import PlatformAccount from "../models/platform.model.js";
+import RatingHistory from "../models/ratingHistory.model.js";
+import ScrapeCache from "../models/scrapeCache.model.js";
+import ScoringRules from "../models/scoringRules.model.js";
+import Streak from "../models/streak.model.js";
+import User from "../models/user.model.js";
+import UserScore from "../models/userScore.model.js";
+import { activeDaysByPlatform, userTimeZone, COMBINED } from "./streak.service.js";
+import { difficultyBucket } from "./normalization/difficulty.normalizer.js";
+import { DEFAULT_SCORING_RULES } from "../constants/scoring.js";
+import { difficultyConfig } from "../config/difficulty.js";
+import { dateKey, daysBetween } from "../utils/date.util.js";
+import { AppError, ERROR_CODES } from "../utils/appError.js";
+
+const BUCKETS = ["easy", "medium", "hard"];
+const MAX_ITEMS = 100;
+
+const round = (points) => Math.round(points * 10) / 10;
+const isPoints = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+// ----------------------------------------------------------------------
+// Rules
+// ----------------------------------------------------------------------
+
+// Full rule table from a partial one: missing values fall back to the
+// defaults. Throws a 400 naming the first bad value.
+export function resolveScoringRules(input = {}) {
+  const invalid = (path) =>
+    new AppError(`Invalid scoring rule: ${path}`, 400, ERROR_CODES.VALIDATION_ERROR);
+
+  if (!isObject(input)) throw invalid("rules");
+  for (const key of Object.keys(input)) {
+    if (!(key in DEFAULT_SCORING_RULES)) throw invalid(key);
+  }
+  for (const key of ["difficulty", "platforms", "contest"]) {
+    if (input[key] !== undefined && !isObject(input[key])) throw invalid(key);
+  }
+
+  const rules = {
+    difficulty: { ...DEFAULT_SCORING_RULES.difficulty, ...input.difficulty },
+    platforms: { ...DEFAULT_SCORING_RULES.platforms, ...input.platforms },
+    streak: input.streak ?? DEFAULT_SCORING_RULES.streak,
+    firstSolveBonus: input.firstSolveBonus ?? DEFAULT_SCORING_RULES.firstSolveBonus,
+    contest: { ...DEFAULT_SCORING_RULES.contest, ...input.contest },
+  };
+
+  for (const bucket of BUCKETS) {
+    if (!isPoints(rules.difficulty[bucket])) throw invalid(`difficulty.${bucket}`);
+  }
+  for (const [platform, multiplier] of Object.entries(rules.platforms)) {
+    if (!isPoints(multiplier)) throw invalid(`platforms.${platform}`);
+  }
+  if (
+    !Array.isArray(rules.streak) ||
+    rules.streak.some(
+      (tier) => !(Number.isInteger(tier?.minDays) && tier.minDays > 0 && isPoints(tier.multiplier))
+    )
+  ) {
+    throw invalid("streak");
+  }
+  if (!isPoints(rules.firstSolveBonus)) throw invalid("firstSolveBonus");
+  for (const key of ["participation", "ratingGain"]) {
+    if (!isPoints(rules.contest[key])) throw invalid(`contest.${key}`);
+  }
+
+  rules.streak = rules.streak
+    .map(({ minDays, multiplier }) => ({ minDays, multiplier }))
+    .sort((a, b) => a.minDays - b.minDays);
+  return rules;
+}
+
+// Rules in force: { version, rules }. Version 0 is the built-in defaults.
+let activeRules = null;
+
+export async function getScoringRules() {
+  if (!activeRules) {
+    const latest = await ScoringRules.findOne().sort({ version: -1 }).lean();
+    activeRules = latest
+      ? { version: latest.version, rules: resolveScoringRules(latest.rules), updatedAt: latest.createdAt }
+      : { version: 0, rules: resolveScoringRules(), updatedAt: null };
+  }
+  return activeRules;
+}
+
+// Store a new version of the rules. Scores computed under older versions
+// are stale from here on (see jobs/scoring.job.js).
+export async function updateScoringRules(input, userId = null) {
+  const rules = resolveScoringRules(input);
+  const latest = await ScoringRules.findOne().sort({ version: -1 }).select("version").lean();
+  const doc = await ScoringRules.create({
+    version: (latest?.version || 0) + 1,
+    rules,
+    createdBy: userId,
+  });
+  activeRules = { version: doc.version, rules, updatedAt: doc.createdAt };
+  return activeRules;
+}
+
+// ----------------------------------------------------------------------
+// Engine
+// ----------------------------------------------------------------------
+
+function platformMultiplier(rules, platform) {
+  return rules.platforms[platform] ?? rules.platforms.default ?? 1;
+}
+
+// Highest streak tier reached by a streak of `days` days
+function streakMultiplier(rules, days) {
+  let multiplier = 1;
+  for (const tier of rules.streak) {
+    if (days >= tier.minDays) multiplier = tier.multiplier;
+  }
+  return multiplier;
+}
+
+// Length the streak had reached on each day. Map<"YYYY-MM-DD", length>
+function streakByDay(days) {
+  const lengths = new Map();
+  let previous = null;
+  let length = 0;
+  for (const day of [...new Set(days)].sort()) {
+    length = previous && daysBetween(previous, day) === 1 ? length + 1 : 1;
+    lengths.set(day, length);
+    previous = day;
+  }
+  return lengths;
+}
+
+function bucketOf(activity) {
+  return typeof activity.difficultyScore === "number"
+    ? difficultyBucket(activity.difficultyScore)
+    : activity.difficulty || difficultyConfig.unratedBucket;
+}
+
+function addTo(totals, key, points, count = 1) {
+  const entry = totals[key] || { points: 0, count: 0 };
+  entry.points += points;
+  entry.count += count;
+  totals[key] = entry;
+}
+
+function roundTotals(totals) {
+  for (const entry of Object.values(totals)) entry.points = round(entry.points);
+  return totals;
+}
+
+// Score everything a user did on their verified platforms:
+//   activities - stored solves
+//   stats      - Map<platform, cached normalized stats>; solves these
+//                report beyond the stored ones score their bucket points
+//   contests   - every rated contest ({ platform, contestId, contestName,
+//                date, oldRating, delta }) of the platforms' histories
+//   streakDays - active and frozen days ("YYYY-MM-DD") in timeZone
+// Returns { total, breakdown, items (newest first), activityPoints }.
+export function scoreUser({
+  activities = [],
+  stats = new Map(),
+  contests = [],
+  streakDays = [],
+  timeZone,
+  rules,
+}) {
+  const solves = { points: 0, count: 0, byPlatform: {}, byDifficulty: {} };
+  const firstSolveBonus = { points: 0, count: 0 };
+  const streakBonus = { points: 0 };
+  const countedSolves = { points: 0, count: 0, byPlatform: {} };
+  const contestPoints = { points: 0, count: 0, participation: 0, ratingGain: 0, byPlatform: {} };
+  const items = [];
+  const activityPoints = new Map();
+
+  const streaks = streakByDay(streakDays);
+  const seen = new Set();
+  const stored = {};
+
+  const ordered = [...activities].sort((a, b) => new Date(a.solvedAt) - new Date(b.solvedAt));
+  for (const activity of ordered) {
+    const bucket = bucketOf(activity);
+    stored[activity.platform] = stored[activity.platform] || { easy: 0, medium: 0, hard: 0 };
+    stored[activity.platform][bucket]++;
+
+    const base = rules.difficulty[bucket];
+    const multiplier = platformMultiplier(rules, activity.platform);
+    const streak = streakMultiplier(rules, streaks.get(dateKey(activity.solvedAt, timeZone)) || 0);
+    const plain = base * multiplier;
+
+    // The same problem solved again on a mirror platform gets no bonus
+    const problem = activity.problemKey || `${activity.platform}:${activity.problemId}`;
+    const bonus = !seen.has(problem) && plain > 0 ? rules.firstSolveBonus : 0;
+    seen.add(problem);
+
+    solves.points += plain;
+    solves.count++;
+    addTo(solves.byPlatform, activity.platform, plain);
+    addTo(solves.byDifficulty, bucket, plain);
+    streakBonus.points += plain * (streak - 1);
+    if (bonus) {
+      firstSolveBonus.points += bonus;
+      firstSolveBonus.count++;
+    }
+
+    const points = round(plain * streak + bonus);
+    activityPoints.set(String(activity._id), points);
+    items.push({
+      kind: "solve",
+      platform: activity.platform,
+      ref: String(activity.problemId),
+      label: activity.problemName || "",
+      date: activity.solvedAt,
+      points,
+      parts: { base, platform: multiplier, streak, firstSolveBonus: bonus },
+    });
+  }
+
+  for (const [platform, data] of stats) {
+    const multiplier = platformMultiplier(rules, platform);
+    const have = stored[platform] || { easy: 0, medium: 0, hard: 0 };
+    const haveTotal = have.easy + have.medium + have.hard;
+    let left = Math.max(0, (data?.stats?.totalSolved || 0) - haveTotal);
+    if (left === 0) continue;
+
+    // Per bucket where the platform says, else all in the unrated bucket
+    const reported = data.difficulty && BUCKETS.some((bucket) => data.difficulty[bucket] > 0);
+    const missing = reported
+      ? BUCKETS.map((bucket) => [bucket, Math.max(0, data.difficulty[bucket] - have[bucket])])
+      : [[difficultyConfig.unratedBucket, left]];
+    for (const [bucket, missingCount] of missing) {
+      const count = Math.min(missingCount, left);
+      if (count === 0) continue;
+      left -= count;
+      const points = count * rules.difficulty[bucket] * multiplier;
+      countedSolves.points += points;
+      countedSolves.count += count;
+      addTo(countedSolves.byPlatform, platform, points, count);
+    }
+  }
+
+  // A platform's first rated contest only moves the rating off its seed
+  // (0 on Codeforces, 1500 on LeetCode): no gain. Losses count as 0.
+  const firstContests = new Map();
+  for (const contest of contests) {
+    const first = firstContests.get(contest.platform);
+    if (!first || new Date(contest.date) < new Date(first.date)) {
+      firstContests.set(contest.platform, contest);
+    }
+  }
+
+  for (const contest of contests) {
+    const gain = firstContests.get(contest.platform) === contest ? 0 : Math.max(0, contest.delta);
+    const participation = rules.contest.participation;
+    const ratingGain = gain * rules.contest.ratingGain;
+    const points = round(participation + ratingGain);
+
+    contestPoints.points += participation + ratingGain;
+    contestPoints.count++;
+    contestPoints.participation += participation;
+    contestPoints.ratingGain += ratingGain;
+    addTo(contestPoints.byPlatform, contest.platform, participation + ratingGain);
+    items.push({
+      kind: "contest",
+      platform: contest.platform,
+      ref: String(contest.contestId || contest.contestName),
+      label: contest.contestName || "",
+      date: contest.date,
+      points,
+      parts: { participation, ratingGain: round(ratingGain), ratingDelta: contest.delta },
+    });
+  }
+
+  const breakdown = {
+    solves: {
+      ...solves,
+      points: round(solves.points),
+      byPlatform: roundTotals(solves.byPlatform),
+      byDifficulty: roundTotals(solves.byDifficulty),
+    },
+    streakBonus: { points: round(streakBonus.points) },
+    firstSolveBonus: { ...firstSolveBonus, points: round(firstSolveBonus.points) },
+    countedSolves: {
+      ...countedSolves,
+      points: round(countedSolves.points),
+      byPlatform: roundTotals(countedSolves.byPlatform),
+    },
+    contests: {
+      ...contestPoints,
+      points: round(contestPoints.points),
+      participation: round(contestPoints.participation),
+      ratingGain: round(contestPoints.ratingGain),
+      byPlatform: roundTotals(contestPoints.byPlatform),
+    },
+  };
+  const total = round(
+    breakdown.solves.points +
+      breakdown.streakBonus.points +
+      breakdown.firstSolveBonus.points +
+      breakdown.countedSolves.points +
+      breakdown.contests.points
+  );
+
+  items.sort((a, b) => new Date(b.date) - new Date(a.date));
+  return { total, breakdown, items: items.slice(0, MAX_ITEMS), activityPoints };
+}
+
+// ----------------------------------------------------------------------
+// Persistence
+// ----------------------------------------------------------------------
+
+function toScoreResponse(doc) {
+  return {
+    total: doc.total,
+    rulesVersion: doc.rulesVersion,
+    computedAt: doc.computedAt,
+    breakdown: doc.breakdown,
+    items: doc.items,
+  };
+}
+
+// Rescore one user and store the result. Only verified accounts count,
+// as on the leaderboard; unverified ones are listed in the breakdown.
+export async function recalculateUserScore(userId, rulesInForce = null) {
+  const { version, rules } = rulesInForce || (await getScoringRules());
+  const [accounts, timeZone] = await Promise.all([
+    PlatformAccount.find({ user: userId }).select("platform handleKey verified").lean(),
+    userTimeZone(userId),
+  ]);
+  const verified = accounts.filter((account) => account.verified);
+  const platforms = verified.map((account) => account.platform);
+  const handles = verified.map(({ platform, handleKey }) => ({ platform, handle: handleKey }));
+
+  const [activities, cached, histories, daysByPlatform, streak] = await Promise.all([
+    Activity.find({ user: userId, platform: { $in: platforms } })
+      .select("platform problemId problemName problemKey difficulty difficultyScore solvedAt score")
+      .lean(),
+    handles.length
+      ? ScrapeCache.find({ $or: handles }).select("platform data.stats data.difficulty").lean()
+      : [],
+    handles.length ? RatingHistory.find({ $or: handles }).lean() : [],
+    activeDaysByPlatform(userId, timeZone),
+    Streak.findOne({ user: userId, scope: COMBINED }).select("frozenDays").lean(),
+  ]);
+
+  const result = scoreUser({
+    activities,
+    stats: new Map(cached.map((entry) => [entry.platform, entry.data])),
+    contests: histories.flatMap((history) =>
+      history.entries.map((entry) => ({ ...entry, platform: history.platform }))
+    ),
+    streakDays: [
+      ...platforms.flatMap((platform) => [...(daysByPlatform.get(platform) || [])]),
+      ...(streak?.frozenDays || []),
+    ],
+    timeZone,
+    rules,
+  });
+
+  const changed = activities.filter(
+    (activity) => activity.score !== result.activityPoints.get(String(activity._id))
+  );
+  if (changed.length > 0) {
+    await Activity.bulkWrite(
+      changed.map((activity) => ({
+        updateOne: {
+          filter: { _id: activity._id },
+          update: { $set: { score: result.activityPoints.get(String(activity._id)) } },
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  const doc = await UserScore.findOneAndUpdate(
+    { user: userId },
+    {
+      $set: {
+        total: result.total,
+        rulesVersion: version,
+        breakdown: {
+          ...result.breakdown,
+          unscoredPlatforms: accounts
+            .filter((account) => !account.verified)
+            .map((account) => account.platform),
+        },
+        items: result.items,
+        computedAt: new Date(),
+      },
+    },
+    { upsert: true, new: true, lean: true }
+  );
+  await User.updateOne({ _id: userId }, { $set: { totalScore: result.total } });
+  return toScoreResponse(doc);
+}
+
+// Stored breakdown, rescored first if the rules changed since
+export async function getScoreBreakdown(userId) {
+  const [{ version }, stored] = await Promise.all([
+    getScoringRules(),
+    UserScore.findOne({ user: userId }).lean(),
+  ]);
+  if (!stored || stored.rulesVersion !== version) return recalculateUserScore(userId);
+  return toScoreResponse(stored);
+}
+
+// Someone else's breakdown: public profiles only
+export async function getPublicScoreBreakdown(userId) {
+  const user = mongoose.isValidObjectId(userId)
+    ? await User.findById(userId).select("isPublic").lean()
+    : null;
+  if (!user || !user.isPublic) {
+    throw new AppError("User not found", 404, ERROR_CODES.USER_NOT_FOUND);
+  }
+  return getScoreBreakdown(user._id);
+}
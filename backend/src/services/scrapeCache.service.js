@@ -0,0 +1,160 @@
+import crypto from "crypto";
+import ScrapeCache from "../models/scrapeCache.model.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How long a payload counts as fresh. Rating-only platforms change after
+// contests; submission-heavy ones (Codeforces pulls its whole history) are
+// the expensive ones to refresh.
+const TTL_MS = {
+  leetcode: 15 * MINUTE,
+  codeforces: 30 * MINUTE,
+  codechef: 30 * MINUTE,
+  atcoder: HOUR,
+  github: 30 * MINUTE,
+  skillrack: 6 * HOUR,
+  hackerrank: HOUR,
+  gfg: HOUR,
+  codewars: HOUR,
+  cses: HOUR,
+  spoj: 6 * HOUR,
+  kattis: 6 * HOUR,
+};
+const DEFAULT_TTL_MS = 30 * MINUTE;
+
+// Past its TTL an entry is still served (stale: true) while a background
+// refresh runs; past this it is refetched before responding.
+const MAX_STALE_MS = 24 * HOUR;
+
+export function ttlFor(platform) {
+  return TTL_MS[platform] ?? DEFAULT_TTL_MS;
+}
+
+export function computeEtag(data) {
+  const hash = crypto.createHash("sha1").update(JSON.stringify(data)).digest("base64url");
+  return `"${hash}"`;
+}
+
+// ----------------------------------------------------------------------
+// Stores: get(platform, handle) -> entry | null, set(entry)
+// entry = { platform, handle, data, etag, fetchedAt: Date }
+// ----------------------------------------------------------------------
+
+export class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  key(platform, handle) {
+    return `${platform}:${handle.toLowerCase()}`;
+  }
+
+  async get(platform, handle) {
+    return this.entries.get(this.key(platform, handle)) || null;
+  }
+
+  async set(entry) {
+    this.entries.set(this.key(entry.platform, entry.handle), entry);
+  }
+}
+
+export class MongoCacheStore {
+  async get(platform, handle) {
+    return ScrapeCache.findOne({ platform, handle: handle.toLowerCase() }).lean();
+  }
+
+  async set(entry) {
+    await ScrapeCache.updateOne(
+      { platform: entry.platform, handle: entry.handle.toLowerCase() },
+      { $set: { data: entry.data, etag: entry.etag, fetchedAt: entry.fetchedAt } },
+      { upsert: true }
+    );
+  }
+}
+
+export class StatsCache {
+  constructor(store, { now = () => Date.now(), onError = console.error } = {}) {
+    this.store = store;
+    this.now = now;
+    this.onError = onError;
+    this.inFlight = new Map();
+  }
+
+  // One upstream fetch per key at a time; concurrent callers share it
+  refresh(platform, handle, load) {
+    const key = `${platform}:${handle.toLowerCase()}`;
+    if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+    const pending = (async () => {
+      const data = await load();
+      const entry = {
+        platform,
+        handle,
+        data,
+        etag: computeEtag(data),
+        fetchedAt: new Date(this.now()),
+      };
+      // A broken cache must not turn a good scrape into an error
+      await this.store.set(entry).catch((error) =>
+        this.onError(`Scrape cache write failed for ${key}: ${error.message}`)
+      );
+      return entry;
+    })().finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, pending);
+    return pending;
+  }
+
+  // The cached entry as stored, or null; never loads
+  async peek(platform, handle) {
+    return this.store.get(platform, handle).catch(() => null);
+  }
+
+  // Returns { data, etag, fetchedAt, stale, cached }.
+  //   fresh entry            -> served as-is
+  //   stale (< MAX_STALE_MS) -> served with stale: true, refreshed in background
+  //   missing / too old      -> loaded before responding
+  //   force                  -> always loaded before responding
+  async get(platform, handle, load, { force = false } = {}) {
+    const entry = force
+      ? null
+      : await this.store.get(platform, handle).catch((error) => {
+          this.onError(`Scrape cache read failed for ${platform}/${handle}: ${error.message}`);
+          return null;
+        });
+
+    if (entry) {
+      const age = this.now() - new Date(entry.fetchedAt).getTime();
+
+      if (age < ttlFor(platform)) {
+        return { ...pick(entry), stale: false, cached: true };
+      }
+      if (age < MAX_STALE_MS) {
+        this.refresh(platform, handle, load).catch((error) =>
+          this.onError(`Background refresh failed for ${platform}/${handle}: ${error.message}`)
+        );
+        return { ...pick(entry), stale: true, cached: true };
+      }
+    }
+
+    const fresh = await this.refresh(platform, handle, load);
+    return { ...pick(fresh), stale: false, cached: false };
+  }
+}
+
+function pick(entry) {
+  return {
+    data: entry.data,
+    etag: entry.etag,
+    fetchedAt: new Date(entry.fetchedAt).toISOString(),
+  };
+}
+
+// SCRAPE_CACHE_STORE=memory keeps the cache in-process (single instance,
+// lost on restart); the default shares it through Mongo.
+export function createCacheStore(kind = process.env.SCRAPE_CACHE_STORE) {
+  return kind === "memory" ? new MemoryCacheStore() : new MongoCacheStore();
+}
+
+export const statsCache = new StatsCache(createCacheStore());
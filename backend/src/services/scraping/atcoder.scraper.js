@@ -0,0 +1,141 @@
+import axios from "axios";
+
+const HEADERS = {
+  "User-Agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+  "Accept-Language": "en-US,en;q=0.9",
+};
+
+// AtCoder handles: 3-16 chars, letters / digits / underscore
+function isValidUsername(username) {
+  return (
+    typeof username === "string" && /^[A-Za-z0-9_]{3,16}$/.test(username.trim())
+  );
+}
+
+function normalizeAtCoderError(error, fallbackMessage) {
+  const statusCode = error?.response?.status;
+
+  if (error.code === "ECONNABORTED") return "Request timeout";
+  if (statusCode === 404) return "User not found";
+  if (statusCode === 429) return "Rate limited";
+  if (statusCode === 403) return "Access denied by AtCoder";
+
+  return fallbackMessage;
+}
+
+// "1234th" / "1,234th" -> "1234"
+function extractRank(html) {
+  const m = html.match(/<th[^>]*>\s*Rank\s*<\/th>\s*<td[^>]*>\s*([\d,]+)/i);
+  return m ? m[1].replace(/,/g, "") : "";
+}
+
+const ACCEPTED_COUNT_ERROR = "Failed to fetch AtCoder solved count";
+
+// AtCoder itself does not expose solved counts; the AtCoder Problems
+// community API does, with a 404 for users it has no accepted submission
+// of. When it is down the whole fetch fails, so the last cached stats stay
+// instead of the user being cached (and ranked) with 0 solves.
+async function fetchAcceptedCount(handle) {
+  try {
+    const response = await axios.get(
+      `https://kenkoooo.com/atcoder/atcoder-api/v3/user/ac_rank?user=${handle}`,
+      { timeout: 10000, headers: { ...HEADERS, Accept: "application/json" } }
+    );
+    return Number(response.data?.count) || 0;
+  } catch (error) {
+    if (error?.response?.status === 404) return 0;
+    throw new Error(ACCEPTED_COUNT_ERROR);
+  }
+}
+
+export async function fetchAtCoderStats(username) {
+  try {
+    if (!isValidUsername(username)) {
+      throw new Error("Invalid username");
+    }
+
+    const handle = encodeURIComponent(username.trim());
+
+    // -------------------------
+    // 1) Contest history (official JSON endpoint)
+    // -------------------------
+    const historyResponse = await axios.get(
+      `https://atcoder.jp/users/${handle}/history/json`,
+      { timeout: 12000, headers: { ...HEADERS, Accept: "application/json" } }
+    );
+
+    const history = Array.isArray(historyResponse.data)
+      ? historyResponse.data
+      : [];
+    const rated = history.filter((contest) => contest?.IsRated);
+
+    const rating = rated.length ? Number(rated[rated.length - 1].NewRating) : 0;
+    const maxRating = rated.reduce(
+      (max, contest) => Math.max(max, Number(contest.NewRating) || 0),
+      0
+    );
+
+    // -------------------------
+    // 2) Profile page (rank only lives in the HTML)
+    // -------------------------
+    const profileResponse = await axios.get(
+      `https://atcoder.jp/users/${handle}`,
+      {
+        timeout: 12000,
+        headers: { ...HEADERS, Accept: "text/html,application/xhtml+xml" },
+      }
+    );
+    const rank = extractRank(String(profileResponse.data || ""));
+
+    return {
+      rating,
+      maxRating,
+      rank,
+      ratedMatches: rated.length,
+      totalSolved: await fetchAcceptedCount(handle),
+    };
+  } catch (error) {
+    const message =
+      error?.message === "Invalid username" || error?.message === ACCEPTED_COUNT_ERROR
+        ? error.message
+        : normalizeAtCoderError(error, "Failed to fetch AtCoder data");
+
+    throw new Error(message);
+  }
+}
+
+// Rated contests only: unrated participations don't move the rating line
+export async function fetchAtCoderRatingHistory(username) {
+  try {
+    if (!isValidUsername(username)) {
+      throw new Error("Invalid username");
+    }
+
+    const response = await axios.get(
+      `https://atcoder.jp/users/${encodeURIComponent(username.trim())}/history/json`,
+      { timeout: 12000, headers: { ...HEADERS, Accept: "application/json" } }
+    );
+
+    const history = Array.isArray(response.data) ? response.data : [];
+
+    return history
+      .filter((contest) => contest?.IsRated)
+      .map((contest) => ({
+        contestId: contest.ContestScreenName?.split(".")[0] || "",
+        contestName: contest.ContestNameEn || contest.ContestName || "",
+        date: new Date(contest.EndTime).toISOString(),
+        rank: Number(contest.Place) || null,
+        oldRating: Number(contest.OldRating) || 0,
+        newRating: Number(contest.NewRating) || 0,
+        performance: Number(contest.Performance) || null,
+      }));
+  } catch (error) {
+    const message =
+      error?.message === "Invalid username"
+        ? "Invalid username"
+        : normalizeAtCoderError(error, "Failed to fetch AtCoder rating history");
+
+    throw new Error(message);
+  }
+}
@@ -1,4 +1,6 @@
 import axios from "axios";
+import { headlessEnabledFor } from "../../config/puppeeteer.js";
+import { browserPool } from "../../utils/headless.util.js";
 
 // helper: extract numeric value safely
 function extractNumber(text) {
@@ -8,6 +10,94 @@ function extractNumber(text) {
   return Number(m[0].replace(/,/g, ""));
 }
 
+const KNOWN_ERRORS = [
+  "User not found",
+  "CodeChef blocked the request",
+  "Unrecognised CodeChef profile layout",
+];
+
+function isCloudflareChallenge(html) {
+  return /Just a moment\.\.\.|cf-browser-verification|challenge-platform/i.test(html);
+}
+
+// Stats from a CodeChef profile page, whether it came from a plain GET or
+// from the headless browser.
+export function parseCodeChefProfile(html) {
+  // ✅ If CodeChef returns "Page Not Found" or similar
+  if (!html || html.includes("Page Not Found")) {
+    throw new Error("User not found");
+  }
+
+  // Cloudflare interstitial instead of the profile
+  if (isCloudflareChallenge(html)) {
+    throw new Error("CodeChef blocked the request");
+  }
+
+  // None of the markers below present = CodeChef changed the page;
+  // better to fail than report a profile full of zeros.
+  if (!/rating-number|Fully Solved|Global Rank/i.test(html)) {
+    throw new Error("Unrecognised CodeChef profile layout");
+  }
+
+  // rating is usually in "rating-number"
+  const ratingMatch = html.match(/rating-number[^>]*>\s*([\d,]+)/i);
+  const rating = ratingMatch ? extractNumber(ratingMatch[1]) : 0;
+
+  // total solved appears in fully/partially solved section (varies by layout)
+  // We'll capture the first "Fully Solved" number if present
+  const fullySolvedMatch = html.match(/Fully Solved[^<]*<\/h5>\s*<p[^>]*>\s*([\d,]+)/i);
+  const totalSolved = fullySolvedMatch ? extractNumber(fullySolvedMatch[1]) : 0;
+
+  // rank is not always easy to scrape reliably -> keep empty if missing
+  const globalRankMatch = html.match(/Global Rank[^<]*<\/strong>\s*([\d,]+)/i);
+  const rank = globalRankMatch ? globalRankMatch[1].trim() : "";
+
+  return {
+    rating,
+    maxRating: 0, // Not easily available from HTML reliably
+    rank,
+    totalSolved,
+    stars: "",
+    countryRank: "",
+  };
+}
+
+// What a real browser can get past: the Cloudflare challenge, and pages
+// whose numbers are only filled in by JavaScript
+const HEADLESS_RECOVERABLE = [
+  "CodeChef blocked the request",
+  "Unrecognised CodeChef profile layout",
+];
+
+function toCodeChefError(error) {
+  if (KNOWN_ERRORS.includes(error.message)) return error;
+  if (isCloudflareChallenge(String(error?.response?.data || ""))) {
+    return new Error("CodeChef blocked the request");
+  }
+
+  // handle status codes properly if axios provides them
+  const status = error?.response?.status;
+
+  if (status === 400) return new Error("Invalid username");
+  if (status === 404) return new Error("User not found");
+  if (status === 429) return new Error("Rate limited");
+
+  // If HTML scrape fails due to Cloudflare/captcha etc.
+  return new Error("Failed to fetch CodeChef data");
+}
+
+async function fetchProfileHeadless(username) {
+  const { status, html } = await browserPool.fetchHtml(
+    `https://www.codechef.com/users/${username}`,
+    { waitForSelector: ".rating-number" }
+  );
+  if (status === 404) throw new Error("User not found");
+  if (status === 429) throw new Error("Rate limited");
+  return parseCodeChefProfile(html);
+}
+
+// API -> static profile HTML -> headless browser (when enabled for
+// codechef in config/puppeeteer.js)
 export async function fetchCodeChefStats(username) {
   try {
     // ----------------------------
@@ -24,6 +114,8 @@ export async function fetchCodeChefStats(username) {
         maxRating: Number(data.highest_rating) || 0,
         rank: data.global_rank || "",
         totalSolved: Number(data.problem_fully_solved) || 0,
+        stars: data.stars || "",
+        countryRank: data.country_rank || "",
       };
     }
 
@@ -33,6 +125,7 @@ export async function fetchCodeChefStats(username) {
     // ----------------------------
     // 2) Fallback: scrape CodeChef profile page
     // ----------------------------
+    let staticError;
     try {
       const profileUrl = `https://www.codechef.com/users/${username}`;
 
@@ -47,42 +140,91 @@ export async function fetchCodeChefStats(username) {
         },
       });
 
-      const html = res.data;
+      return parseCodeChefProfile(res.data);
+    } catch (fallbackErr) {
+      staticError = toCodeChefError(fallbackErr);
+    }
 
-      // ✅ If CodeChef returns "Page Not Found" or similar
-      if (!html || html.includes("Page Not Found")) {
-        throw new Error("User not found");
+    // ----------------------------
+    // 3) Last resort: render the page in a headless browser
+    // ----------------------------
+    if (!headlessEnabledFor("codechef") || !HEADLESS_RECOVERABLE.includes(staticError.message)) {
+      throw staticError;
+    }
+    try {
+      return await fetchProfileHeadless(username);
+    } catch (headlessErr) {
+      if ([...KNOWN_ERRORS, "Rate limited", "Request timeout"].includes(headlessErr.message)) {
+        throw headlessErr;
       }
+      throw new Error("Failed to fetch CodeChef data");
+    }
+  }
+}
 
-      // rating is usually in "rating-number"
-      const ratingMatch = html.match(/rating-number[^>]*>\s*([\d,]+)/i);
-      const rating = ratingMatch ? extractNumber(ratingMatch[1]) : 0;
+// Both the third-party API (`ratingData`) and the profile page's inline
+// `var all_rating = [...]` use the same entry shape.
+export function parseCodeChefRatingData(entries) {
+  if (!Array.isArray(entries)) return [];
 
-      // total solved appears in fully/partially solved section (varies by layout)
-      // We'll capture the first "Fully Solved" number if present
-      const fullySolvedMatch = html.match(/Fully Solved[^<]*<\/h5>\s*<p[^>]*>\s*([\d,]+)/i);
-      const totalSolved = fullySolvedMatch ? extractNumber(fullySolvedMatch[1]) : 0;
+  let previous = null;
+  return entries.map((entry) => {
+    const newRating = Number(entry.rating) || 0;
+    // end_date is CodeChef local time (IST)
+    const date = entry.end_date
+      ? new Date(`${entry.end_date.replace(" ", "T")}+05:30`)
+      : new Date(Date.UTC(entry.getyear, entry.getmonth - 1, entry.getday));
+    const change = {
+      contestId: entry.code || "",
+      contestName: entry.name || entry.code || "",
+      date: date.toISOString(),
+      rank: Number(entry.rank) || null,
+      // First rated contest starts from CodeChef's initial rating
+      oldRating: previous ?? 1000,
+      newRating,
+    };
+    previous = newRating;
+    return change;
+  });
+}
 
-      // rank is not always easy to scrape reliably -> keep empty if missing
-      const globalRankMatch = html.match(/Global Rank[^<]*<\/strong>\s*([\d,]+)/i);
-      const rank = globalRankMatch ? globalRankMatch[1].trim() : "";
+export async function fetchCodeChefRatingHistory(username) {
+  try {
+    const response = await axios.get(
+      `https://codechef-api.vercel.app/handle/${username}`,
+      { timeout: 10000 }
+    );
+    if (Array.isArray(response.data?.ratingData)) {
+      return parseCodeChefRatingData(response.data.ratingData);
+    }
+    throw new Error("Third party API returned invalid payload");
+  } catch (error) {
+    try {
+      const res = await axios.get(`https://www.codechef.com/users/${username}`, {
+        timeout: 15000,
+        headers: {
+          "User-Agent":
+            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+          Accept: "text/html,application/xhtml+xml",
+          Referer: "https://www.codechef.com/",
+        },
+      });
 
-      return {
-        rating,
-        maxRating: 0, // Not easily available from HTML reliably
-        rank,
-        totalSolved,
-      };
+      const html = String(res.data || "");
+      if (!html || html.includes("Page Not Found")) {
+        throw new Error("User not found");
+      }
+
+      const m = html.match(/var\s+all_rating\s*=\s*(\[[\s\S]*?\]);/);
+      return m ? parseCodeChefRatingData(JSON.parse(m[1])) : [];
     } catch (fallbackErr) {
-      // handle status codes properly if axios provides them
-      const status = fallbackErr?.response?.status;
+      if (fallbackErr.message === "User not found") throw fallbackErr;
 
-      if (status === 400) throw new Error("Invalid username");
+      const status = fallbackErr?.response?.status;
       if (status === 404) throw new Error("User not found");
       if (status === 429) throw new Error("Rate limited");
 
-      // If HTML scrape fails due to Cloudflare/captcha etc.
-      throw new Error("Failed to fetch CodeChef data");
+      throw new Error("Failed to fetch CodeChef rating history");
     }
   }
 }
@@ -4,7 +4,22 @@ function isValidUsername(username) {
   return typeof username === "string" && username.trim().length >= 2;
 }
 
+// Errors raised here on purpose (invalid handle, a FAILED answer) already
+// carry the message to show
+function cfError(message) {
+  const error = new Error(message);
+  error.fromCodeforces = true;
+  return error;
+}
+
+// Codeforces answered, but with status FAILED: its comment is the message
+function apiFailure(data) {
+  const comment = data?.comment || "Codeforces API failed";
+  return cfError(String(comment).toLowerCase().includes("not found") ? "User not found" : comment);
+}
+
 function normalizeCfError(error, fallbackMessage) {
+  if (error?.fromCodeforces) return error.message;
   const statusCode = error?.response?.status;
 
   // Axios / network errors
@@ -24,43 +39,127 @@ function normalizeCfError(error, fallbackMessage) {
   return fallbackMessage;
 }
 
-export async function fetchCodeforcesStats(username) {
-  try {
-    if (!isValidUsername(username)) {
-      throw new Error("Invalid username");
-    }
+function problemKey(problem) {
+  const contestId = problem.contestId ?? "X";
+  const index = problem.index ?? "X";
+  return `${contestId}-${index}`;
+}
 
-    const headers = {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
-      Accept: "application/json",
-    };
+// Collapse raw submissions into one entry per solved problem:
+//   attempts        = submissions up to and including the first AC
+//   firstAcceptedAt = time of that first AC
+// Problems that were tried but never accepted are only counted.
+export function summarizeSubmissions(submissions) {
+  const byProblem = new Map();
 
-    // -------------------------
-    // 1) Fetch user info
-    // -------------------------
-    const infoUrl = `https://codeforces.com/api/user.info?handles=${encodeURIComponent(
-      username.trim()
-    )}`;
+  // API returns newest first; walk oldest -> newest so "first AC" is real
+  const ordered = [...submissions].sort(
+    (a, b) => (a.creationTimeSeconds || 0) - (b.creationTimeSeconds || 0)
+  );
 
-    const infoResponse = await axios.get(infoUrl, {
-      timeout: 12000,
-      headers,
-    });
+  for (const submission of ordered) {
+    if (!submission?.problem) continue;
 
-    const infoData = infoResponse.data;
+    const key = problemKey(submission.problem);
+    let entry = byProblem.get(key);
+    if (!entry) {
+      entry = {
+        problemId: key,
+        contestId: submission.problem.contestId ?? null,
+        index: submission.problem.index ?? "",
+        name: submission.problem.name || key,
+        rating: Number(submission.problem.rating) || null,
+        tags: submission.problem.tags || [],
+        language: "",
+        attempts: 0,
+        firstAcceptedAt: null,
+      };
+      byProblem.set(key, entry);
+    }
 
-    // Handle CF "FAILED"
-    if (!infoData || infoData.status !== "OK") {
-      const comment = infoData?.comment || "Codeforces API failed";
-      if (String(comment).toLowerCase().includes("not found")) {
-        throw new Error("User not found");
-      }
-      throw new Error(comment);
+    if (entry.firstAcceptedAt) continue;
+
+    entry.attempts++;
+    if (submission.verdict === "OK") {
+      entry.firstAcceptedAt = new Date(
+        submission.creationTimeSeconds * 1000
+      ).toISOString();
+      entry.language = submission.programmingLanguage || "";
     }
+  }
+
+  const problems = [];
+  let attemptedUnsolved = 0;
+  for (const entry of byProblem.values()) {
+    if (entry.firstAcceptedAt) problems.push(entry);
+    else attemptedUnsolved++;
+  }
+
+  return { problems, attemptedUnsolved };
+}
+
+const HEADERS = {
+  "User-Agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+  Accept: "application/json",
+};
+
+function toCodeforcesError(error) {
+  // Keep errors same style as your other scraper
+  return new Error(normalizeCfError(error, "Failed to fetch Codeforces data"));
+}
+
+// Rating, rank and profile names (user.info only, no submissions)
+async function requestUserInfo(username) {
+  if (!isValidUsername(username)) {
+    throw cfError("Invalid username");
+  }
+
+  const infoUrl = `https://codeforces.com/api/user.info?handles=${encodeURIComponent(
+    username.trim()
+  )}`;
+
+  const infoResponse = await axios.get(infoUrl, {
+    timeout: 12000,
+    headers: HEADERS,
+  });
+
+  const infoData = infoResponse.data;
+
+  // Handle CF "FAILED"
+  if (!infoData || infoData.status !== "OK") {
+    throw apiFailure(infoData);
+  }
+
+  const userInfo = infoData.result?.[0];
+  if (!userInfo) throw cfError("User not found");
+
+  return {
+    rating: Number(userInfo.rating) || 0,
+    maxRating: Number(userInfo.maxRating) || 0,
+    rank: userInfo.rank || "unrated",
+    firstName: userInfo.firstName || "",
+    lastName: userInfo.lastName || "",
+    organization: userInfo.organization || "",
+  };
+}
+
+// Profile without the submission history, for refreshes whose solved
+// problems are already stored
+export async function fetchCodeforcesProfile(username) {
+  try {
+    return await requestUserInfo(username);
+  } catch (error) {
+    throw toCodeforcesError(error);
+  }
+}
 
-    const userInfo = infoData.result?.[0];
-    if (!userInfo) throw new Error("User not found");
+export async function fetchCodeforcesStats(username) {
+  try {
+    // -------------------------
+    // 1) Fetch user info
+    // -------------------------
+    const profile = await requestUserInfo(username);
 
     // -------------------------
     // 2) Fetch submissions
@@ -73,44 +172,99 @@ export async function fetchCodeforcesStats(username) {
 
     const statusResponse = await axios.get(statusUrl, {
       timeout: 15000,
-      headers,
+      headers: HEADERS,
     });
 
     const statusData = statusResponse.data;
 
-    let totalSolved = 0;
+    let problems = [];
+    let attemptedUnsolved = 0;
 
+    // if status API failed for some reason still return basic info
     if (statusData?.status === "OK" && Array.isArray(statusData.result)) {
-      const solvedSet = new Set();
-
-      for (const submission of statusData.result) {
-        if (submission?.verdict === "OK" && submission?.problem) {
-          const contestId = submission.problem.contestId ?? "X";
-          const index = submission.problem.index ?? "X";
-          const problemKey = `${contestId}-${index}`;
-          solvedSet.add(problemKey);
-        }
-      }
-
-      totalSolved = solvedSet.size;
-    } else if (statusData?.status === "FAILED") {
-      // if status API failed for some reason still return basic info
-      totalSolved = 0;
+      ({ problems, attemptedUnsolved } = summarizeSubmissions(statusData.result));
     }
 
     return {
-      rating: Number(userInfo.rating) || 0,
-      maxRating: Number(userInfo.maxRating) || 0,
-      rank: userInfo.rank || "unrated",
-      totalSolved,
+      ...profile,
+      totalSolved: problems.length,
+      attemptedUnsolved,
+      problems,
     };
   } catch (error) {
-    const message =
-      error?.message === "Invalid username"
-        ? "Invalid username"
-        : normalizeCfError(error, "Failed to fetch Codeforces data");
+    throw toCodeforcesError(error);
+  }
+}
+
+// Rated contest history, oldest first (official user.rating endpoint)
+export async function fetchCodeforcesRatingHistory(username) {
+  try {
+    if (!isValidUsername(username)) {
+      throw cfError("Invalid username");
+    }
 
-    // Keep errors same style as your other scraper
-    throw new Error(message);
+    const url = `https://codeforces.com/api/user.rating?handle=${encodeURIComponent(
+      username.trim()
+    )}`;
+    const response = await axios.get(url, {
+      timeout: 12000,
+      headers: { Accept: "application/json" },
+    });
+
+    const data = response.data;
+    if (!data || data.status !== "OK") {
+      throw apiFailure(data);
+    }
+
+    return (data.result || []).map((change) => ({
+      contestId: String(change.contestId),
+      contestName: change.contestName,
+      date: new Date(change.ratingUpdateTimeSeconds * 1000).toISOString(),
+      rank: change.rank,
+      oldRating: change.oldRating,
+      newRating: change.newRating,
+    }));
+  } catch (error) {
+    throw new Error(normalizeCfError(error, "Failed to fetch Codeforces rating history"));
+  }
+}
+
+// Submissions newer than sinceId, newest first. user.status pages from the
+// newest submission, so paging stops at the first page that reaches the
+// cursor. Without a cursor the whole history (up to maxPages) is returned.
+export async function fetchCodeforcesSubmissions(
+  username,
+  { sinceId = null, pageSize = 500, maxPages = 20 } = {}
+) {
+  try {
+    if (!isValidUsername(username)) {
+      throw cfError("Invalid username");
+    }
+
+    const submissions = [];
+    for (let page = 0; page < maxPages; page++) {
+      const url = `https://codeforces.com/api/user.status?handle=${encodeURIComponent(
+        username.trim()
+      )}&from=${page * pageSize + 1}&count=${pageSize}`;
+      const response = await axios.get(url, {
+        timeout: 15000,
+        headers: { Accept: "application/json" },
+      });
+
+      const data = response.data;
+      if (!data || data.status !== "OK") {
+        throw apiFailure(data);
+      }
+
+      const result = data.result || [];
+      const fresh = sinceId ? result.filter((s) => s.id > sinceId) : result;
+      submissions.push(...fresh);
+
+      if (fresh.length < result.length || result.length < pageSize) break;
+    }
+
+    return submissions;
+  } catch (error) {
+    throw new Error(normalizeCfError(error, "Failed to fetch Codeforces submissions"));
   }
 }
@@ -0,0 +1,112 @@
+import axios from "axios";
+
+const API_URL = "https://www.codewars.com/api/v1";
+
+// Completed-kata list is paged 200 at a time; 5 pages covers all but the
+// most prolific users and keeps us well inside Codewars' rate limits.
+const MAX_COMPLETED_PAGES = 5;
+
+function isValidUsername(username) {
+  return (
+    typeof username === "string" && /^[A-Za-z0-9_.-]{1,40}$/.test(username.trim())
+  );
+}
+
+function normalizeCodewarsError(error, fallbackMessage) {
+  const statusCode = error?.response?.status;
+
+  if (error.code === "ECONNABORTED") return "Request timeout";
+  if (statusCode === 404) return "User not found";
+  if (statusCode === 429) return "Rate limited";
+
+  return fallbackMessage;
+}
+
+// Overall + per-language ranks from the user endpoint ("4 kyu", honor...)
+export function parseCodewarsUser(user) {
+  if (!user || !user.username) throw new Error("User not found");
+
+  const languageRanks = Object.entries(user.ranks?.languages || {})
+    .map(([language, rank]) => ({
+      language,
+      rank: rank.name || "",
+      score: Number(rank.score) || 0,
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    name: user.name || "",
+    clan: user.clan || "",
+    honor: Number(user.honor) || 0,
+    leaderboardPosition: user.leaderboardPosition ?? null,
+    rank: user.ranks?.overall?.name || "",
+    score: Number(user.ranks?.overall?.score) || 0,
+    totalCompleted: Number(user.codeChallenges?.totalCompleted) || 0,
+    totalAuthored: Number(user.codeChallenges?.totalAuthored) || 0,
+    languageRanks,
+  };
+}
+
+// Completed katas -> per-language kata counts + per-day completions
+export function summarizeCompletedKatas(katas) {
+  const languages = {};
+  const days = {};
+
+  for (const kata of katas || []) {
+    for (const language of kata.completedLanguages || []) {
+      languages[language] = (languages[language] || 0) + 1;
+    }
+    if (kata.completedAt) {
+      const date = new Date(kata.completedAt).toISOString().split("T")[0];
+      days[date] = (days[date] || 0) + 1;
+    }
+  }
+
+  return {
+    katasByLanguage: Object.entries(languages)
+      .map(([language, count]) => ({ language, count }))
+      .sort((a, b) => b.count - a.count),
+    activity: Object.entries(days).map(([date, count]) => ({ date, count })),
+  };
+}
+
+export async function fetchCodewarsStats(username) {
+  try {
+    if (!isValidUsername(username)) {
+      throw new Error("Invalid username");
+    }
+
+    const handle = encodeURIComponent(username.trim());
+    const headers = { Accept: "application/json" };
+
+    const userResponse = await axios.get(`${API_URL}/users/${handle}`, {
+      timeout: 12000,
+      headers,
+    });
+    const profile = parseCodewarsUser(userResponse.data);
+
+    const katas = [];
+    for (let page = 0; page < MAX_COMPLETED_PAGES; page++) {
+      const res = await axios.get(
+        `${API_URL}/users/${handle}/code-challenges/completed`,
+        { timeout: 12000, headers, params: { page } }
+      );
+      katas.push(...(res.data?.data || []));
+      if (page + 1 >= (Number(res.data?.totalPages) || 0)) break;
+    }
+
+    return {
+      ...profile,
+      totalSolved: profile.totalCompleted,
+      ...summarizeCompletedKatas(katas),
+    };
+  } catch (error) {
+    const message = ["Invalid username", "User not found"].includes(
+      error?.message
+    )
+      ? error.message
+      : normalizeCodewarsError(error, "Failed to fetch Codewars data");
+
+    throw new Error(message);
+  }
+}
@@ -0,0 +1,102 @@
+import axios from "axios";
+
+// CSES has no usernames in URLs: profiles are cses.fi/user/<numeric id>,
+// and the same id addresses the public problem set progress page.
+function isValidUserId(id) {
+  return /^\d{1,9}$/.test(String(id || "").trim());
+}
+
+function decodeEntities(text) {
+  return String(text || "")
+    .replace(/&amp;/g, "&")
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .trim();
+}
+
+// Pure HTML -> progress parser for /problemset/user/<id>/. Each section is
+//   <h2>Sorting and Searching</h2> <ul class="task-list">…</ul>
+// with one <a class="task-score icon full|zero" href="/problemset/task/N/">
+// per task; "full" means accepted.
+export function parseCsesProgress(html) {
+  if (!html || typeof html !== "string") {
+    throw new Error("Empty CSES profile");
+  }
+  if (/user not found|invalid user/i.test(html)) {
+    throw new Error("User not found");
+  }
+
+  const sections = [];
+  const solvedTaskIds = [];
+  const sectionRegex = /<h2>([\s\S]*?)<\/h2>\s*<ul[^>]*class="[^"]*\btask-list\b[^"]*"[^>]*>([\s\S]*?)<\/ul>/gi;
+  const taskRegex = /<a[^>]*class="([^"]*\btask-score\b[^"]*)"[^>]*href="\/problemset\/task\/(\d+)\/?"/gi;
+
+  let section;
+  while ((section = sectionRegex.exec(html)) !== null) {
+    let solved = 0;
+    let total = 0;
+    let task;
+    while ((task = taskRegex.exec(section[2])) !== null) {
+      total++;
+      if (/\bfull\b/.test(task[1])) {
+        solved++;
+        solvedTaskIds.push(task[2]);
+      }
+    }
+    if (total > 0) {
+      sections.push({ name: decodeEntities(section[1]), solved, total });
+    }
+  }
+
+  if (sections.length === 0) {
+    throw new Error("Unrecognised CSES profile layout");
+  }
+
+  const nameMatch = html.match(/<title>[^<]*?User statistics[^<]*?:\s*([^<]+)<\/title>/i);
+
+  return {
+    name: nameMatch ? decodeEntities(nameMatch[1]) : "",
+    totalSolved: solvedTaskIds.length,
+    totalTasks: sections.reduce((sum, s) => sum + s.total, 0),
+    sections,
+    solvedTaskIds,
+  };
+}
+
+export async function fetchCsesStats(userId) {
+  if (!isValidUserId(userId)) {
+    throw new Error("Invalid username");
+  }
+
+  try {
+    const res = await axios.get(
+      `https://cses.fi/problemset/user/${String(userId).trim()}/`,
+      {
+        timeout: 15000,
+        headers: {
+          "User-Agent":
+            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+          Accept: "text/html,application/xhtml+xml",
+        },
+      }
+    );
+
+    return parseCsesProgress(res.data);
+  } catch (error) {
+    if (
+      error.message === "User not found" ||
+      error.message === "Unrecognised CSES profile layout"
+    ) {
+      throw error;
+    }
+
+    const status = error?.response?.status;
+    if (status === 404) throw new Error("User not found");
+    if (status === 429) throw new Error("Rate limited");
+    if (error.code === "ECONNABORTED") throw new Error("Request timeout");
+
+    throw new Error("Failed to fetch CSES data");
+  }
+}
@@ -0,0 +1,102 @@
+import axios from "axios";
+import { calibrate } from "../normalization/difficulty.normalizer.js";
+
+function isValidUsername(username) {
+  return (
+    typeof username === "string" && /^[A-Za-z0-9_.-]{1,50}$/.test(username.trim())
+  );
+}
+
+// Pure HTML -> stats parser. The profile is a Next.js page; everything we
+// need is in the __NEXT_DATA__ JSON blob, not in the rendered markup.
+export function parseGfgProfile(html) {
+  if (!html || typeof html !== "string") {
+    throw new Error("Empty GeeksforGeeks profile");
+  }
+
+  const m = html.match(
+    /<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/i
+  );
+  if (!m) {
+    throw new Error("Unrecognised GeeksforGeeks profile layout");
+  }
+
+  let pageProps;
+  try {
+    pageProps = JSON.parse(m[1])?.props?.pageProps || {};
+  } catch {
+    throw new Error("Unrecognised GeeksforGeeks profile layout");
+  }
+
+  const info = pageProps.userInfo;
+  if (!info || Object.keys(info).length === 0) {
+    throw new Error("User not found");
+  }
+
+  const difficulty = { easy: 0, medium: 0, hard: 0 };
+  const sections = {};
+  for (const [section, problems] of Object.entries(
+    pageProps.userSubmissionsInfo || {}
+  )) {
+    const count = Object.keys(problems || {}).length;
+    sections[section.toLowerCase()] = count;
+
+    // School / Basic / Easy / Medium / Hard sections, on the common scale
+    const { score, bucket } = calibrate("gfg", section);
+    if (score !== null) difficulty[bucket] += count;
+  }
+
+  const solvedFromSections = difficulty.easy + difficulty.medium + difficulty.hard;
+
+  return {
+    name: info.name || "",
+    institute: info.institute_name || "",
+    codingScore: Number(info.score) || 0,
+    monthlyScore: Number(info.monthly_score) || 0,
+    instituteRank: info.institute_rank ? String(info.institute_rank) : "",
+    totalSolved: Number(info.total_problems_solved) || solvedFromSections,
+    difficulty,
+    sections,
+    streak: {
+      current: Number(info.pod_solved_current_streak) || 0,
+      max: Number(info.pod_solved_longest_streak) || 0,
+    },
+  };
+}
+
+export async function fetchGfgStats(username) {
+  if (!isValidUsername(username)) {
+    throw new Error("Invalid username");
+  }
+
+  try {
+    const res = await axios.get(
+      `https://www.geeksforgeeks.org/user/${encodeURIComponent(username.trim())}/`,
+      {
+        timeout: 15000,
+        headers: {
+          "User-Agent":
+            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+          Accept: "text/html,application/xhtml+xml",
+          "Accept-Language": "en-US,en;q=0.9",
+        },
+      }
+    );
+
+    return parseGfgProfile(res.data);
+  } catch (error) {
+    if (
+      error.message === "User not found" ||
+      error.message === "Unrecognised GeeksforGeeks profile layout"
+    ) {
+      throw error;
+    }
+
+    const status = error?.response?.status;
+    if (status === 404) throw new Error("User not found");
+    if (status === 429) throw new Error("Rate limited");
+    if (error.code === "ECONNABORTED") throw new Error("Request timeout");
+
+    throw new Error("Failed to fetch GeeksforGeeks data");
+  }
+}
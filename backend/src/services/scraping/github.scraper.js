@@ -1,38 +1,366 @@
 import axios from "axios";
 
-export async function scrapeGitHub(username) {
-  try {
-    // Fetch public events
-    const res = await axios.get(`https://api.github.com/users/${username}/events/public`);
-    const events = res.data;
+const API_URL = "https://api.github.com";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Optional server-side token: lifts the REST limit from 60 to 5000 req/h and
+// unlocks the GraphQL contributions API (full year, per-type breakdown).
+function getToken() {
+  return process.env.GITHUB_TOKEN || "";
+}
+
+function apiHeaders() {
+  const headers = {
+    Accept: "application/vnd.github+json",
+    "User-Agent": "GrindMap",
+  };
+  const token = getToken();
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return headers;
+}
+
+function isValidUsername(username) {
+  // GitHub logins: alphanumeric or single hyphens, max 39 chars
+  return (
+    typeof username === "string" &&
+    /^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$/.test(username.trim())
+  );
+}
+
+function normalizeGitHubError(error, fallbackMessage) {
+  const statusCode = error?.response?.status;
+  const remaining = error?.response?.headers?.["x-ratelimit-remaining"];
+
+  if (error.code === "ECONNABORTED") return "Request timeout";
+  if (statusCode === 404) return "User not found";
+  if (statusCode === 429 || (statusCode === 403 && remaining === "0")) {
+    return "Rate limited";
+  }
+  if (statusCode === 401) return "GitHub token rejected";
 
-    const today = new Date();
+  return fallbackMessage;
+}
+
+function toDateKey(date) {
+  return new Date(date).toISOString().split("T")[0];
+}
 
-    // Count events in the last 7 days (simple activity metric)
-    const recentActivity = events.filter(event => {
-      const eventDate = new Date(event.created_at);
-      const diffDays = (today - eventDate) / (1000 * 60 * 60 * 24);
-      return diffDays <= 7;
+// One zeroed entry per day for the last 365 days (UTC), oldest first
+function emptySeries(now = new Date()) {
+  const days = new Map();
+  const today = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate()
+  );
+  for (let i = 364; i >= 0; i--) {
+    const date = toDateKey(today - i * DAY_MS);
+    days.set(date, {
+      date,
+      commits: 0,
+      pullRequests: 0,
+      issues: 0,
+      reviews: 0,
+      total: 0,
     });
+  }
+  return days;
+}
 
-    return {
-      platform: "GITHUB",
-      username,
-      data: {
-        totalEvents: events.length,
-        recentActivityCount: recentActivity.length,
-        message: "retrieved",
-        status: "success"
+function bump(days, occurredAt, field, amount = 1) {
+  const day = days.get(toDateKey(occurredAt));
+  if (day) day[field] += amount;
+}
+
+// Current streak may end yesterday: today just hasn't been coded *yet*
+export function computeCommitStreaks(series) {
+  let max = 0;
+  let run = 0;
+  for (const day of series) {
+    run = day.commits > 0 ? run + 1 : 0;
+    if (run > max) max = run;
+  }
+
+  let current = 0;
+  let i = series.length - 1;
+  if (i >= 0 && series[i].commits === 0) i--;
+  for (; i >= 0 && series[i].commits > 0; i--) current++;
+
+  return { current, max };
+}
+
+function summarizeLanguages(entries) {
+  const totals = new Map();
+  for (const { name, bytes, repos } of entries) {
+    const lang = totals.get(name) || { name, bytes: 0, repos: 0 };
+    lang.bytes += bytes || 0;
+    lang.repos += repos || 0;
+    totals.set(name, lang);
+  }
+
+  const languages = [...totals.values()];
+  const useBytes = languages.some((l) => l.bytes > 0);
+  const sum = languages.reduce(
+    (acc, l) => acc + (useBytes ? l.bytes : l.repos),
+    0
+  );
+
+  return languages
+    .map((l) => ({
+      ...l,
+      percentage: sum
+        ? Math.round(((useBytes ? l.bytes : l.repos) / sum) * 1000) / 10
+        : 0,
+    }))
+    .sort((a, b) => b.percentage - a.percentage);
+}
+
+// Public contributions calendar (no token needed). Two layouts are in the
+// wild: <tool-tip> siblings (current) and data-count attributes (legacy).
+export function parseContributionCalendar(html) {
+  const counts = new Map();
+  if (!html || typeof html !== "string") return counts;
+
+  const tooltips = new Map();
+  const tooltipRegex = /<tool-tip[^>]*for="([^"]+)"[^>]*>([\s\S]*?)<\/tool-tip>/g;
+  let m;
+  while ((m = tooltipRegex.exec(html)) !== null) {
+    const count = m[2].match(/^\s*([\d,]+)\s+contribution/);
+    tooltips.set(m[1], count ? Number(count[1].replace(/,/g, "")) : 0);
+  }
+
+  const cellRegex = /<td[^>]*data-date="(\d{4}-\d{2}-\d{2})"[^>]*>/g;
+  while ((m = cellRegex.exec(html)) !== null) {
+    const cell = m[0];
+    const id = cell.match(/\bid="([^"]+)"/);
+    const legacy = cell.match(/data-count="(\d+)"/);
+
+    if (legacy) counts.set(m[1], Number(legacy[1]));
+    else if (id && tooltips.has(id[1])) counts.set(m[1], tooltips.get(id[1]));
+  }
+
+  return counts;
+}
+
+const CONTRIBUTIONS_QUERY = `
+  query ($login: String!, $from: DateTime!, $to: DateTime!) {
+    user(login: $login) {
+      name
+      followers { totalCount }
+      repositories(first: 100, ownerAffiliations: OWNER, isFork: false, orderBy: { field: PUSHED_AT, direction: DESC }) {
+        totalCount
+        nodes {
+          languages(first: 10, orderBy: { field: SIZE, direction: DESC }) {
+            edges { size node { name } }
+          }
+        }
       }
-    };
-  } catch (err) {
-    return {
-      platform: "GITHUB",
-      username,
-      data: {
-        status: "fail",
-        message: err.message
+      contributionsCollection(from: $from, to: $to) {
+        contributionCalendar {
+          totalContributions
+          weeks { contributionDays { date contributionCount } }
+        }
+        commitContributionsByRepository(maxRepositories: 100) {
+          contributions(first: 100) { nodes { occurredAt commitCount } }
+        }
+        pullRequestContributions(first: 100) { nodes { occurredAt } }
+        issueContributions(first: 100) { nodes { occurredAt } }
+        pullRequestReviewContributions(first: 100) { nodes { occurredAt } }
       }
+    }
+  }
+`;
+
+async function fetchViaGraphQL(username) {
+  const now = new Date();
+  const from = new Date(now.getTime() - 364 * DAY_MS);
+
+  const res = await axios.post(
+    `${API_URL}/graphql`,
+    {
+      query: CONTRIBUTIONS_QUERY,
+      variables: {
+        login: username,
+        from: from.toISOString(),
+        to: now.toISOString(),
+      },
+    },
+    { timeout: 15000, headers: apiHeaders() }
+  );
+
+  const errors = res.data?.errors || [];
+  if (errors.some((e) => e.type === "NOT_FOUND")) {
+    throw new Error("User not found");
+  }
+  if (errors.some((e) => e.type === "RATE_LIMITED")) {
+    throw new Error("Rate limited");
+  }
+
+  const user = res.data?.data?.user;
+  if (!user) throw new Error("User not found");
+
+  const collection = user.contributionsCollection;
+  const days = emptySeries(now);
+
+  for (const week of collection.contributionCalendar.weeks) {
+    for (const d of week.contributionDays) {
+      const day = days.get(d.date);
+      if (day) day.total = d.contributionCount;
+    }
+  }
+  for (const repo of collection.commitContributionsByRepository) {
+    for (const node of repo.contributions.nodes) {
+      bump(days, node.occurredAt, "commits", node.commitCount);
+    }
+  }
+  for (const node of collection.pullRequestContributions.nodes) {
+    bump(days, node.occurredAt, "pullRequests");
+  }
+  for (const node of collection.issueContributions.nodes) {
+    bump(days, node.occurredAt, "issues");
+  }
+  for (const node of collection.pullRequestReviewContributions.nodes) {
+    bump(days, node.occurredAt, "reviews");
+  }
+
+  const languages = summarizeLanguages(
+    user.repositories.nodes.flatMap((repo) =>
+      repo.languages.edges.map((edge) => ({
+        name: edge.node.name,
+        bytes: edge.size,
+        repos: 1,
+      }))
+    )
+  );
+
+  return {
+    name: user.name || "",
+    publicRepos: user.repositories.totalCount,
+    followers: user.followers.totalCount,
+    totalContributions: collection.contributionCalendar.totalContributions,
+    series: [...days.values()],
+    languages,
+    source: "graphql",
+  };
+}
+
+async function fetchViaRest(username) {
+  const headers = apiHeaders();
+  const handle = encodeURIComponent(username);
+
+  // Existence check + profile basics
+  const profile = (
+    await axios.get(`${API_URL}/users/${handle}`, { timeout: 10000, headers })
+  ).data;
+
+  const days = emptySeries();
+
+  // Per-type breakdown: the events API only keeps ~90 days / 300 events
+  for (let page = 1; page <= 3; page++) {
+    const events = (
+      await axios.get(`${API_URL}/users/${handle}/events/public`, {
+        timeout: 10000,
+        headers,
+        params: { per_page: 100, page },
+      })
+    ).data;
+    if (!Array.isArray(events) || events.length === 0) break;
+
+    for (const event of events) {
+      const action = event.payload?.action;
+      if (event.type === "PushEvent") {
+        bump(days, event.created_at, "commits", event.payload?.size || 0);
+      } else if (event.type === "PullRequestEvent" && action === "opened") {
+        bump(days, event.created_at, "pullRequests");
+      } else if (event.type === "IssuesEvent" && action === "opened") {
+        bump(days, event.created_at, "issues");
+      } else if (event.type === "PullRequestReviewEvent") {
+        bump(days, event.created_at, "reviews");
+      }
+    }
+    if (events.length < 100) break;
+  }
+
+  // Year-long daily totals come from the public calendar; if GitHub changes
+  // that page we still have the event-derived totals.
+  let calendar = new Map();
+  try {
+    const res = await axios.get(
+      `https://github.com/users/${handle}/contributions`,
+      { timeout: 10000, headers: { "User-Agent": "GrindMap" } }
+    );
+    calendar = parseContributionCalendar(res.data);
+  } catch {
+    calendar = new Map();
+  }
+
+  for (const day of days.values()) {
+    const derived = day.commits + day.pullRequests + day.issues + day.reviews;
+    day.total = calendar.has(day.date)
+      ? Math.max(calendar.get(day.date), derived)
+      : derived;
+  }
+
+  const repos = (
+    await axios.get(`${API_URL}/users/${handle}/repos`, {
+      timeout: 10000,
+      headers,
+      params: { per_page: 100, type: "owner", sort: "pushed" },
+    })
+  ).data;
+
+  const languages = summarizeLanguages(
+    (Array.isArray(repos) ? repos : [])
+      .filter((repo) => !repo.fork && repo.language)
+      .map((repo) => ({ name: repo.language, repos: 1 }))
+  );
+
+  const series = [...days.values()];
+
+  return {
+    name: profile.name || "",
+    publicRepos: profile.public_repos || 0,
+    followers: profile.followers || 0,
+    totalContributions: series.reduce((sum, day) => sum + day.total, 0),
+    series,
+    languages,
+    source: "rest",
+  };
+}
+
+export async function fetchGitHubStats(username) {
+  try {
+    if (!isValidUsername(username)) {
+      throw new Error("Invalid username");
+    }
+
+    const login = username.trim();
+    const data = getToken()
+      ? await fetchViaGraphQL(login)
+      : await fetchViaRest(login);
+
+    const contributions = data.series.reduce(
+      (acc, day) => {
+        acc.commits += day.commits;
+        acc.pullRequests += day.pullRequests;
+        acc.issues += day.issues;
+        acc.reviews += day.reviews;
+        return acc;
+      },
+      { commits: 0, pullRequests: 0, issues: 0, reviews: 0 }
+    );
+
+    return {
+      ...data,
+      contributions,
+      streak: computeCommitStreaks(data.series),
     };
+  } catch (error) {
+    const known = ["Invalid username", "User not found", "Rate limited"];
+    const message = known.includes(error?.message)
+      ? error.message
+      : normalizeGitHubError(error, "Failed to fetch GitHub data");
+
+    throw new Error(message);
   }
 }
@@ -0,0 +1,112 @@
+import axios from "axios";
+
+const BASE_URL = "https://www.hackerrank.com/rest";
+
+const HEADERS = {
+  "User-Agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+  Accept: "application/json",
+};
+
+function isValidUsername(username) {
+  return (
+    typeof username === "string" && /^[A-Za-z0-9_.-]{1,40}$/.test(username.trim())
+  );
+}
+
+function normalizeHackerRankError(error, fallbackMessage) {
+  const statusCode = error?.response?.status;
+
+  if (error.code === "ECONNABORTED") return "Request timeout";
+  if (statusCode === 404) return "User not found";
+  if (statusCode === 429) return "Rate limited";
+  if (statusCode === 403) return "Access denied by HackerRank";
+
+  return fallbackMessage;
+}
+
+// Each badge (Problem Solving, Python, SQL...) carries its own star level
+// and solved count; the profile's solved total is their sum.
+export function parseHackerRankBadges(payload) {
+  const models = Array.isArray(payload?.models) ? payload.models : [];
+
+  const badges = models
+    .filter((badge) => badge && badge.badge_name)
+    .map((badge) => ({
+      name: badge.badge_name,
+      stars: Number(badge.stars) || 0,
+      solved: Number(badge.solved) || 0,
+      totalChallenges: Number(badge.total_challenges) || 0,
+    }))
+    .sort((a, b) => b.stars - a.stars || b.solved - a.solved);
+
+  return {
+    badges,
+    totalSolved: badges.reduce((sum, badge) => sum + badge.solved, 0),
+  };
+}
+
+// { "2024-01-05": "3", ... } -> [{ date, count }]
+export function parseHackerRankSubmissionHistory(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return [];
+  }
+
+  return Object.entries(payload)
+    .filter(([date]) => /^\d{4}-\d{2}-\d{2}$/.test(date))
+    .map(([date, count]) => ({ date, count: Number(count) || 0 }))
+    .filter((day) => day.count > 0);
+}
+
+export async function fetchHackerRankStats(username) {
+  try {
+    if (!isValidUsername(username)) {
+      throw new Error("Invalid username");
+    }
+
+    const handle = encodeURIComponent(username.trim());
+
+    // Profile doubles as the existence check
+    const profileResponse = await axios.get(
+      `${BASE_URL}/contests/master/hackers/${handle}/profile`,
+      { timeout: 12000, headers: HEADERS }
+    );
+    const profile = profileResponse.data?.model;
+    if (!profile) throw new Error("User not found");
+
+    const badgesResponse = await axios.get(
+      `${BASE_URL}/hackers/${handle}/badges`,
+      { timeout: 12000, headers: HEADERS }
+    );
+    const { badges, totalSolved } = parseHackerRankBadges(badgesResponse.data);
+
+    // Submission calendar is nice-to-have; don't fail the profile over it
+    let activity = [];
+    try {
+      const historyResponse = await axios.get(
+        `${BASE_URL}/hackers/${handle}/submission_histories`,
+        { timeout: 12000, headers: HEADERS }
+      );
+      activity = parseHackerRankSubmissionHistory(historyResponse.data);
+    } catch {
+      activity = [];
+    }
+
+    return {
+      name: profile.name || "",
+      country: profile.country || "",
+      level: Number(profile.level) || 0,
+      totalSolved,
+      badges,
+      activity,
+    };
+  } catch (error) {
+    const message = ["Invalid username", "User not found"].includes(
+      error?.message
+    )
+      ? error.message
+      : normalizeHackerRankError(error, "Failed to fetch HackerRank data");
+
+    throw new Error(message);
+  }
+}
@@ -0,0 +1,124 @@
+import axios from "axios";
+
+const BASE_URL = "https://open.kattis.com";
+
+// Solved tab is paged; stop early once a page adds nothing new
+const MAX_SOLVED_PAGES = 10;
+
+const HEADERS = {
+  "User-Agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+  Accept: "text/html,application/xhtml+xml",
+  "Accept-Language": "en-US,en;q=0.9",
+};
+
+function isValidUsername(username) {
+  return (
+    typeof username === "string" && /^[A-Za-z0-9_.-]{1,40}$/.test(username.trim())
+  );
+}
+
+function toNumber(text) {
+  const n = Number(String(text || "").replace(/[^\d.]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Pure HTML -> rank/score parser. Two layouts are in the wild:
+//   current: <span class="info_label">Score</span><span class="important_text">…</span>
+//   legacy:  <table> with a Rank / Score header row and one value row
+export function parseKattisProfile(html) {
+  if (!html || typeof html !== "string") {
+    throw new Error("Empty Kattis profile");
+  }
+  if (/<title>[^<]*(404|not found)[^<]*<\/title>/i.test(html)) {
+    throw new Error("User not found");
+  }
+
+  const values = {};
+  const labelRegex =
+    /<span[^>]*class="[^"]*\binfo_label\b[^"]*"[^>]*>\s*([A-Za-z ]+?)\s*<\/span>\s*<span[^>]*class="[^"]*\bimportant_text\b[^"]*"[^>]*>\s*([^<]+)/gi;
+  let m;
+  while ((m = labelRegex.exec(html)) !== null) {
+    values[m[1].toLowerCase()] = m[2].trim();
+  }
+
+  if (!values.score) {
+    const legacy = html.match(
+      /<th>\s*Rank\s*<\/th>\s*<th>\s*Score\s*<\/th>\s*<\/tr>\s*<tr>\s*<td>\s*([^<]*)<\/td>\s*<td>\s*([^<]*)<\/td>/i
+    );
+    if (legacy) {
+      values.rank = legacy[1].trim();
+      values.score = legacy[2].trim();
+    }
+  }
+
+  if (!values.score) {
+    throw new Error("Unrecognised Kattis profile layout");
+  }
+
+  const nameMatch = html.match(/<h1[^>]*>\s*([^<]+?)\s*<\/h1>/i);
+
+  return {
+    name: nameMatch ? nameMatch[1] : "",
+    score: toNumber(values.score),
+    rank: values.rank ? values.rank.replace(/[^\d]/g, "") : "",
+  };
+}
+
+// Problem ids linked from a solved-tab page (/problems/<id>)
+export function parseKattisSolved(html) {
+  const ids = new Set();
+  const regex = /href="\/problems\/([a-z0-9]+)"/gi;
+  let m;
+  while ((m = regex.exec(String(html || ""))) !== null) {
+    ids.add(m[1].toLowerCase());
+  }
+  return [...ids];
+}
+
+export async function fetchKattisStats(username) {
+  if (!isValidUsername(username)) {
+    throw new Error("Invalid username");
+  }
+
+  try {
+    const handle = encodeURIComponent(username.trim());
+    const profile = await axios.get(`${BASE_URL}/users/${handle}`, {
+      timeout: 15000,
+      headers: HEADERS,
+    });
+    const stats = parseKattisProfile(profile.data);
+
+    const solved = new Set();
+    for (let page = 0; page < MAX_SOLVED_PAGES; page++) {
+      const res = await axios.get(`${BASE_URL}/users/${handle}`, {
+        timeout: 15000,
+        headers: HEADERS,
+        params: { tab: "solved", page },
+      });
+      const before = solved.size;
+      parseKattisSolved(res.data).forEach((id) => solved.add(id));
+      if (solved.size === before) break;
+    }
+
+    return {
+      ...stats,
+      totalSolved: solved.size,
+      solvedProblems: [...solved],
+    };
+  } catch (error) {
+    if (
+      error.message === "User not found" ||
+      error.message === "Unrecognised Kattis profile layout"
+    ) {
+      throw error;
+    }
+
+    const status = error?.response?.status;
+    if (status === 404) throw new Error("User not found");
+    if (status === 429) throw new Error("Rate limited");
+    if (error.code === "ECONNABORTED") throw new Error("Request timeout");
+
+    throw new Error("Failed to fetch Kattis data");
+  }
+}
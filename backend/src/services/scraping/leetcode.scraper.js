@@ -1,16 +1,321 @@
 import axios from "axios";
+import { AppError, ERROR_CODES } from "../../utils/appError.js";
 
-export async function scrapeLeetCode(username) {
+const GRAPHQL_URL = "https://leetcode.com/graphql";
+
+const PROFILE_QUERY = `
+  query userProfile($username: String!, $recentLimit: Int!) {
+    allQuestionsCount { difficulty count }
+    matchedUser(username: $username) {
+      username
+      profile { realName userAvatar ranking reputation aboutMe }
+      submitStatsGlobal {
+        acSubmissionNum { difficulty count submissions }
+        totalSubmissionNum { difficulty count submissions }
+      }
+      userCalendar { streak totalActiveDays submissionCalendar }
+      tagProblemCounts {
+        advanced { tagName tagSlug problemsSolved }
+        intermediate { tagName tagSlug problemsSolved }
+        fundamental { tagName tagSlug problemsSolved }
+      }
+    }
+    recentAcSubmissionList(username: $username, limit: $recentLimit) {
+      id title titleSlug timestamp
+    }
+    userContestRanking(username: $username) {
+      attendedContestsCount rating globalRanking topPercentage
+    }
+    userContestRankingHistory(username: $username) {
+      attended rating ranking problemsSolved totalProblems
+      contest { title startTime }
+    }
+  }
+`;
+
+function isValidUsername(username) {
+  return (
+    typeof username === "string" && /^[A-Za-z0-9_.-]{1,30}$/.test(username.trim())
+  );
+}
+
+function notFound() {
+  return new AppError("User not found", 404, ERROR_CODES.USER_NOT_FOUND);
+}
+
+// Map transport failures onto not-found / rate-limited / upstream-down so
+// callers (and the API) can tell "wrong handle" from "LeetCode is down".
+function toLeetCodeError(error) {
+  if (error instanceof AppError) return error;
+
+  const status = error?.response?.status;
+  if (status === 404) return notFound();
+  if (status === 429) {
+    return new AppError("Rate limited", 429, ERROR_CODES.RATE_LIMITED);
+  }
+  if (status === 403) {
+    // Cloudflare / CSRF challenge rather than a real permission error
+    return new AppError(
+      "LeetCode blocked the request",
+      503,
+      ERROR_CODES.UPSTREAM_UNAVAILABLE
+    );
+  }
+  if (
+    (status && status >= 500) ||
+    error.code === "ECONNABORTED" ||
+    error.code === "ECONNRESET" ||
+    error.code === "ENOTFOUND" ||
+    error.code === "ETIMEDOUT"
+  ) {
+    return new AppError(
+      "LeetCode is unavailable",
+      503,
+      ERROR_CODES.UPSTREAM_UNAVAILABLE
+    );
+  }
+
+  return new AppError(
+    "Failed to fetch LeetCode data",
+    502,
+    ERROR_CODES.PLATFORM_ERROR
+  );
+}
+
+async function leetcodeQuery(query, variables) {
   try {
-    const url = `https://leetcode-stats.tashif.codes/${username}`;
-    const response = await axios.get(url, { timeout: 10000 });
+    const res = await axios.post(
+      GRAPHQL_URL,
+      { query, variables },
+      {
+        timeout: 12000,
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent":
+            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+          Referer: `https://leetcode.com/${variables.username}/`,
+        },
+      }
+    );
+
+    if (!res.data || typeof res.data !== "object" || !res.data.data) {
+      throw new AppError(
+        "Unexpected LeetCode response",
+        502,
+        ERROR_CODES.PLATFORM_ERROR
+      );
+    }
+
+    return res.data;
+  } catch (error) {
+    throw toLeetCodeError(error);
+  }
+}
+
+function countByDifficulty(list, difficulty, field = "count") {
+  return list?.find((item) => item.difficulty === difficulty)?.[field] || 0;
+}
+
+function parseCalendar(calendar) {
+  if (!calendar) return {};
+  try {
+    return typeof calendar === "string" ? JSON.parse(calendar) : calendar;
+  } catch {
+    return {};
+  }
+}
+
+export async function fetchLeetCodeStats(username, { recentLimit = 20 } = {}) {
+  if (!isValidUsername(username)) {
+    throw new AppError("Invalid username", 400, ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  const { data } = await leetcodeQuery(PROFILE_QUERY, {
+    username: username.trim(),
+    recentLimit,
+  });
+
+  const user = data.matchedUser;
+  if (!user) throw notFound();
+
+  const accepted = user.submitStatsGlobal?.acSubmissionNum || [];
+  const submitted = user.submitStatsGlobal?.totalSubmissionNum || [];
+  const acSubmissions = countByDifficulty(accepted, "All", "submissions");
+  const allSubmissions = countByDifficulty(submitted, "All", "submissions");
 
+  const tagGroups = user.tagProblemCounts || {};
+  const tags = ["fundamental", "intermediate", "advanced"].flatMap((level) =>
+    (tagGroups[level] || []).map((tag) => ({
+      name: tag.tagName,
+      slug: tag.tagSlug,
+      solved: tag.problemsSolved,
+      level,
+    }))
+  );
+
+  const contest = data.userContestRanking;
+  const contestHistory = (data.userContestRankingHistory || [])
+    .filter((entry) => entry.attended)
+    .map((entry) => ({
+      title: entry.contest?.title || "",
+      startTime: entry.contest?.startTime || 0,
+      rating: Math.round(entry.rating),
+      ranking: entry.ranking,
+      problemsSolved: entry.problemsSolved,
+      totalProblems: entry.totalProblems,
+    }));
+
+  return {
+    username: user.username,
+    realName: user.profile?.realName || "",
+    aboutMe: user.profile?.aboutMe || "",
+    avatar: user.profile?.userAvatar || "",
+    ranking: user.profile?.ranking || 0,
+    reputation: user.profile?.reputation || 0,
+
+    totalSolved: countByDifficulty(accepted, "All"),
+    easySolved: countByDifficulty(accepted, "Easy"),
+    mediumSolved: countByDifficulty(accepted, "Medium"),
+    hardSolved: countByDifficulty(accepted, "Hard"),
+    totalQuestions: countByDifficulty(data.allQuestionsCount, "All"),
+    totalEasy: countByDifficulty(data.allQuestionsCount, "Easy"),
+    totalMedium: countByDifficulty(data.allQuestionsCount, "Medium"),
+    totalHard: countByDifficulty(data.allQuestionsCount, "Hard"),
+    acceptanceRate: allSubmissions
+      ? Math.round((acSubmissions / allSubmissions) * 10000) / 100
+      : 0,
+
+    submissionCalendar: parseCalendar(user.userCalendar?.submissionCalendar),
+    totalActiveDays: user.userCalendar?.totalActiveDays || 0,
+
+    recentAccepted: (data.recentAcSubmissionList || []).map((sub) => ({
+      id: sub.id,
+      title: sub.title,
+      titleSlug: sub.titleSlug,
+      timestamp: Number(sub.timestamp),
+    })),
+
+    tags,
+
+    contest: contest
+      ? {
+          rating: Math.round(contest.rating),
+          attended: contest.attendedContestsCount,
+          globalRanking: contest.globalRanking,
+          topPercentage: contest.topPercentage,
+        }
+      : null,
+    contestHistory,
+  };
+}
+
+const CONTEST_HISTORY_QUERY = `
+  query userContestHistory($username: String!) {
+    matchedUser(username: $username) { username }
+    userContestRankingHistory(username: $username) {
+      attended rating ranking
+      contest { title startTime }
+    }
+  }
+`;
+
+// LeetCode only reports the post-contest rating; the pre-contest value is
+// the previous attended entry (1500 before the first one).
+export async function fetchLeetCodeRatingHistory(username) {
+  if (!isValidUsername(username)) {
+    throw new AppError("Invalid username", 400, ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  const { data } = await leetcodeQuery(CONTEST_HISTORY_QUERY, {
+    username: username.trim(),
+  });
+  if (!data.matchedUser) throw notFound();
+
+  let previous = 1500;
+  return (data.userContestRankingHistory || [])
+    .filter((entry) => entry.attended)
+    .map((entry) => {
+      const newRating = Math.round(entry.rating);
+      const change = {
+        contestId: entry.contest?.title?.toLowerCase().replace(/\s+/g, "-") || "",
+        contestName: entry.contest?.title || "",
+        date: new Date((entry.contest?.startTime || 0) * 1000).toISOString(),
+        rank: entry.ranking || null,
+        oldRating: previous,
+        newRating,
+      };
+      previous = newRating;
+      return change;
+    });
+}
+
+const RECENT_AC_QUERY = `
+  query recentAcSubmissions($username: String!, $limit: Int!) {
+    matchedUser(username: $username) { username }
+    recentAcSubmissionList(username: $username, limit: $limit) {
+      id title titleSlug timestamp
+    }
+  }
+`;
+
+// Difficulty and tags for several problems in one request, one aliased
+// field per slug (q0, q1, ...)
+function questionsQuery(slugs) {
+  const fields = slugs.map(
+    (slug, i) =>
+      `q${i}: question(titleSlug: ${JSON.stringify(slug)}) { questionFrontendId difficulty topicTags { name } }`
+  );
+  return `query questions { ${fields.join(" ")} }`;
+}
+
+// Accepted submissions after `since` (unix seconds): one entry per problem
+// at its earliest accept in the list, plus the newest submission seen
+// (`latest`, null if nothing is new). LeetCode only exposes the most recent
+// accepts publicly (about 20), so this is an incremental feed, not a full
+// history.
+export async function fetchLeetCodeRecentAccepted(username, { since = 0, limit = 20 } = {}) {
+  if (!isValidUsername(username)) {
+    throw new AppError("Invalid username", 400, ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  const { data } = await leetcodeQuery(RECENT_AC_QUERY, {
+    username: username.trim(),
+    limit,
+  });
+  if (!data.matchedUser) throw notFound();
+
+  const bySlug = new Map();
+  let latest = null;
+  for (const sub of data.recentAcSubmissionList || []) {
+    const timestamp = Number(sub.timestamp);
+    if (timestamp <= since) continue;
+    if (!latest || timestamp > latest.timestamp) latest = { id: sub.id, timestamp };
+
+    const seen = bySlug.get(sub.titleSlug);
+    if (!seen || timestamp < seen.timestamp) {
+      bySlug.set(sub.titleSlug, {
+        id: sub.id,
+        title: sub.title,
+        titleSlug: sub.titleSlug,
+        timestamp,
+      });
+    }
+  }
+  if (bySlug.size === 0) return { accepted: [], latest };
+
+  const slugs = [...bySlug.keys()];
+  const { data: questions } = await leetcodeQuery(questionsQuery(slugs), {
+    username: username.trim(),
+  });
+
+  const accepted = slugs.map((slug, i) => {
+    const question = questions[`q${i}`] || {};
     return {
-      platform: "LEETCODE",
-      username,
-      data: response.data
+      ...bySlug.get(slug),
+      frontendId: question.questionFrontendId || "",
+      difficulty: String(question.difficulty || "medium").toLowerCase(),
+      tags: (question.topicTags || []).map((tag) => tag.name),
     };
-  } catch (err) {
-    throw new Error("Failed to fetch LeetCode data");
-  }
+  });
+  return { accepted, latest };
 }
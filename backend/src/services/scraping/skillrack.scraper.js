@@ -0,0 +1,144 @@
+import axios from "axios";
+
+// SkillRack has no usernames: a public profile is addressed by the resume
+// id and its access key (…/resume.xhtml?id=484170&key=0f1e…). We carry
+// both around as a single "<id>-<key>" handle.
+export function parseSkillRackHandle(handle) {
+  const m = String(handle || "")
+    .trim()
+    .match(/^(\d+)-([A-Za-z0-9]+)$/);
+  if (!m) return null;
+  return { id: m[1], key: m[2] };
+}
+
+// Label shown on the profile page -> field in our payload
+const STAT_LABELS = {
+  "PROGRAMS SOLVED": "programsSolved",
+  "CODE TRACK": "codeTrack",
+  "CODE TEST": "codeTest",
+  "CODE TUTOR": "codeTutor",
+  DC: "dc",
+  DT: "dt",
+  POINTS: "points",
+  RANK: "rank",
+};
+
+function stripTags(text) {
+  return String(text || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function extractNumber(text) {
+  const m = String(text || "").match(/[\d,]+/);
+  if (!m) return 0;
+  return Number(m[0].replace(/,/g, ""));
+}
+
+// Pure HTML -> stats parser, kept separate from the network call so it can
+// be exercised against saved profile pages.
+export function parseSkillRackProfile(html) {
+  if (!html || typeof html !== "string") {
+    throw new Error("Empty SkillRack profile");
+  }
+
+  // Expired / wrong key pages render a plain error message, no statistics
+  if (/invalid\s+(resume|profile|url)|resume not found/i.test(html)) {
+    throw new Error("User not found");
+  }
+
+  const stats = {
+    name: "",
+    programsSolved: 0,
+    codeTrack: 0,
+    codeTest: 0,
+    codeTutor: 0,
+    dc: 0,
+    dt: 0,
+    points: 0,
+    rank: "",
+  };
+
+  // Each statistic is rendered as
+  //   <div class="value">…123</div> <div class="label">CODE TRACK</div>
+  const statRegex =
+    /<div[^>]*class="[^"]*\bvalue\b[^"]*"[^>]*>([\s\S]*?)<\/div>\s*<div[^>]*class="[^"]*\blabel\b[^"]*"[^>]*>([\s\S]*?)<\/div>/gi;
+
+  let found = 0;
+  let match;
+  while ((match = statRegex.exec(html)) !== null) {
+    const label = stripTags(match[2]).toUpperCase();
+    const field = STAT_LABELS[label];
+    if (!field) continue;
+
+    found++;
+    if (field === "rank") {
+      stats.rank = String(extractNumber(stripTags(match[1])) || "");
+    } else {
+      stats[field] = extractNumber(stripTags(match[1]));
+    }
+  }
+
+  if (found === 0) {
+    // Page loaded but none of the known statistics were there: most likely
+    // a layout change, surface it instead of reporting zeros.
+    throw new Error("Unrecognised SkillRack profile layout");
+  }
+
+  // Older resume pages don't print points; fall back to SkillRack's own
+  // weighting (track/DC x2, DT x20, test x30)
+  if (!stats.points) {
+    stats.points =
+      stats.codeTrack * 2 + stats.dc * 2 + stats.dt * 20 + stats.codeTest * 30;
+  }
+
+  const nameMatch = html.match(
+    /<div[^>]*class="[^"]*\bui big label\b[^"]*"[^>]*>([\s\S]*?)<\/div>/i
+  );
+  if (nameMatch) stats.name = stripTags(nameMatch[1]);
+
+  return stats;
+}
+
+export async function fetchSkillRackStats(handle) {
+  const parsed = parseSkillRackHandle(handle);
+  if (!parsed) {
+    throw new Error("Invalid username");
+  }
+
+  try {
+    const url = `https://www.skillrack.com/faces/resume.xhtml?id=${parsed.id}&key=${parsed.key}`;
+    const res = await axios.get(url, {
+      timeout: 15000,
+      headers: {
+        "User-Agent":
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+        Accept: "text/html,application/xhtml+xml",
+        "Accept-Language": "en-US,en;q=0.9",
+      },
+    });
+
+    const stats = parseSkillRackProfile(res.data);
+
+    return {
+      ...stats,
+      totalSolved: stats.programsSolved,
+    };
+  } catch (error) {
+    if (
+      error.message === "User not found" ||
+      error.message === "Unrecognised SkillRack profile layout"
+    ) {
+      throw error;
+    }
+
+    const status = error?.response?.status;
+    if (status === 404) throw new Error("User not found");
+    if (status === 429) throw new Error("Rate limited");
+    if (error.code === "ECONNABORTED") throw new Error("Request timeout");
+
+    throw new Error("Failed to fetch SkillRack data");
+  }
+}
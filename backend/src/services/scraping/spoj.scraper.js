@@ -0,0 +1,91 @@
+import axios from "axios";
+
+function isValidUsername(username) {
+  return typeof username === "string" && /^[a-z0-9_]{3,14}$/i.test(username.trim());
+}
+
+function extractNumber(text) {
+  const m = String(text || "").match(/[\d,.]+/);
+  if (!m) return 0;
+  return Number(m[0].replace(/,/g, "")) || 0;
+}
+
+// Pure HTML -> stats parser for spoj.com/users/<user>/
+export function parseSpojProfile(html, username) {
+  if (!html || typeof html !== "string") {
+    throw new Error("Empty SPOJ profile");
+  }
+
+  // Unknown users are redirected to the front page: no profile block at all
+  if (!/profile-info-data/i.test(html)) {
+    throw new Error("User not found");
+  }
+
+  const solvedMatch = html.match(/<dt>\s*Problems solved\s*<\/dt>\s*<dd>\s*([\d,]+)/i);
+  const submittedMatch = html.match(
+    /<dt>\s*Solutions submitted\s*<\/dt>\s*<dd>\s*([\d,]+)/i
+  );
+  // "World Rank: #1234 (56.789 points)"
+  const rankMatch = html.match(/World Rank:\s*#?([\d,]+)\s*\(([\d,.]+)\s*points?\)/i);
+
+  if (!solvedMatch && !rankMatch) {
+    throw new Error("Unrecognised SPOJ profile layout");
+  }
+
+  // Solved list links to each problem's status page: /status/CODE,user/.
+  // The to-do list below it uses the same links, so cut it off first.
+  const solvedHtml = html.split(/<h4>[^<]*\btodo\b[^<]*<\/h4>/i)[0];
+  const codes = new Set();
+  const user = username ? username.trim().toLowerCase() : "[^/\"]+";
+  const codeRegex = new RegExp(`href="/status/([A-Z0-9_]+),${user}/?"`, "gi");
+  let m;
+  while ((m = codeRegex.exec(solvedHtml)) !== null) {
+    codes.add(m[1].toUpperCase());
+  }
+
+  const nameMatch = html.match(/<div[^>]*id="user-profile-left"[^>]*>[\s\S]*?<h3>([^<]+)<\/h3>/i);
+
+  return {
+    name: nameMatch ? nameMatch[1].trim() : "",
+    totalSolved: solvedMatch ? extractNumber(solvedMatch[1]) : codes.size,
+    solutionsSubmitted: submittedMatch ? extractNumber(submittedMatch[1]) : 0,
+    rank: rankMatch ? rankMatch[1].replace(/,/g, "") : "",
+    points: rankMatch ? extractNumber(rankMatch[2]) : 0,
+    solvedProblems: [...codes],
+  };
+}
+
+export async function fetchSpojStats(username) {
+  if (!isValidUsername(username)) {
+    throw new Error("Invalid username");
+  }
+
+  try {
+    const handle = username.trim().toLowerCase();
+    const res = await axios.get(`https://www.spoj.com/users/${handle}/`, {
+      timeout: 15000,
+      headers: {
+        "User-Agent":
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+        Accept: "text/html,application/xhtml+xml",
+        "Accept-Language": "en-US,en;q=0.9",
+      },
+    });
+
+    return parseSpojProfile(res.data, handle);
+  } catch (error) {
+    if (
+      error.message === "User not found" ||
+      error.message === "Unrecognised SPOJ profile layout"
+    ) {
+      throw error;
+    }
+
+    const status = error?.response?.status;
+    if (status === 404) throw new Error("User not found");
+    if (status === 429) throw new Error("Rate limited");
+    if (error.code === "ECONNABORTED") throw new Error("Request timeout");
+
+    throw new Error("Failed to fetch SPOJ data");
+  }
+}
@@ -0,0 +1,249 @@
+import Activity from "../models/activity.model.js";
+import Streak from "../models/streak.model.js";
+import User from "../models/user.model.js";
+import GoalService from "./goal.service.js";
+import {
+  linkedCalendars,
+  linkedPlatforms,
+  calendarsBefore,
+  firstSolvedByPlatform,
+} from "./platformAccount.service.js";
+import { computeStreak, activeDays, missedDays } from "../utils/streak.util.js";
+import { dateKey, DEFAULT_TIME_ZONE } from "../utils/date.util.js";
+import { AppError, ERROR_CODES } from "../utils/appError.js";
+import { streakFreezeConfig } from "../config/streakFreeze.js";
+
+export const COMBINED = "combined";
+const MAX_HISTORY = 100;
+
+// The zone a user's days are counted in
+export async function userTimeZone(userId) {
+  const user = await User.findById(userId).select("timezone").lean();
+  return user?.timezone || DEFAULT_TIME_ZONE;
+}
+
+// Active days per platform: days with a stored Activity, bucketed in the
+// user's zone, plus active days of calendars (platforms that only expose
+// a calendar, like GitHub or CodeChef, bucket by day themselves). A
+// calendar only counts before the platform's first stored solve.
+// Map<platform, Set<"YYYY-MM-DD">>
+export function activeDaysFrom(activities, calendars, timeZone = DEFAULT_TIME_ZONE) {
+  const days = new Map();
+  const add = (platform, day) => {
+    if (!days.has(platform)) days.set(platform, new Set());
+    days.get(platform).add(day);
+  };
+
+  for (const activity of activities) add(activity.platform, dateKey(activity.solvedAt, timeZone));
+  for (const [platform, activity] of calendarsBefore(calendars, firstSolvedByPlatform(activities))) {
+    for (const day of activeDays(activity)) add(platform, day);
+  }
+
+  return days;
+}
+
+// activeDaysFrom() over the user's currently linked platforms
+export async function activeDaysByPlatform(userId, timeZone = DEFAULT_TIME_ZONE) {
+  const platforms = await linkedPlatforms(userId);
+  const [activities, calendars] = await Promise.all([
+    Activity.find({ user: userId, platform: { $in: platforms } }).select("platform solvedAt").lean(),
+    linkedCalendars(userId),
+  ]);
+  return activeDaysFrom(activities, calendars, timeZone);
+}
+
+// { combined, platforms: { <id>: streak } } for computeStreak() results.
+// Frozen days only carry the combined streak.
+export function buildStreaks(daysByPlatform, today = dateKey(), frozen = []) {
+  const platforms = {};
+  const all = new Set();
+  for (const [platform, days] of daysByPlatform) {
+    platforms[platform] = computeStreak([...days], today);
+    for (const day of days) all.add(day);
+  }
+  return { combined: computeStreak([...all], today, frozen), platforms };
+}
+
+// Add freezes up to the most a user may hold
+async function grantFreezes(userId, count) {
+  if (count <= 0) return;
+  await User.updateOne({ _id: userId }, [
+    {
+      $set: {
+        streakFreezes: {
+          $min: [streakFreezeConfig.maxHeld, { $add: [{ $ifNull: ["$streakFreezes", 0] }, count] }],
+        },
+      },
+    },
+  ]);
+}
+
+// Spend freezes on the days missed since the combined streak was last
+// seen alive. All or nothing: a streak that needs more freezes than the
+// user holds breaks without using any. Returns the frozen days.
+async function applyFreezes(userId, previous, days, frozen, today) {
+  if (!previous?.current || !previous.lastActiveDate) return frozen;
+
+  const missed = missedDays(days, frozen, previous.lastActiveDate, today);
+  if (missed.length === 0) return frozen;
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, streakFreezes: { $gte: missed.length } },
+    { $inc: { streakFreezes: -missed.length } }
+  );
+  return modifiedCount ? [...frozen, ...missed].sort() : frozen;
+}
+
+// Freezes the current combined streak has earned since the last award
+function freezesEarned(previousAward, streak) {
+  const due = Math.floor(streak.currentActive / streakFreezeConfig.earnEvery);
+  // An award recorded inside the current streak was for this streak
+  const sameStreak =
+    previousAward?.start && streak.currentStart && previousAward.start >= streak.currentStart;
+  return {
+    earned: Math.max(0, due - (sameStreak ? previousAward.count : 0)),
+    award: { start: streak.currentStart, count: due },
+  };
+}
+
+// Per user, the recompute running or queued last
+const recomputing = new Map();
+
+// Rebuild and store a user's streaks, then push the combined streak to
+// the user's badge stats and streak goals. Runs after every sync. Days
+// start and end at midnight in the user's timezone. Along the way freezes
+// are spent on missed days, refunded for days that turned out active
+// after all, and earned for every earnEvery active days of the streak.
+// A user's recomputes run one at a time: each works from the stored
+// streak, so two at once (scheduler, a page view, a badge check) would
+// spend or grant freezes for the same days twice.
+export function recomputeStreaks(userId, options) {
+  const key = String(userId);
+  const run = (recomputing.get(key) || Promise.resolve())
+    .catch(() => {})
+    .then(() => rebuildStreaks(userId, options));
+  recomputing.set(key, run);
+  run
+    .finally(() => {
+      if (recomputing.get(key) === run) recomputing.delete(key);
+    })
+    .catch(() => {});
+  return run;
+}
+
+async function rebuildStreaks(userId, { now = new Date() } = {}) {
+  const timeZone = await userTimeZone(userId);
+  const today = dateKey(now, timeZone);
+  const [daysByPlatform, previous] = await Promise.all([
+    activeDaysByPlatform(userId, timeZone),
+    Streak.findOne({ user: userId, scope: COMBINED }).lean(),
+  ]);
+
+  const days = new Set([...daysByPlatform.values()].flatMap((set) => [...set]));
+  const kept = (previous?.frozenDays || []).filter((day) => !days.has(day));
+  await grantFreezes(userId, (previous?.frozenDays?.length || 0) - kept.length);
+  const frozen = await applyFreezes(userId, previous, [...days], kept, today);
+
+  const streaks = buildStreaks(daysByPlatform, today, frozen);
+  const { earned, award } = freezesEarned(previous?.freezeAward, streaks.combined);
+  await grantFreezes(userId, earned);
+
+  const scopes = { [COMBINED]: streaks.combined, ...streaks.platforms };
+  await Streak.bulkWrite(
+    Object.entries(scopes).map(([scope, streak]) => ({
+      updateOne: {
+        filter: { user: userId, scope },
+        update: {
+          $set: {
+            ...streak,
+            history: streak.history.slice(0, MAX_HISTORY),
+            ...(scope === COMBINED && { frozenDays: frozen, freezeAward: award }),
+            computedAt: now,
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  // Unlinked platforms leave no streak behind
+  await Streak.deleteMany({ user: userId, scope: { $nin: Object.keys(scopes) } });
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { currentStreak: streaks.combined.current },
+      $max: { longestStreak: streaks.combined.longest },
+    }
+  );
+  await GoalService.syncStreakGoals(userId, streaks.combined.current);
+
+  return { ...streaks, freezes: await freezeStatus(userId) };
+}
+
+// Freezes held, and what it takes to get more
+export async function freezeStatus(userId) {
+  const user = await User.findById(userId).select("streakFreezes").lean();
+  return {
+    available: user?.streakFreezes || 0,
+    max: streakFreezeConfig.maxHeld,
+    earnEvery: streakFreezeConfig.earnEvery,
+    cost: streakFreezeConfig.cost,
+  };
+}
+
+// Trade totalPoints for one freeze
+export async function buyStreakFreeze(userId) {
+  const { cost, maxHeld } = streakFreezeConfig;
+  const user = await User.findOneAndUpdate(
+    { _id: userId, totalPoints: { $gte: cost }, streakFreezes: { $lt: maxHeld } },
+    { $inc: { totalPoints: -cost, streakFreezes: 1 } },
+    { new: true }
+  );
+  if (!user) {
+    const current = await User.findById(userId).select("totalPoints streakFreezes").lean();
+    if (!current) throw new AppError("User not found", 404, ERROR_CODES.USER_NOT_FOUND);
+    if ((current.streakFreezes || 0) >= maxHeld) {
+      throw new AppError(`You already hold ${maxHeld} streak freezes`, 400, ERROR_CODES.VALIDATION_ERROR);
+    }
+    throw new AppError(`A streak freeze costs ${cost} points`, 400, ERROR_CODES.VALIDATION_ERROR);
+  }
+  return { ...(await freezeStatus(userId)), totalPoints: user.totalPoints };
+}
+
+function toStreakResponse(doc) {
+  return {
+    current: doc.current,
+    currentActive: doc.currentActive,
+    longest: doc.longest,
+    longestActive: doc.longestActive,
+    longestUnfrozen: doc.longestUnfrozen,
+    currentStart: doc.currentStart,
+    currentFrozenDays: doc.currentFrozenDays,
+    lastActiveDate: doc.lastActiveDate,
+    history: doc.history,
+    computedAt: doc.computedAt,
+  };
+}
+
+// Stored streaks; computed on first use for users who never synced, and
+// again once the user's day has moved on since they were computed (a
+// streak nobody extended yesterday is broken now)
+export async function getStreaks(userId, { now = new Date() } = {}) {
+  const [docs, timeZone] = await Promise.all([
+    Streak.find({ user: userId }).lean(),
+    userTimeZone(userId),
+  ]);
+  const today = dateKey(now, timeZone);
+  if (docs.length === 0 || docs.some((doc) => dateKey(doc.computedAt, timeZone) !== today)) {
+    return recomputeStreaks(userId, { now });
+  }
+
+  const platforms = {};
+  let combined = null;
+  for (const doc of docs) {
+    if (doc.scope === COMBINED) combined = toStreakResponse(doc);
+    else platforms[doc.scope] = toStreakResponse(doc);
+  }
+  return { combined, platforms, freezes: await freezeStatus(userId) };
+}
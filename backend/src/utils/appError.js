@@ -16,10 +16,13 @@ export const ERROR_CODES = {
   USER_EXISTS: 'USER_EXISTS',
   INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
   INVALID_TOKEN: 'INVALID_TOKEN',
+  FORBIDDEN: 'FORBIDDEN',
   TOKEN_EXPIRED: 'TOKEN_EXPIRED',
   VALIDATION_ERROR: 'VALIDATION_ERROR',
   PLATFORM_ERROR: 'PLATFORM_ERROR',
   SCRAPING_ERROR: 'SCRAPING_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
   DATABASE_ERROR: 'DATABASE_ERROR',
   SERVER_ERROR: 'SERVER_ERROR'
 };
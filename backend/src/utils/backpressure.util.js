@@ -1,44 +1,160 @@
-class BackpressureManager {
-  constructor() {
-    this.queue = [];
-    this.processing = 0;
-    this.maxQueue = 100;
-    this.maxConcurrent = 10;
-    this.circuitOpen = false;
-    this.failures = 0;
-    this.maxFailures = 5;
+import axios from 'axios';
+
+// Errors that say something about the request, not about the upstream's
+// health: they must not open a circuit.
+const CLIENT_ERRORS = new Set(['Invalid username', 'User not found']);
+
+export function isUpstreamFailure(error) {
+  if (error?.code === 'ERR_THROTTLED') return false; // our own rate limit, see upstreamThrottle.util.js
+  const status = error?.statusCode ?? error?.response?.status;
+  if (status) return status === 429 || status >= 500;
+  if (error?.isAxiosError) return true; // no response: network error or timeout
+  return !CLIENT_ERRORS.has(error?.message);
+}
+
+// closed    -> every call runs; the last `windowSize` outcomes are tracked and
+//              the circuit opens once `failureRate` of them failed (after at
+//              least `minimumCalls`)
+// open      -> calls are rejected until `openMs` has passed
+// half-open -> up to `halfOpenTrials` calls are let through; that many
+//              successes close the circuit, one failure reopens it
+export class CircuitBreaker {
+  constructor({
+    windowSize = 20,
+    minimumCalls = 5,
+    failureRate = 0.5,
+    openMs = 30000,
+    halfOpenTrials = 1,
+    now = () => Date.now()
+  } = {}) {
+    this.windowSize = windowSize;
+    this.minimumCalls = minimumCalls;
+    this.failureRate = failureRate;
+    this.openMs = openMs;
+    this.halfOpenTrials = halfOpenTrials;
+    this.now = now;
+
+    this.state = 'closed';
+    this.outcomes = [];
+    this.openedAt = null;
+    this.trialsInFlight = 0;
+    this.trialSuccesses = 0;
   }
 
-  async process(task) {
-    if (this.circuitOpen) {
-      throw new Error('Circuit breaker open - system overloaded');
+  // Reserve the right to make a call; false = reject it
+  tryAcquire() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.openMs) {
+      this.state = 'half-open';
+      this.trialsInFlight = 0;
+      this.trialSuccesses = 0;
+    }
+    if (this.state === 'open') return false;
+    if (this.state === 'half-open') {
+      if (this.trialsInFlight >= this.halfOpenTrials) return false;
+      this.trialsInFlight++;
     }
+    return true;
+  }
 
-    if (this.queue.length >= this.maxQueue) {
-      throw new Error('Queue full - request rejected');
+  onSuccess() {
+    if (this.state === 'half-open') {
+      this.trialsInFlight--;
+      if (++this.trialSuccesses >= this.halfOpenTrials) this.close();
+      return;
+    }
+    this.record(true);
+  }
+
+  onFailure() {
+    if (this.state === 'half-open') {
+      this.open();
+      return;
+    }
+    this.record(false);
+    const failures = this.outcomes.filter((ok) => !ok).length;
+    if (
+      this.outcomes.length >= this.minimumCalls &&
+      failures / this.outcomes.length >= this.failureRate
+    ) {
+      this.open();
     }
+  }
+
+  // A call that failed for a client-side reason: frees a trial slot
+  // without counting for or against the upstream
+  onIgnored() {
+    if (this.state === 'half-open') this.trialsInFlight--;
+  }
+
+  record(ok) {
+    this.outcomes.push(ok);
+    if (this.outcomes.length > this.windowSize) this.outcomes.shift();
+  }
+
+  open() {
+    this.state = 'open';
+    this.openedAt = this.now();
+  }
+
+  close() {
+    this.state = 'closed';
+    this.outcomes = [];
+    this.openedAt = null;
+  }
+
+  getStats() {
+    const failures = this.outcomes.filter((ok) => !ok).length;
+    return {
+      state: this.state,
+      failureRate: this.outcomes.length ? failures / this.outcomes.length : 0,
+      calls: this.outcomes.length,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
 
+// Concurrency limit + bounded queue + circuit breaker for one upstream, so
+// a slow or failing platform only ever uses its own slots.
+export class Bulkhead {
+  constructor(name, { maxConcurrent = 10, maxQueue = 100, isFailure = isUpstreamFailure, ...breaker } = {}) {
+    this.name = name;
+    this.maxConcurrent = maxConcurrent;
+    this.maxQueue = maxQueue;
+    this.isFailure = isFailure;
+    this.breaker = new CircuitBreaker(breaker);
+    this.queue = [];
+    this.processing = 0;
+    this.rejected = 0;
+  }
+
+  async process(task) {
     if (this.processing >= this.maxConcurrent) {
+      if (this.queue.length >= this.maxQueue) {
+        this.rejected++;
+        throw new Error(`Queue full - ${this.name} request rejected`);
+      }
       return new Promise((resolve, reject) => {
         this.queue.push({ task, resolve, reject });
       });
     }
-
     return this.execute(task);
   }
 
   async execute(task) {
+    if (!this.breaker.tryAcquire()) {
+      this.rejected++;
+      this.processNext();
+      throw new Error(`Circuit breaker open - ${this.name} unavailable`);
+    }
+
     this.processing++;
     try {
       const result = await task();
-      this.failures = 0;
+      this.breaker.onSuccess();
       return result;
     } catch (error) {
-      this.failures++;
-      if (this.failures >= this.maxFailures) {
-        this.circuitOpen = true;
-        setTimeout(() => { this.circuitOpen = false; this.failures = 0; }, 30000);
-      }
+      if (this.isFailure(error)) this.breaker.onFailure();
+      else this.breaker.onIgnored();
       throw error;
     } finally {
       this.processing--;
@@ -55,11 +171,80 @@ class BackpressureManager {
 
   getStats() {
     return {
+      name: this.name,
       queueSize: this.queue.length,
       processing: this.processing,
-      circuitOpen: this.circuitOpen
+      maxConcurrent: this.maxConcurrent,
+      maxQueue: this.maxQueue,
+      rejected: this.rejected,
+      circuit: this.breaker.getStats(),
+      circuitOpen: this.breaker.state === 'open'
     };
   }
 }
 
-export const backpressureManager = new BackpressureManager();
\ No newline at end of file
+// One bulkhead per key, created on first use from `limits[key]` (falling
+// back to `defaults`)
+export class BulkheadRegistry {
+  constructor(limits = {}, defaults = {}) {
+    this.limits = limits;
+    this.defaults = defaults;
+    this.bulkheads = new Map();
+  }
+
+  get(key) {
+    if (!this.bulkheads.has(key)) {
+      this.bulkheads.set(key, new Bulkhead(key, { ...this.defaults, ...this.limits[key] }));
+    }
+    return this.bulkheads.get(key);
+  }
+
+  process(key, task) {
+    return this.get(key).process(task);
+  }
+
+  getStats() {
+    return Object.fromEntries(
+      [...this.bulkheads.entries()].map(([key, bulkhead]) => [key, bulkhead.getStats()])
+    );
+  }
+}
+
+// Per platform: how much of our own capacity one platform may take.
+// Scrapes that fan out into several requests (Codeforces history, GitHub
+// REST) get fewer concurrent slots.
+const PLATFORM_LIMITS = {
+  leetcode: { maxConcurrent: 5 },
+  codeforces: { maxConcurrent: 3 },
+  codechef: { maxConcurrent: 3, openMs: 60000 },
+  github: { maxConcurrent: 4 },
+  skillrack: { maxConcurrent: 2, openMs: 60000 }
+};
+
+// Per upstream host: several platforms share a host (AtCoder and AtCoder
+// Problems, CodeChef and its API mirror), so hosts get their own breakers.
+const HOST_LIMITS = {
+  'codeforces.com': { maxConcurrent: 2 },
+  'codechef-api.vercel.app': { maxConcurrent: 3 },
+  'kenkoooo.com': { maxConcurrent: 2 }
+};
+
+export const platformBulkheads = new BulkheadRegistry(PLATFORM_LIMITS, {
+  maxConcurrent: 5,
+  maxQueue: 50
+});
+
+export const hostBulkheads = new BulkheadRegistry(HOST_LIMITS, {
+  maxConcurrent: 4,
+  maxQueue: 100
+});
+
+// Route every axios request through the bulkhead of its host. Installed
+// once at startup; tests that swap axios' adapter bypass it.
+export function installHostBulkheads(instance = axios) {
+  const send = axios.getAdapter(instance.defaults.adapter);
+  instance.defaults.adapter = (config) => {
+    const host = new URL(axios.getUri(config)).hostname;
+    return hostBulkheads.process(host, () => send(config));
+  };
+}
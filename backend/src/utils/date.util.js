@@ -0,0 +1,50 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_TIME_ZONE = "UTC";
+
+// Intl formatters are slow to build; one per zone
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+// IANA zone names ("Asia/Kolkata", "America/Los_Angeles", "UTC")
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Calendar day of a timestamp as "YYYY-MM-DD" in the given zone, the key
+// used by activity calendars, heatmaps and streaks
+export function dateKey(date = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const parts = formatterFor(timeZone).formatToParts(new Date(date));
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return `${part("year")}-${part("month")}-${part("day")}`;
+}
+
+// "YYYY-MM-DD" shifted by n days (plain calendar arithmetic, no zone)
+export function addDays(key, n) {
+  return new Date(Date.parse(`${key}T00:00:00Z`) + n * DAY_MS).toISOString().split("T")[0];
+}
+
+// Whole days from key a to key b (negative if b is earlier)
+export function daysBetween(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / DAY_MS);
+}
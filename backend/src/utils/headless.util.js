@@ -0,0 +1,103 @@
+import { headlessConfig } from "../config/puppeeteer.js";
+
+async function launchPuppeteer(config) {
+  let puppeteer;
+  try {
+    ({ default: puppeteer } = await import("puppeteer"));
+  } catch {
+    throw new Error("Headless fetching needs the optional puppeteer package");
+  }
+  return puppeteer.launch({
+    headless: true,
+    executablePath: config.executablePath,
+    args: config.launchArgs,
+  });
+}
+
+// A few long-lived browsers shared by every scraper. Each fetch gets its
+// own page; past poolSize * pagesPerBrowser open pages, fetches queue.
+export class BrowserPool {
+  constructor(config = headlessConfig, { launch = launchPuppeteer } = {}) {
+    this.config = config;
+    this.launch = launch;
+    this.slots = [];
+    this.waiting = [];
+  }
+
+  async acquire() {
+    for (;;) {
+      let slot = this.slots
+        .filter((s) => s.pages < this.config.pagesPerBrowser)
+        .sort((a, b) => a.pages - b.pages)[0];
+
+      if (!slot && this.slots.length < this.config.poolSize) {
+        slot = { browser: this.launch(this.config), pages: 0 };
+        this.slots.push(slot);
+        // A browser that failed to start or crashed is replaced on next use
+        slot.browser.then(
+          (browser) => browser.on?.("disconnected", () => this.remove(slot)),
+          () => this.remove(slot)
+        );
+      }
+
+      if (slot) {
+        slot.pages++;
+        return slot;
+      }
+      await new Promise((resolve) => this.waiting.push(resolve));
+    }
+  }
+
+  release(slot) {
+    slot.pages--;
+    this.waiting.shift()?.();
+  }
+
+  remove(slot) {
+    this.slots = this.slots.filter((s) => s !== slot);
+  }
+
+  // Load url in a fresh page and return { status, html } once the DOM is
+  // ready (and waitForSelector, if given, has appeared).
+  async fetchHtml(url, { waitForSelector, timeoutMs = this.config.navigationTimeoutMs } = {}) {
+    const slot = await this.acquire();
+    let page;
+    try {
+      const browser = await slot.browser;
+      page = await browser.newPage();
+      await page.setUserAgent(this.config.userAgent);
+      page.setDefaultTimeout(timeoutMs);
+
+      const blocked = this.config.blockedResourceTypes;
+      if (blocked.length > 0) {
+        await page.setRequestInterception(true);
+        page.on("request", (request) =>
+          blocked.includes(request.resourceType()) ? request.abort() : request.continue()
+        );
+      }
+
+      const response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: timeoutMs });
+      if (waitForSelector) {
+        // Missing selector = let the caller's parser judge the page
+        await page.waitForSelector(waitForSelector, { timeout: timeoutMs }).catch(() => {});
+      }
+
+      return { status: response?.status() ?? 0, html: await page.content() };
+    } catch (error) {
+      if (error?.name === "TimeoutError") throw new Error("Request timeout");
+      throw error;
+    } finally {
+      await page?.close().catch(() => {});
+      this.release(slot);
+    }
+  }
+
+  async close() {
+    const slots = this.slots.splice(0);
+    await Promise.all(
+      slots.map((slot) => slot.browser.then((browser) => browser.close()).catch(() => {}))
+    );
+  }
+}
+
+export const browserPool = new BrowserPool();
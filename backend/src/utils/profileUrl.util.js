@@ -0,0 +1,19 @@
+// Helpers shared by platform adapters to pull a handle out of a profile URL
+
+// Lower-cased copy without protocol/"www.", for host + marker matching
+export const simplifyUrl = (profileUrl) =>
+  String(profileUrl || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, "")
+    .replace(/^www\./, "");
+
+// First path segment after `marker`, or null when the marker is absent
+export const handleAfter = (profileUrl, marker) => {
+  const url = simplifyUrl(profileUrl);
+  const idx = url.indexOf(marker);
+  if (idx === -1) return null;
+
+  const handle = url.substring(idx + marker.length).split(/[/?#]/)[0];
+  return handle || null;
+};
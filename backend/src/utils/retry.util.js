@@ -0,0 +1,39 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter: a random delay in
+// [0, min(maxDelayMs, baseDelayMs * factor^attempt)).
+export function backoffDelay(
+  attempt,
+  { baseDelayMs = 1000, maxDelayMs = 60000, factor = 2, random = Math.random } = {}
+) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * factor ** attempt);
+  return Math.floor(random() * ceiling);
+}
+
+// Runs fn(attempt) up to retries + 1 times. shouldRetry(error) decides
+// whether a failure is worth another attempt; the last error is rethrown
+// with error.attempts set.
+export async function retryWithBackoff(
+  fn,
+  {
+    retries = 2,
+    shouldRetry = () => true,
+    onRetry = () => {},
+    wait = sleep,
+    ...backoff
+  } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      const delay = backoffDelay(attempt, backoff);
+      onRetry(error, attempt + 1, delay);
+      await wait(delay);
+    }
+  }
+}
@@ -0,0 +1,67 @@
+import { dateKey, addDays, daysBetween } from "./date.util.js";
+
+// Consecutive days, oldest first: [{ start, end, length, frozenDays }].
+// Frozen days (covered by a streak freeze) bridge gaps like active days
+// but are listed apart so they can be shown and counted separately.
+export function streakRuns(days, frozen = []) {
+  const active = new Set(days);
+  const sorted = [...new Set([...days, ...frozen])].sort();
+  const runs = [];
+  for (const day of sorted) {
+    let last = runs[runs.length - 1];
+    if (last && daysBetween(last.end, day) === 1) {
+      last.end = day;
+      last.length++;
+    } else {
+      last = { start: day, end: day, length: 1, frozenDays: [] };
+      runs.push(last);
+    }
+    if (!active.has(day)) last.frozenDays.push(day);
+  }
+  // A freeze only ever extends a streak; it never makes one on its own
+  return runs.filter((run) => run.frozenDays.length < run.length);
+}
+
+// Streak state from a list of active days ("YYYY-MM-DD") and frozen days.
+// A run that ended yesterday is still current: today is not over yet.
+// Lengths count frozen days; the *Active variants leave them out, and
+// longestUnfrozen is the longest run no freeze had to bridge. history
+// holds the finished runs, newest first, with the day that broke each one.
+export function computeStreak(days, today = dateKey(), frozen = []) {
+  const past = days.filter((day) => day <= today);
+  const runs = streakRuns(past, frozen.filter((day) => day < today));
+  const last = runs[runs.length - 1];
+  const alive = Boolean(last) && daysBetween(last.end, today) <= 1;
+  const activeLength = (run) => run.length - run.frozenDays.length;
+
+  const finished = alive ? runs.slice(0, -1) : runs;
+  return {
+    current: alive ? last.length : 0,
+    currentActive: alive ? activeLength(last) : 0,
+    currentStart: alive ? last.start : null,
+    currentFrozenDays: alive ? last.frozenDays : [],
+    longest: runs.reduce((max, run) => Math.max(max, run.length), 0),
+    longestActive: runs.reduce((max, run) => Math.max(max, activeLength(run)), 0),
+    longestUnfrozen: streakRuns(past).reduce((max, run) => Math.max(max, run.length), 0),
+    lastActiveDate: [...past].sort().pop() ?? null,
+    history: finished
+      .map((run) => ({ ...run, brokenOn: addDays(run.end, 1) }))
+      .reverse(),
+  };
+}
+
+// Days after `since` and before today with neither activity nor a freeze:
+// what it takes in freezes to carry the streak that ended on `since`
+export function missedDays(days, frozen, since, today) {
+  const covered = new Set([...days, ...frozen]);
+  const missed = [];
+  for (let day = addDays(since, 1); day < today; day = addDays(day, 1)) {
+    if (!covered.has(day)) missed.push(day);
+  }
+  return missed;
+}
+
+// Active days of a normalized activity calendar
+export function activeDays(activity = []) {
+  return activity.filter((day) => day.count > 0).map((day) => day.date);
+}
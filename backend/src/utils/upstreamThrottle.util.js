@@ -0,0 +1,236 @@
+import axios, { AxiosError } from 'axios';
+import { retryWithBackoff } from './retry.util.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// `capacity` requests may go out back to back, then one more every
+// `refillMs`. Callers that find the bucket empty reserve a future token
+// (tokens go negative) so they are served in arrival order.
+export class TokenBucket {
+  constructor({ capacity = 1, refillMs = 1000, now = () => Date.now() } = {}) {
+    this.capacity = capacity;
+    this.refillMs = refillMs;
+    this.now = now;
+    this.tokens = capacity;
+    this.refilledAt = now();
+    this.pausedUntil = 0;
+  }
+
+  refill() {
+    const now = this.now();
+    const earned = (now - this.refilledAt) / this.refillMs;
+    this.tokens = Math.min(this.capacity, this.tokens + earned);
+    this.refilledAt = now;
+  }
+
+  // How long a request arriving now would wait for its token
+  delay() {
+    this.refill();
+    const forToken = this.tokens >= 1 ? 0 : (1 - this.tokens) * this.refillMs;
+    return Math.max(forToken, this.pausedUntil - this.now());
+  }
+
+  // Take a token and return how long to wait before using it
+  reserve() {
+    const wait = this.delay();
+    this.tokens -= 1;
+    return Math.ceil(wait);
+  }
+
+  // Upstream asked us to back off (Retry-After): no tokens until then, and
+  // no burst right after it either
+  pauseUntil(timestamp) {
+    if (timestamp <= this.pausedUntil) return;
+    this.refill();
+    const pauseMs = Math.max(0, timestamp - this.now());
+    this.tokens = Math.min(this.tokens, 1) - pauseMs / this.refillMs;
+    this.pausedUntil = timestamp;
+  }
+}
+
+function header(response, name) {
+  const headers = response?.headers;
+  return headers?.get?.(name) ?? headers?.[name];
+}
+
+// When the upstream says we may call again: Retry-After (seconds or an
+// HTTP date) or, for GitHub, the reset time of an exhausted rate limit.
+export function retryAfterAt(response, now = Date.now()) {
+  const retryAfter = header(response, 'retry-after');
+  if (retryAfter != null && retryAfter !== '') {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return now + Math.max(0, seconds) * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return date;
+  }
+  if (String(header(response, 'x-ratelimit-remaining')) === '0') {
+    const reset = Number(header(response, 'x-ratelimit-reset'));
+    if (Number.isFinite(reset) && reset > 0) return reset * 1000;
+  }
+  return null;
+}
+
+const RETRY_STATUSES = new Set([429, 502, 503, 504]);
+// Timeouts are left out: the upstream is already slow, and retrying would
+// triple the wait of an interactive request.
+const RETRY_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED']);
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options']);
+
+export function isTransientHttpError(error) {
+  if (error?.code === 'ERR_THROTTLED') return false;
+  const status = error?.response?.status;
+  if (status) return RETRY_STATUSES.has(status);
+  return RETRY_CODES.has(error?.code);
+}
+
+// Client-side rate limits per upstream host, plus retries of idempotent
+// requests that failed transiently. Hosts not listed share `defaults`.
+export class UpstreamThrottle {
+  constructor(
+    rates = {},
+    defaults = {},
+    {
+      now = () => Date.now(),
+      wait = sleep,
+      random = Math.random,
+      retries = 2,
+      baseDelayMs = 1000,
+      maxDelayMs = 30000,
+      maxWaitMs = 30000
+    } = {}
+  ) {
+    this.rates = rates;
+    this.defaults = defaults;
+    this.now = now;
+    this.wait = wait;
+    this.random = random;
+    this.retries = retries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.maxWaitMs = maxWaitMs;
+    this.hosts = new Map();
+  }
+
+  host(name) {
+    if (!this.hosts.has(name)) {
+      this.hosts.set(name, {
+        bucket: new TokenBucket({ ...this.defaults, ...this.rates[name], now: this.now }),
+        stats: {
+          requests: 0,
+          throttled: 0,
+          throttledMs: 0,
+          rateLimited: 0,
+          retries: 0,
+          rejected: 0
+        }
+      });
+    }
+    return this.hosts.get(name);
+  }
+
+  // Wait for a token. A wait longer than maxWaitMs fails right away with a
+  // local 429, so scrapers report it the same way as an upstream one.
+  async acquire(name, config) {
+    const { bucket, stats } = this.host(name);
+    for (;;) {
+      const delay = bucket.delay();
+      if (delay > this.maxWaitMs) {
+        stats.rejected++;
+        const seconds = String(Math.ceil(delay / 1000));
+        throw new AxiosError(
+          `Throttled - ${name} rate limit`,
+          'ERR_THROTTLED',
+          config,
+          null,
+          { status: 429, statusText: 'Throttled', headers: { 'retry-after': seconds }, config, data: '' }
+        );
+      }
+      const wait = bucket.reserve();
+      if (wait === 0) return;
+      stats.throttled++;
+      stats.throttledMs += wait;
+      await this.wait(wait);
+      // A Retry-After may have arrived while we slept
+      if (bucket.pausedUntil <= this.now()) return;
+      bucket.tokens += 1;
+    }
+  }
+
+  observe(name, response) {
+    if (!response) return;
+    const { bucket, stats } = this.host(name);
+    if (response.status === 429) stats.rateLimited++;
+    const until = retryAfterAt(response, this.now());
+    if (until) bucket.pauseUntil(until);
+  }
+
+  request(config, send) {
+    const name = new URL(axios.getUri(config)).hostname;
+    const { stats } = this.host(name);
+    const idempotent = IDEMPOTENT_METHODS.has((config.method || 'get').toLowerCase());
+
+    return retryWithBackoff(
+      async () => {
+        await this.acquire(name, config);
+        stats.requests++;
+        try {
+          const response = await send(config);
+          this.observe(name, response);
+          return response;
+        } catch (error) {
+          this.observe(name, error.response);
+          throw error;
+        }
+      },
+      {
+        retries: idempotent ? this.retries : 0,
+        shouldRetry: isTransientHttpError,
+        onRetry: () => stats.retries++,
+        wait: this.wait,
+        random: this.random,
+        baseDelayMs: this.baseDelayMs,
+        maxDelayMs: this.maxDelayMs
+      }
+    );
+  }
+
+  getStats() {
+    return Object.fromEntries(
+      [...this.hosts.entries()].map(([name, { bucket, stats }]) => [
+        name,
+        {
+          ...stats,
+          capacity: bucket.capacity,
+          refillMs: bucket.refillMs,
+          pausedUntil:
+            bucket.pausedUntil > this.now() ? new Date(bucket.pausedUntil).toISOString() : null
+        }
+      ])
+    );
+  }
+}
+
+// Published or observed limits; everything else gets 2 requests/second.
+const HOST_RATES = {
+  // Codeforces API: at most 1 call per 2 seconds
+  'codeforces.com': { capacity: 1, refillMs: 2000 },
+  // AtCoder Problems asks for at least 1 second between API calls
+  'kenkoooo.com': { capacity: 1, refillMs: 1000 },
+  'atcoder.jp': { capacity: 1, refillMs: 1000 },
+  'leetcode.com': { capacity: 4, refillMs: 250 },
+  'api.github.com': { capacity: 5, refillMs: 250 },
+  'www.codechef.com': { capacity: 2, refillMs: 1000 }
+};
+
+export const upstreamThrottle = new UpstreamThrottle(HOST_RATES, {
+  capacity: 2,
+  refillMs: 500
+});
+
+// Send every axios request through the throttle of its host. Install
+// before installHostBulkheads() so the bulkhead sees one outcome per
+// request, after retries.
+export function installUpstreamThrottle(instance = axios) {
+  const send = axios.getAdapter(instance.defaults.adapter);
+  instance.defaults.adapter = (config) => upstreamThrottle.request(config, send);
+}
@@ -9,6 +9,7 @@ import GoalDashboard from "./components/GoalDashboard";
 import ThemeToggle from "./components/ThemeToggle";
 import UsernameInputs from "./components/UsernameInputs";
 import PlatformCard from "./components/PlatformCard";
+import ActivityHeatmap from "./components/ActivityHeatmap";
 import { ThemeProvider } from "./contexts/ThemeContext";
 import { useGrindMapData } from "./hooks/useGrindMapData";
 import { PLATFORMS, OVERALL_GOAL } from "./utils/platforms";
@@ -22,15 +23,25 @@ function AppContent() {
 
   const {
     usernames,
+    linkedAccounts,
+    linkAccount,
     platformData,
+    ratingHistory,
     loading,
     totalSolved,
+    uniqueSolved,
+    streak,
+    buyStreakFreeze,
+    timeZone,
     handleChange,
     fetchAll,
     getPlatformPercentage,
+    getCombinedHeatmapData,
     hasSubmittedToday,
   } = useGrindMapData();
 
+  const combinedHeatmap = getCombinedHeatmapData();
+
   const toggleExpand = (key) => {
     setExpanded(expanded === key ? null : key);
   };
@@ -51,7 +62,10 @@ function AppContent() {
           <button onClick={() => setShowAnalytics(false)} className="back-btn">
             ← Back to Main
           </button>
-          <AnalyticsDashboard platformData={platformData} />
+          <AnalyticsDashboard
+            platformData={platformData}
+            ratingHistory={ratingHistory}
+          />
         </>
       ) : showBadges ? (
         <>
@@ -139,6 +153,11 @@ function AppContent() {
             usernames={usernames}
             onChange={handleChange}
             onFetch={fetchAll}
+            linked={linkedAccounts}
+            onLink={async (key) => {
+              const error = await linkAccount(key);
+              if (error) alert(error);
+            }}
             loading={loading}
           />
 
@@ -151,9 +170,37 @@ function AppContent() {
             />
             <p>
               {totalSolved} / {OVERALL_GOAL} problems solved
+              {uniqueSolved !== null && uniqueSolved < totalSolved && (
+                <> ({uniqueSolved} unique across platforms)</>
+              )}
             </p>
+            {streak?.combined && (
+              <p className="streak-summary">
+                🔥 {streak.combined.current}-day streak
+                {streak.combined.currentFrozenDays?.length > 0 && (
+                  <> ({streak.combined.currentFrozenDays.length} frozen)</>
+                )}
+                {" · "}🧊 {streak.freezes.available}/{streak.freezes.max} freezes{" "}
+                <button
+                  onClick={async () => {
+                    const error = await buyStreakFreeze();
+                    if (error) alert(error);
+                  }}
+                  disabled={streak.freezes.available >= streak.freezes.max}
+                >
+                  Buy one ({streak.freezes.cost} pts)
+                </button>
+              </p>
+            )}
           </div>
 
+          {combinedHeatmap.length > 0 && (
+            <div className="heatmap-section combined-heatmap">
+              <h2>All Platforms</h2>
+              <ActivityHeatmap data={combinedHeatmap} />
+            </div>
+          )}
+
           <div className="platforms-grid">
             {PLATFORMS.map((plat) => (
               <PlatformCard
@@ -176,6 +223,7 @@ function AppContent() {
                 month: "long",
                 day: "numeric",
                 year: "numeric",
+                timeZone,
               })}
               )
             </h2>
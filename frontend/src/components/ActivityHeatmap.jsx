@@ -1,6 +1,22 @@
 import React from 'react';
 import CalendarHeatmap from 'react-calendar-heatmap';
 import 'react-calendar-heatmap/dist/styles.css';
+import { PLATFORMS } from '../utils/platforms';
+
+const platformName = (key) => PLATFORMS.find((p) => p.key === key)?.name || key;
+
+// "2024-01-02: 4" plus, for merged heatmaps, one line per platform with
+// the problems solved there
+const describeDay = (value) => {
+  if (value.frozen && !value.count) return `${value.date}: streak freeze`;
+
+  const lines = [`${value.date}: ${value.count}`];
+  for (const [key, { count, problems }] of Object.entries(value.platforms || {})) {
+    const names = (problems || []).map((problem) => problem.name).join(', ');
+    lines.push(`${platformName(key)}: ${count}${names ? ` (${names})` : ''}`);
+  }
+  return lines.join('\n');
+};
 
 const ActivityHeatmap = ({ data }) => {
   const endDate = new Date();
@@ -15,8 +31,10 @@ const ActivityHeatmap = ({ data }) => {
         values={data}
         classForValue={(value) => {
           if (!value) return 'color-empty';
+          if (value.frozen && !value.count) return 'color-frozen';
           return `color-scale-${Math.min(value.count, 4)}`;
         }}
+        titleForValue={(value) => (value ? describeDay(value) : null)}
       />
     </div>
   );
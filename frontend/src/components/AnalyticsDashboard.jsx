@@ -16,9 +16,10 @@ import {
   AreaChart,
   Area
 } from 'recharts';
+import { PLATFORMS } from '../utils/platforms';
 import './AnalyticsDashboard.css';
 
-const AnalyticsDashboard = ({ platformData }) => {
+const AnalyticsDashboard = ({ platformData, ratingHistory = {} }) => {
   // Mock data for demonstration - in real implementation, this would come from API
   const codingPatternsData = [
     { date: '2024-01-01', submissions: 2 },
@@ -43,14 +44,20 @@ const AnalyticsDashboard = ({ platformData }) => {
     { hour: '12AM', submissions: 1 },
   ];
 
-  const ratingGrowthData = [
-    { month: 'Jan', leetcode: 1200, codeforces: 1400, codechef: 1500 },
-    { month: 'Feb', leetcode: 1250, codeforces: 1450, codechef: 1550 },
-    { month: 'Mar', leetcode: 1300, codeforces: 1500, codechef: 1600 },
-    { month: 'Apr', leetcode: 1350, codeforces: 1550, codechef: 1650 },
-    { month: 'May', leetcode: 1400, codeforces: 1600, codechef: 1700 },
-    { month: 'Jun', leetcode: 1450, codeforces: 1650, codechef: 1750 },
-  ];
+  // One point per contest day; platforms without a contest that day are
+  // left undefined and bridged with connectNulls.
+  const ratingPoints = {};
+  Object.entries(ratingHistory).forEach(([key, entries]) => {
+    entries.forEach(({ date, newRating }) => {
+      const day = date.split('T')[0];
+      ratingPoints[day] = { ...ratingPoints[day], date: day, [key]: newRating };
+    });
+  });
+
+  const ratingGrowthData = Object.values(ratingPoints).sort((a, b) =>
+    a.date.localeCompare(b.date)
+  );
+  const ratingLines = PLATFORMS.filter((plat) => ratingHistory[plat.key]);
 
   const difficultyProgressionData = [
     { month: 'Jan', easy: 20, medium: 15, hard: 5 },
@@ -61,13 +68,22 @@ const AnalyticsDashboard = ({ platformData }) => {
     { month: 'Jun', easy: 45, medium: 40, hard: 22 },
   ];
 
-  const topicDistributionData = [
-    { name: 'Arrays', value: 35, color: '#8884d8' },
-    { name: 'Strings', value: 25, color: '#82ca9d' },
-    { name: 'Dynamic Programming', value: 20, color: '#ffc658' },
-    { name: 'Trees', value: 15, color: '#ff7c7c' },
-    { name: 'Graphs', value: 5, color: '#8dd1e1' },
-  ];
+  // Real per-tag solved counts from every platform that reports tags
+  const tagTotals = Object.values(platformData || {}).reduce((acc, data) => {
+    (data?.tags || []).forEach(({ name, count }) => {
+      acc[name] = (acc[name] || 0) + (Number(count) || 0);
+    });
+    return acc;
+  }, {});
+
+  const topicDistributionData = Object.entries(tagTotals)
+    .filter(([, value]) => value > 0)
+    .map(([name, value]) => ({ name, value }))
+    .sort((a, b) => b.value - a.value)
+    .slice(0, 5);
+
+  const topicTotal = topicDistributionData.reduce((sum, t) => sum + t.value, 0);
+  const favoriteTopic = topicTotal > 0 ? topicDistributionData[0] : null;
 
   const problemSolvingSpeedData = [
     { week: 'Week 1', avgTime: 45 },
@@ -116,18 +132,32 @@ const AnalyticsDashboard = ({ platformData }) => {
         {/* Rating Growth - Line Chart */}
         <div className="chart-container">
           <h3>Rating Growth Over Time</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={ratingGrowthData}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="month" />
-              <YAxis />
-              <Tooltip />
-              <Legend />
-              <Line type="monotone" dataKey="leetcode" stroke="#ffa116" strokeWidth={2} />
-              <Line type="monotone" dataKey="codeforces" stroke="#1e88e5" strokeWidth={2} />
-              <Line type="monotone" dataKey="codechef" stroke="#5d4037" strokeWidth={2} />
-            </LineChart>
-          </ResponsiveContainer>
+          {ratingGrowthData.length > 0 ? (
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={ratingGrowthData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" />
+                <YAxis />
+                <Tooltip />
+                <Legend />
+                {ratingLines.map((plat) => (
+                  <Line
+                    key={plat.key}
+                    type="monotone"
+                    dataKey={plat.key}
+                    name={plat.name}
+                    stroke={plat.color}
+                    strokeWidth={2}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          ) : (
+            <p className="chart-empty">
+              No rated contests yet. Fetch a handle on a rated platform to see its rating over time.
+            </p>
+          )}
         </div>
 
         {/* Difficulty Progression - Stacked Bar Chart */}
@@ -150,25 +180,31 @@ const AnalyticsDashboard = ({ platformData }) => {
         {/* Topic-wise Distribution - Pie Chart */}
         <div className="chart-container">
           <h3>Topic-wise Problem Distribution</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <PieChart>
-              <Pie
-                data={topicDistributionData}
-                cx="50%"
-                cy="50%"
-                labelLine={false}
-                label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
-                outerRadius={80}
-                fill="#8884d8"
-                dataKey="value"
-              >
-                {topicDistributionData.map((entry, index) => (
-                  <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                ))}
-              </Pie>
-              <Tooltip />
-            </PieChart>
-          </ResponsiveContainer>
+          {topicDistributionData.length > 0 ? (
+            <ResponsiveContainer width="100%" height={300}>
+              <PieChart>
+                <Pie
+                  data={topicDistributionData}
+                  cx="50%"
+                  cy="50%"
+                  labelLine={false}
+                  label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
+                  outerRadius={80}
+                  fill="#8884d8"
+                  dataKey="value"
+                >
+                  {topicDistributionData.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                  ))}
+                </Pie>
+                <Tooltip />
+              </PieChart>
+            </ResponsiveContainer>
+          ) : (
+            <p className="chart-empty">
+              No tagged solves yet. Fetch a handle on a platform that reports problem tags to see your topics.
+            </p>
+          )}
         </div>
 
         {/* Problem Solving Speed Trends - Line Chart */}
@@ -200,7 +236,11 @@ const AnalyticsDashboard = ({ platformData }) => {
           </div>
           <div className="insight-card">
             <h4>Favorite Topic</h4>
-            <p>Arrays (35% of problems)</p>
+            <p>
+              {favoriteTopic
+                ? `${favoriteTopic.name} (${Math.round((favoriteTopic.value / topicTotal) * 100)}% of problems)`
+                : 'No tagged solves yet'}
+            </p>
           </div>
           <div className="insight-card">
             <h4>Speed Improvement</h4>
@@ -4,18 +4,20 @@ import './Leaderboard.css';
 const Leaderboard = ({ onBack }) => {
   const [leaderboard, setLeaderboard] = useState([]);
   const [type, setType] = useState('global');
+  // 'score' ranks on activity score, 'total' on problems solved
+  const [metric, setMetric] = useState('score');
   const [loading, setLoading] = useState(true);
   const [userRank, setUserRank] = useState(null);
 
   useEffect(() => {
     fetchLeaderboard();
     fetchUserRank();
-  }, [type]);
+  }, [type, metric]);
 
   const fetchLeaderboard = async () => {
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch(`/api/leaderboard?type=${type}`, {
+      const response = await fetch(`/api/leaderboard?type=${type}&metric=${metric}`, {
         headers: { Authorization: `Bearer ${token}` }
       });
       const data = await response.json();
@@ -30,7 +32,7 @@ const Leaderboard = ({ onBack }) => {
   const fetchUserRank = async () => {
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch('/api/leaderboard/rank', {
+      const response = await fetch(`/api/leaderboard/rank?metric=${metric}`, {
         headers: { Authorization: `Bearer ${token}` }
       });
       const data = await response.json();
@@ -58,11 +60,23 @@ const Leaderboard = ({ onBack }) => {
         >
           Friends
         </button>
+        <button
+          className={metric === 'score' ? 'active' : ''}
+          onClick={() => setMetric('score')}
+        >
+          Score
+        </button>
+        <button
+          className={metric === 'total' ? 'active' : ''}
+          onClick={() => setMetric('total')}
+        >
+          Solved
+        </button>
       </div>
 
       {userRank && (
         <div className="user-rank">
-          Your Rank: {userRank.rank || 'Private'} (Score: {userRank.totalScore})
+          Your Rank: {userRank.rank || userRank.message} (Solved: {userRank.totalSolved || 0}, Score: {userRank.totalScore || 0})
         </div>
       )}
 
@@ -74,7 +88,16 @@ const Leaderboard = ({ onBack }) => {
             <div key={user._id} className="leaderboard-item">
               <span className="rank">#{index + 1}</span>
               <span className="username">{user.username}</span>
-              <span className="score">{user.totalScore}</span>
+              <span className="score">
+                {metric === 'score' ? (
+                  `${user.totalScore || 0} pts`
+                ) : (
+                  <>
+                    {user.totalSolved}
+                    {user.uniqueSolved < user.totalSolved && ` (${user.uniqueSolved} unique)`}
+                  </>
+                )}
+              </span>
             </div>
           ))}
         </div>
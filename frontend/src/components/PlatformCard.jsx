@@ -2,6 +2,15 @@ import React from "react";
 import CircularProgress from "./CircularProgress";
 import ActivityHeatmap from "./ActivityHeatmap";
 
+// extra keys already rendered elsewhere on the card
+const HIDDEN_EXTRA = ["totalQuestions", "totalContributions"];
+
+// "pullRequests" -> "Pull Requests"
+const formatLabel = (key) =>
+  key
+    .replace(/([A-Z])/g, " $1")
+    .replace(/^./, (c) => c.toUpperCase());
+
 const PlatformCard = ({
   platform,
   data,
@@ -68,6 +77,16 @@ const PlatformCard = ({
     );
   }
 
+  const { stats, difficulty, streak, activity, extra } = data;
+  // Platform-specific scalars (stars, points, reviews...) shown as-is
+  const detailEntries = Object.entries(extra).filter(
+    ([key, value]) =>
+      !HIDDEN_EXTRA.includes(key) &&
+      value !== null &&
+      value !== "" &&
+      typeof value !== "object",
+  );
+
   return (
     <div
       className={`platform-card ${isExpanded ? "expanded" : ""}`}
@@ -85,101 +104,121 @@ const PlatformCard = ({
       </div>
 
       <div className="summary">
-        {data.totalSolved !== undefined && (
-          <p>
-            <strong>{data.totalSolved}</strong> solved ({percentage}%)
-          </p>
-        )}
-        {data.solved !== undefined && (
+        {stats.totalSolved > 0 && (
           <p>
-            <strong>{data.solved}</strong> solved
+            <strong>{stats.totalSolved}</strong> solved ({percentage}%)
           </p>
         )}
-        {data.rating !== undefined && (
+        {stats.rating !== null && (
           <p>
-            Rating: <strong>{data.rating}</strong>
+            Rating: <strong>{stats.rating}</strong>
           </p>
         )}
-        {data.rank && (
+        {stats.rank && (
           <p>
-            Rank: <strong>{data.rank}</strong>
+            Rank: <strong>{stats.rank}</strong>
           </p>
         )}
-        {data.problem_fully_solved !== undefined && (
+        {extra.totalContributions !== undefined && (
           <p>
-            Fully Solved: <strong>{data.problem_fully_solved}</strong>
+            <strong>{extra.totalContributions}</strong> contributions this year
           </p>
         )}
       </div>
 
       {isExpanded && (
         <div className="details">
-          {platform.key === "leetcode" && (
-            <>
-              <div className="difficulty-breakdown">
-                <div className="diff-item">
-                  <span style={{ color: "#00af9b" }}>Easy</span>
-                  <strong>{data.easySolved}</strong>
-                </div>
-                <div className="diff-item">
-                  <span style={{ color: "#ffb800" }}>Medium</span>
-                  <strong>{data.mediumSolved}</strong>
-                </div>
-                <div className="diff-item">
-                  <span style={{ color: "#ff2d55" }}>Hard</span>
-                  <strong>{data.hardSolved}</strong>
-                </div>
+          {difficulty && (
+            <div className="difficulty-breakdown">
+              <div className="diff-item">
+                <span style={{ color: "#00af9b" }}>Easy</span>
+                <strong>{difficulty.easy}</strong>
               </div>
-
-              <div className="ranking">
-                Global Ranking: <strong>#{data.ranking || "N/A"}</strong>
+              <div className="diff-item">
+                <span style={{ color: "#ffb800" }}>Medium</span>
+                <strong>{difficulty.medium}</strong>
               </div>
-
-              <div className="heatmap-section">
-                <h4>Submission Heatmap</h4>
-                {data.submissionCalendar ? (
-                  <ActivityHeatmap
-                    data={Object.entries(data.submissionCalendar || {}).map(
-                      ([ts, count]) => ({
-                        date: new Date(parseInt(ts) * 1000)
-                          .toISOString()
-                          .split("T")[0],
-                        count,
-                      }),
-                    )}
-                  />
-                ) : (
-                  <p>No calendar data</p>
-                )}
+              <div className="diff-item">
+                <span style={{ color: "#ff2d55" }}>Hard</span>
+                <strong>{difficulty.hard}</strong>
               </div>
-            </>
+            </div>
           )}
 
-          {platform.key === "codeforces" && (
-            <div className="expanded-details">
+          <div className="expanded-details">
+            {stats.maxRating !== null && (
               <p>
-                Current Rating: <strong>{data.rating}</strong>
+                Max Rating: <strong>{stats.maxRating || "N/A"}</strong>
               </p>
+            )}
+            {stats.contests > 0 && (
               <p>
-                Current Rank: <strong>{data.rank}</strong>
+                Contests: <strong>{stats.contests}</strong>
               </p>
+            )}
+            {streak.max > 0 && (
               <p>
-                Max Rating: <strong>{data.maxRating || "N/A"}</strong>
+                Streak: <strong>{streak.current} days</strong> (longest{" "}
+                {streak.max})
               </p>
-            </div>
-          )}
-
-          {platform.key === "codechef" && (
-            <div className="expanded-details">
+            )}
+            {detailEntries.map(([key, value]) => (
+              <p key={key}>
+                {formatLabel(key)}: <strong>{value}</strong>
+              </p>
+            ))}
+            {extra.badges?.length > 0 && (
               <p>
-                Stars: <strong>{data.total_stars || 0} ⭐</strong>
+                Badges:{" "}
+                <strong>
+                  {extra.badges
+                    .slice(0, 5)
+                    .map((b) => `${b.name} ${"★".repeat(b.stars)}`)
+                    .join(", ")}
+                </strong>
               </p>
+            )}
+            {extra.katasByLanguage?.length > 0 && (
               <p>
-                Global Rank: <strong>#{data.global_rank || "N/A"}</strong>
+                Katas:{" "}
+                <strong>
+                  {extra.katasByLanguage
+                    .slice(0, 5)
+                    .map((l) => `${l.language} ${l.count}`)
+                    .join(", ")}
+                </strong>
               </p>
+            )}
+            {extra.languages?.length > 0 && (
               <p>
-                Country Rank: <strong>#{data.country_rank || "N/A"}</strong>
+                Languages:{" "}
+                <strong>
+                  {extra.languages
+                    .slice(0, 5)
+                    .map((l) => `${l.name} ${l.percentage}%`)
+                    .join(", ")}
+                </strong>
               </p>
+            )}
+          </div>
+
+          {Array.isArray(extra.sections) && extra.sections.length > 0 && (
+            <div className="section-progress">
+              {extra.sections.map((section) => (
+                <p key={section.name}>
+                  {section.name}:{" "}
+                  <strong>
+                    {section.solved}/{section.total}
+                  </strong>
+                </p>
+              ))}
+            </div>
+          )}
+
+          {activity.length > 0 && (
+            <div className="heatmap-section">
+              <h4>Activity Heatmap</h4>
+              <ActivityHeatmap data={activity} />
             </div>
           )}
         </div>
@@ -1,5 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import './Profile.css';
+import { browserTimeZone } from '../utils/date';
+
+// Offered in the timezone picker; the browser's own zone is always listed
+const TIME_ZONES = Intl.supportedValuesOf
+  ? Intl.supportedValuesOf('timeZone')
+  : ['UTC', 'Asia/Kolkata', 'America/Los_Angeles', 'America/New_York', 'Europe/London'];
 
 const Profile = ({ onBack }) => {
   const [profile, setProfile] = useState({
@@ -7,7 +13,8 @@ const Profile = ({ onBack }) => {
     username: '',
     email: '',
     bio: '',
-    isPublic: true
+    isPublic: true,
+    timezone: browserTimeZone()
   });
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -23,7 +30,7 @@ const Profile = ({ onBack }) => {
         headers: { Authorization: `Bearer ${token}` }
       });
       const data = await response.json();
-      setProfile(data);
+      setProfile(prev => ({ ...prev, ...data.user }));
     } catch (error) {
       console.error('Error fetching profile:', error);
     } finally {
@@ -117,6 +124,15 @@ const Profile = ({ onBack }) => {
           />
         </div>
 
+        <div className="form-group">
+          <label>Timezone (your day, streaks and reminders follow it):</label>
+          <select name="timezone" value={profile.timezone} onChange={handleChange}>
+            {[...new Set([profile.timezone, ...TIME_ZONES])].map(zone => (
+              <option key={zone} value={zone}>{zone}</option>
+            ))}
+          </select>
+        </div>
+
         <div className="form-group">
           <label>
             <input
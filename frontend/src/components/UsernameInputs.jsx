@@ -19,9 +19,58 @@ const PLATFORM_CONFIG = {
     urlPart: "codechef.com/users/",
     regex: /^[a-zA-Z0-9_.]+$/,
   },
+  atcoder: {
+    name: "AtCoder",
+    placeholder: "e.g. tourist",
+    urlPart: "atcoder.jp/users/",
+    regex: /^[a-zA-Z0-9_]+$/,
+  },
+  github: {
+    name: "GitHub",
+    placeholder: "e.g. torvalds",
+    urlPart: "github.com/",
+    regex: /^[a-zA-Z0-9-]+$/,
+  },
+  hackerrank: {
+    name: "HackerRank",
+    placeholder: "e.g. gennady",
+    urlPart: "hackerrank.com/profile/",
+    regex: /^[a-zA-Z0-9_.-]+$/,
+  },
+  gfg: {
+    name: "GeeksforGeeks",
+    placeholder: "e.g. sandeepjain",
+    urlPart: "geeksforgeeks.org/user/",
+    regex: /^[a-zA-Z0-9_.-]+$/,
+  },
+  codewars: {
+    name: "Codewars",
+    placeholder: "e.g. g964",
+    urlPart: "codewars.com/users/",
+    regex: /^[a-zA-Z0-9_.-]+$/,
+  },
+  cses: {
+    name: "CSES",
+    placeholder: "user id, e.g. 12345",
+    urlPart: "cses.fi/user/",
+    regex: /^[0-9]+$/,
+  },
+  spoj: {
+    name: "SPOJ",
+    placeholder: "e.g. xilinx",
+    urlPart: "spoj.com/users/",
+    regex: /^[a-zA-Z0-9_]+$/,
+  },
+  kattis: {
+    name: "Kattis",
+    placeholder: "e.g. lukas",
+    urlPart: "kattis.com/users/",
+    regex: /^[a-zA-Z0-9_.-]+$/,
+  },
 };
 
-function UsernameInputs({ usernames, onChange, onFetch, loading }) {
+function UsernameInputs({ usernames, onChange, onFetch, linked, onLink, loading }) {
+  const signedIn = Boolean(localStorage.getItem("token"));
   const [errors, setErrors] = useState({});
 
   const validateAndChange = (platform, value) => {
@@ -33,6 +82,8 @@ function UsernameInputs({ usernames, onChange, onFetch, loading }) {
       newValue.includes("http") ||
       newValue.includes("www.") ||
       newValue.includes(".com") ||
+      newValue.includes(".org") ||
+      newValue.includes(".fi") ||
       newValue.includes(".jp")
     ) {
       // try extract
@@ -108,6 +159,22 @@ function UsernameInputs({ usernames, onChange, onFetch, loading }) {
                   outlineColor: errors[key] ? "#ef4444" : undefined,
                 }}
               />
+              {signedIn && usernames[key] && !errors[key] && (
+                linked?.[key] === usernames[key] ? (
+                  <span className="linked-msg" style={{ fontSize: "0.9em", textAlign: "left" }}>
+                    Linked to your account
+                  </span>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => onLink(key)}
+                    disabled={loading}
+                    style={{ alignSelf: "flex-start", marginTop: "5px" }}
+                  >
+                    {linked?.[key] ? `Link instead of ${linked[key]}` : "Link to my account"}
+                  </button>
+                )
+              )}
               {errors[key] && (
                 <span
                   className="error-msg"
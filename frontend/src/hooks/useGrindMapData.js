@@ -1,21 +1,173 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { PLATFORMS } from "../utils/platforms";
+import { browserTimeZone, dateKey } from "../utils/date";
+
+const emptyByPlatform = (value) =>
+  PLATFORMS.reduce((acc, plat) => {
+    acc[plat.key] = value;
+    return acc;
+  }, {});
 
 export const useGrindMapData = () => {
-  const [usernames, setUsernames] = useState({
-    leetcode: "",
-    codeforces: "",
-    codechef: "",
-  });
-
-  const [platformData, setPlatformData] = useState({
-    leetcode: null,
-    codeforces: null,
-    codechef: null,
-  });
+  const [usernames, setUsernames] = useState(emptyByPlatform(""));
+
+  // Each entry is the backend's normalized stats payload (or { error })
+  const [platformData, setPlatformData] = useState(emptyByPlatform(null));
+
+  // Rated contest history per platform: [{ date, contestName, newRating, delta, ... }]
+  const [ratingHistory, setRatingHistory] = useState({});
+
+  // Signed-in users only: solved count with cross-platform duplicates
+  // (the same problem on two judges) counted once
+  const [uniqueSolved, setUniqueSolved] = useState(null);
+
+  // Signed-in users only: server-side combined streak and freezes held
+  const [streak, setStreak] = useState(null);
+
+  // Signed-in users only: server-merged heatmap of every linked platform,
+  // [{ date, count, platforms: { <id>: { count, problems } }, frozen? }]
+  const [heatmap, setHeatmap] = useState(null);
 
   const [loading, setLoading] = useState(false);
 
+  // Zone where "today" starts and ends: the profile setting for signed-in
+  // users, the browser's zone otherwise
+  const [timeZone, setTimeZone] = useState(browserTimeZone());
+
+  useEffect(() => {
+    const token = localStorage.getItem("token");
+    if (!token) return;
+
+    fetch("http://localhost:5000/api/users/profile", {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => res.json())
+      .then((result) => {
+        if (result.user?.timezone) setTimeZone(result.user.timezone);
+      })
+      .catch(() => {});
+  }, []);
+
+  // Signed-in users only: handles linked to the account, by platform.
+  // Typing a handle only looks it up; linking is an explicit action.
+  const [linkedAccounts, setLinkedAccounts] = useState({});
+
+  // Signed-in users get their linked handles back after a reload
+  useEffect(() => {
+    const token = localStorage.getItem("token");
+    if (!token) return;
+
+    fetch("http://localhost:5000/api/users/me/platforms", {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => res.json())
+      .then((result) => {
+        if (!result.success) return;
+        const linked = {};
+        for (const account of result.data) linked[account.platform] = account.handle;
+        setLinkedAccounts(linked);
+        setUsernames((prev) => {
+          const next = { ...prev };
+          for (const [platform, handle] of Object.entries(linked)) {
+            if (platform in next) next[platform] = handle;
+          }
+          return next;
+        });
+      })
+      .catch(() => {});
+  }, []);
+
+  // Link the handle typed for a platform to the signed-in account. A new
+  // handle has to be verified again; resolves to an error message or null.
+  const linkAccount = async (platKey) => {
+    const token = localStorage.getItem("token");
+    if (!token) return "Sign in to link accounts";
+
+    const handle = usernames[platKey]?.trim();
+    if (!handle) return "Enter a username first";
+
+    try {
+      const res = await fetch(`http://localhost:5000/api/users/me/platforms/${platKey}`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ handle }),
+      });
+      const result = await res.json();
+      if (!result.success) return result.error;
+      setLinkedAccounts((prev) => ({ ...prev, [platKey]: result.data.handle }));
+      return null;
+    } catch (err) {
+      return "Could not link the account";
+    }
+  };
+
+  const fetchUniqueSolved = async () => {
+    const token = localStorage.getItem("token");
+    if (!token) return null;
+
+    try {
+      const res = await fetch("http://localhost:5000/api/users/me/solved", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const result = await res.json();
+      return result.success ? result.data.uniqueSolved : null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const fetchStreak = async () => {
+    const token = localStorage.getItem("token");
+    if (!token) return null;
+
+    try {
+      const res = await fetch("http://localhost:5000/api/users/me/streaks", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const result = await res.json();
+      return result.success ? result.data : null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const fetchHeatmap = async () => {
+    const token = localStorage.getItem("token");
+    if (!token) return null;
+
+    try {
+      const res = await fetch("http://localhost:5000/api/users/me/heatmap", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const result = await res.json();
+      return result.success ? result.data.days : null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  // Trade points for a streak freeze; resolves to an error message or null
+  const buyStreakFreeze = async () => {
+    const token = localStorage.getItem("token");
+    if (!token) return "Sign in to buy streak freezes";
+
+    try {
+      const res = await fetch("http://localhost:5000/api/users/me/streaks/freezes", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const result = await res.json();
+      if (!result.success) return result.error;
+      setStreak((prev) => prev && { ...prev, freezes: result.data });
+      return null;
+    } catch (err) {
+      return "Could not buy a streak freeze";
+    }
+  };
+
   const handleChange = (key, value) => {
     setUsernames((prev) => ({ ...prev, [key]: value }));
   };
@@ -27,70 +179,65 @@ export const useGrindMapData = () => {
     }
 
     try {
-      let data = null;
-      if (plat.key === "leetcode") {
-        const res = await fetch(
-          `http://localhost:5000/api/leetcode/${username}`,
-        );
-        const result = await res.json();
-        if (result.data) {
-          data = result.data;
-        } else {
-          data = { error: "User not found" };
-        }
-      } else if (plat.key === "codeforces") {
-        const res = await fetch(
-          `http://localhost:5000/api/codeforces/${username}`,
-        );
-        const result = await res.json();
-        if (result.success && result.data) {
-          const { stats } = result.data;
-          data = {
-            rating: stats.rating,
-            rank: stats.rank,
-            solved: stats.totalSolved,
-            maxRating: stats.maxRating,
-          };
-        } else {
-          data = { error: result.error || "User not found" };
-        }
-      } else if (plat.key === "codechef") {
-        const res = await fetch(
-          `http://localhost:5000/api/codechef/${username}`,
-        );
-        const result = await res.json();
-        if (result.success && result.data) {
-          const { stats } = result.data;
-          data = {
-            rating: stats.rating,
-            problem_fully_solved: stats.totalSolved,
-            global_rank: stats.globalRank,
-            country_rank: stats.countryRank,
-            total_stars: stats.stars,
-          };
-        } else {
-          data = { error: result.error || "User not found" };
-        }
-      }
+      const res = await fetch(
+        `http://localhost:5000/api/platforms/${plat.key}/${username}`,
+      );
+      const result = await res.json();
+      const data =
+        result.success && result.data
+          ? result.data
+          : { error: result.error || "User not found" };
       return { key: plat.key, data };
     } catch (err) {
       return { key: plat.key, data: { error: "Failed to fetch" } };
     }
   };
 
+  // Missing history only hides a line on the rating chart, so failures
+  // are swallowed here instead of surfacing on the platform card.
+  const fetchRatingHistory = async (plat) => {
+    const username = usernames[plat.key]?.trim();
+    if (!plat.ratingHistory || !username) {
+      return { key: plat.key, entries: [] };
+    }
+
+    try {
+      const res = await fetch(
+        `http://localhost:5000/api/platforms/${plat.key}/${username}/rating-history`,
+      );
+      const result = await res.json();
+      return { key: plat.key, entries: result.success ? result.data.entries : [] };
+    } catch (err) {
+      return { key: plat.key, entries: [] };
+    }
+  };
+
   const fetchAll = async () => {
     setLoading(true);
 
     // Parallel execution for better performance
-    const promises = PLATFORMS.map((plat) => fetchPlatformData(plat));
-    const results = await Promise.all(promises);
+    const [results, histories] = await Promise.all([
+      Promise.all(PLATFORMS.map((plat) => fetchPlatformData(plat))),
+      Promise.all(PLATFORMS.map((plat) => fetchRatingHistory(plat))),
+    ]);
 
     const newData = results.reduce((acc, { key, data }) => {
       acc[key] = data;
       return acc;
     }, {});
 
+    const newHistory = histories.reduce((acc, { key, entries }) => {
+      if (entries.length) acc[key] = entries;
+      return acc;
+    }, {});
+
     setPlatformData(newData);
+    setRatingHistory(newHistory);
+
+    // Linked accounts' stats were just fetched (and cached) above
+    setUniqueSolved(await fetchUniqueSolved());
+    setStreak(await fetchStreak());
+    setHeatmap(await fetchHeatmap());
     setLoading(false);
   };
 
@@ -98,54 +245,80 @@ export const useGrindMapData = () => {
     const data = platformData[platKey];
     if (!data || data.error) return 0;
 
-    if (platKey === "leetcode") {
-      return Math.round((data.totalSolved / data.totalQuestions) * 100);
-    }
-    if (platKey === "codeforces") {
-      return data.rating ? Math.round((data.rating / 3500) * 100) : 0;
+    const plat = PLATFORMS.find((p) => p.key === platKey);
+    const { stats, extra, activity } = data;
+
+    if (extra?.totalQuestions) {
+      return Math.round((stats.totalSolved / extra.totalQuestions) * 100);
     }
-    if (platKey === "codechef") {
-      return data.rating ? Math.round((data.rating / 3000) * 100) : 0;
+    if (plat?.ratingCap) {
+      return stats.rating ? Math.round((stats.rating / plat.ratingCap) * 100) : 0;
     }
-    return 0;
+    // share of the last year with at least one active day
+    return Math.round(((activity?.length || 0) / 365) * 100);
+  };
+
+  const getHeatmapData = (activity) => {
+    if (!activity) return [];
+    return activity.map(({ date, count }) => ({ date, count }));
   };
 
-  const getHeatmapData = (calendar) => {
-    if (!calendar) return [];
-    return Object.entries(calendar).map(([ts, count]) => ({
-      date: new Date(parseInt(ts) * 1000).toISOString().split("T")[0],
-      count,
-    }));
+  // One heatmap for every platform: the server's when signed in, else
+  // merged here from the calendars just fetched (counts only)
+  const getCombinedHeatmapData = () => {
+    if (heatmap) return heatmap;
+
+    const days = {};
+    for (const plat of PLATFORMS) {
+      const data = platformData[plat.key];
+      if (!data || data.error || !data.activity) continue;
+      for (const { date, count } of data.activity) {
+        if (!count) continue;
+        if (!days[date]) days[date] = { date, count: 0, platforms: {} };
+        days[date].count += count;
+        days[date].platforms[plat.key] = { count, problems: [] };
+      }
+    }
+    return Object.values(days);
   };
 
+  // Signed in, the server's heatmap has solves bucketed in the user's
+  // zone; platform calendars count the platform's own (mostly UTC) days,
+  // so they are only a fallback for signed-out lookups
   const hasSubmittedToday = (platKey) => {
-    if (
-      platKey === "leetcode" &&
-      platformData.leetcode &&
-      platformData.leetcode.submissionCalendar
-    ) {
-      const today = new Date();
-      const todayString = today.toISOString().split("T")[0];
-      const todayKey = todayString.replace(/-/g, "");
-      return platformData.leetcode.submissionCalendar[todayKey] > 0;
+    const todayKey = dateKey(new Date(), timeZone);
+    if (heatmap) {
+      const today = heatmap.find((day) => day.date === todayKey);
+      return (today?.platforms[platKey]?.count || 0) > 0;
     }
-    return false;
+
+    const data = platformData[platKey];
+    if (!data || data.error || !data.activity) return false;
+    return data.activity.some((day) => day.date === todayKey && day.count > 0);
   };
 
-  const totalSolved =
-    (platformData.leetcode?.totalSolved || 0) +
-    (platformData.codeforces?.solved || 0) +
-    (platformData.codechef?.problem_fully_solved || 0);
+  const totalSolved = PLATFORMS.reduce(
+    (sum, plat) => sum + (platformData[plat.key]?.stats?.totalSolved || 0),
+    0,
+  );
 
   return {
     usernames,
+    linkedAccounts,
+    linkAccount,
     platformData,
+    ratingHistory,
     loading,
     totalSolved,
+    uniqueSolved,
+    streak,
+    buyStreakFreeze,
+    timeZone,
     handleChange,
     fetchAll,
     getPlatformPercentage,
     getHeatmapData,
+    getCombinedHeatmapData,
     hasSubmittedToday,
   };
 };
@@ -0,0 +1,16 @@
+// Day keys ("YYYY-MM-DD") in a given IANA timezone, matching the
+// backend's date.util.js so "today" means the same day on both sides
+
+export const browserTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+export const dateKey = (date = new Date(), timeZone = browserTimeZone()) => {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(new Date(date));
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return `${part("year")}-${part("month")}-${part("day")}`;
+};
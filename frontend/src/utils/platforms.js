@@ -1,7 +1,17 @@
+// ratingCap: rating treated as 100% on the progress ring (rated platforms)
+// ratingHistory: backend serves /rating-history for this platform
 export const PLATFORMS = [
-  { key: "leetcode", name: "LeetCode", color: "#ffa116" },
-  { key: "codeforces", name: "Codeforces", color: "#1e88e5" },
-  { key: "codechef", name: "CodeChef", color: "#5d4037" },
+  { key: "leetcode", name: "LeetCode", color: "#ffa116", ratingHistory: true },
+  { key: "codeforces", name: "Codeforces", color: "#1e88e5", ratingCap: 3500, ratingHistory: true },
+  { key: "codechef", name: "CodeChef", color: "#5d4037", ratingCap: 3000, ratingHistory: true },
+  { key: "atcoder", name: "AtCoder", color: "#607d8b", ratingCap: 4000, ratingHistory: true },
+  { key: "github", name: "GitHub", color: "#6e5494" },
+  { key: "hackerrank", name: "HackerRank", color: "#2ec866" },
+  { key: "gfg", name: "GeeksforGeeks", color: "#2f8d46" },
+  { key: "codewars", name: "Codewars", color: "#b1361e" },
+  { key: "cses", name: "CSES", color: "#3f51b5" },
+  { key: "spoj", name: "SPOJ", color: "#337ab7" },
+  { key: "kattis", name: "Kattis", color: "#d4a017" },
 ];
 
 export const OVERALL_GOAL = 10000;